@@ -1,12 +1,31 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { motion } from 'framer-motion'
 import { Button } from '@/components/ui/button.jsx'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
-import { Badge } from '@/components/ui/badge.jsx'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
 import KeyboardShortcuts from './components/KeyboardShortcuts.jsx'
 import FileUpload from './components/FileUpload.jsx'
 import TextAnalysis from './components/TextAnalysis.jsx'
+import ConverterOptions from './components/ConverterOptions.jsx'
+import PipelineBuilder from './components/PipelineBuilder.jsx'
+import DataSettings from './components/DataSettings.jsx'
+import ConversionHistory from './components/ConversionHistory.jsx'
+import UrlInspector from './components/UrlInspector.jsx'
+import HashPanel from './components/HashPanel.jsx'
+import JwtInspector from './components/JwtInspector.jsx'
+import ByteInspector from './components/ByteInspector.jsx'
+import MorsePlayer from './components/MorsePlayer.jsx'
+import EncryptionPanel from './components/EncryptionPanel.jsx'
+import AddressChecker from './components/AddressChecker.jsx'
+import CsvPanel from './components/CsvPanel.jsx'
+import InputErrorMarker from './components/InputErrorMarker.jsx'
+import { usePersistentState } from '@/hooks/use-persistent-state.js'
+import { useUndoRedo } from '@/hooks/use-undo-redo.js'
+import { clearAllData, loadAll, removeValue, saveValue } from '@/lib/storage.js'
+import { DEFAULT_HISTORY_LIMIT, createHistoryEntry, entriesOverLimit, loadHistory, removeHistoryEntries, saveHistoryEntry } from '@/lib/history.js'
+import { LOCALES, categories, getConverter, getConverters, matchLocale, runConverter, runPipeline } from '@/lib/conversions/index.js'
 import { 
   Copy, 
   Download, 
@@ -16,56 +35,80 @@ import {
   Type, 
   Hash, 
   Wand2,
-  History,
   Settings,
   FileText,
   Zap,
   Upload,
-  BarChart3
+  BarChart3,
+  Undo2,
+  Redo2,
+  Binary,
+  AlertCircle,
+  Languages,
+  Braces,
+  KeySquare,
+  FileJson,
+  FileCode2,
+  Table2,
+  Database,
+  TriangleAlert
 } from 'lucide-react'
 import './App.css'
 
+// Presentation for each converter category; the converters themselves live in lib/conversions
+const categoryLayout = {
+  text: { icon: Type, grid: 'grid grid-cols-2 md:grid-cols-3 gap-2' },
+  numbers: { icon: Hash, grid: 'grid grid-cols-1 md:grid-cols-2 gap-2' },
+  special: { icon: Wand2, grid: 'grid grid-cols-1 md:grid-cols-2 gap-2' },
+  encoding: { icon: Binary, grid: 'grid grid-cols-1 md:grid-cols-2 gap-2' },
+  escape: { icon: Braces, grid: 'grid grid-cols-1 md:grid-cols-2 gap-2' },
+  ciphers: { icon: KeySquare, grid: 'grid grid-cols-2 md:grid-cols-3 gap-2' },
+  json: { icon: FileJson, grid: 'grid grid-cols-2 md:grid-cols-3 gap-2' },
+  formats: { icon: FileCode2, grid: 'grid grid-cols-2 md:grid-cols-4 gap-2' },
+  tables: { icon: Table2, grid: 'grid grid-cols-2 md:grid-cols-3 gap-2' },
+  sql: { icon: Database, grid: 'grid grid-cols-1 md:grid-cols-3 gap-2' }
+}
+
 function App() {
-  const [inputText, setInputText] = useState('')
+  const [inputText, setInputText] = usePersistentState('draft', '')
   const [outputText, setOutputText] = useState('')
-  const [darkMode, setDarkMode] = useState(false)
+  const [inputCursor, setInputCursor] = useState(0)
+  const inputRef = useRef(null)
+  // { message, position? } where position is an offset into the input
+  const [conversionError, setConversionError] = useState(null)
+  // Notes about lossy steps in the last conversion, shown with its output
+  const [conversionWarnings, setConversionWarnings] = useState([])
+  const [darkMode, setDarkMode] = usePersistentState('darkMode', false)
   const [conversionHistory, setConversionHistory] = useState([])
+  const [historyLimit, setHistoryLimit] = usePersistentState('historyLimit', DEFAULT_HISTORY_LIMIT)
+  const [uploadedFiles, setUploadedFiles] = useState([])
   const [stats, setStats] = useState({ characters: 0, words: 0, lines: 0 })
+  const [converterOptions, setConverterOptions] = usePersistentState('converterOptions', {})
+  const [activeConverter, setActiveConverter] = useState(null)
+  const [locale, setLocale] = usePersistentState('locale', matchLocale(navigator.language))
+  const [pipelines, setPipelines] = usePersistentState('pipelines', [])
 
-  // Text conversion functions
-  const textConversions = {
-    sentenceCase: (text) => text.toLowerCase().replace(/(^\w|\.\s+\w)/g, (match) => match.toUpperCase()),
-    lowerCase: (text) => text.toLowerCase(),
-    upperCase: (text) => text.toUpperCase(),
-    titleCase: (text) => text.replace(/\w\S*/g, (txt) => txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase()),
-    camelCase: (text) => text.replace(/(?:^\w|[A-Z]|\b\w)/g, (word, index) => 
-      index === 0 ? word.toLowerCase() : word.toUpperCase()).replace(/\s+/g, ''),
-    pascalCase: (text) => text.replace(/(?:^\w|[A-Z]|\b\w)/g, (word) => word.toUpperCase()).replace(/\s+/g, ''),
-    snakeCase: (text) => text.toLowerCase().replace(/\s+/g, '_'),
-    kebabCase: (text) => text.toLowerCase().replace(/\s+/g, '-'),
-    alternatingCase: (text) => text.split('').map((char, index) => 
-      index % 2 === 0 ? char.toLowerCase() : char.toUpperCase()).join(''),
-    inverseCase: (text) => text.split('').map((char, index) => 
-      index % 2 === 1 ? char.toLowerCase() : char.toUpperCase()).join(''),
-    reverseText: (text) => text.split('').reverse().join(''),
-    capitalizedCase: (text) => text.replace(/\b\w/g, (char) => char.toUpperCase())
-  }
+  // Undo/redo covers typing, file loads, conversions and clears
+  const restoreSnapshot = useCallback(({ input, output }) => {
+    setInputText(input)
+    setOutputText(output)
+  }, [setInputText])
+  const { checkpoint, undo, redo, reset: resetUndo, canUndo, canRedo } =
+    useUndoRedo({ input: inputText, output: outputText }, restoreSnapshot)
 
-  // Number formatting functions
-  const numberConversions = {
-    commaToPeriod: (text) => text.replace(/(\d),(\d)/g, '$1.$2'),
-    periodToComma: (text) => text.replace(/(\d)\.(\d)/g, '$1,$2'),
-    addThousandSeparators: (text) => text.replace(/\B(?=(\d{3})+(?!\d))/g, ','),
-    removeSeparators: (text) => text.replace(/[,\s]/g, '')
-  }
+  // Restore history and uploaded files from the previous session
+  useEffect(() => {
+    loadHistory().then(setConversionHistory).catch(console.error)
+    loadAll('files').then(files => setUploadedFiles(files.sort((a, b) => a.id - b.id))).catch(console.error)
+  }, [])
 
-  // Special conversions
-  const specialConversions = {
-    removeSpaces: (text) => text.replace(/\s/g, ''),
-    removeLineBreaks: (text) => text.replace(/\n/g, ''),
-    removeExtraSpaces: (text) => text.replace(/\s+/g, ' '),
-    trimWhitespace: (text) => text.trim()
-  }
+  // Keep history within the retention limit, in memory and in storage
+  useEffect(() => {
+    const expired = entriesOverLimit(conversionHistory, historyLimit)
+    if (expired.length === 0) return
+    removeHistoryEntries(expired).catch(console.error)
+    setConversionHistory(prev => prev.filter(entry => !expired.includes(entry)))
+  }, [conversionHistory, historyLimit])
 
   // Calculate text statistics
   useEffect(() => {
@@ -84,23 +127,101 @@ function App() {
     }
   }, [darkMode])
 
+  // The newest history entry and the merge key it was recorded with
+  const lastHistoryEntry = useRef({ key: null, entry: null })
+
+  // Entries recorded with the same merge key as the newest one, for the same
+  // input (e.g. re-runs while tweaking options), replace it instead of piling up
+  const addToHistory = useCallback((type, input, output, mergeKey = null) => {
+    const last = lastHistoryEntry.current
+    const merge = mergeKey !== null && last.key === mergeKey && last.entry.input === input
+    const historyEntry = merge
+      ? { ...last.entry, output, timestamp: new Date().toLocaleTimeString() }
+      : createHistoryEntry(type, input, output)
+    lastHistoryEntry.current = { key: mergeKey, entry: historyEntry }
+    saveHistoryEntry(historyEntry).catch(console.error)
+    setConversionHistory(prev => (merge
+      ? prev.map(entry => (entry.id === historyEntry.id ? historyEntry : entry))
+      : [historyEntry, ...prev]))
+  }, [])
+
   // Handle text conversion
-  const handleConversion = useCallback((conversionType, conversionFunction) => {
+  const handleConversion = useCallback((conversionType, options = converterOptions[conversionType]) => {
+    setActiveConverter(conversionType)
     if (!inputText.trim()) return
     
-    const result = conversionFunction(inputText)
+    let result
+    const warnings = []
+    const warn = (message) => {
+      if (!warnings.includes(message)) warnings.push(message)
+    }
+    try {
+      result = runConverter(conversionType, inputText, options, { locale, warn })
+    } catch (error) {
+      setConversionError({ message: `${getConverter(conversionType).label}: ${error.message}`, position: error.position })
+      setConversionWarnings([])
+      return
+    }
+    setConversionError(null)
+    setConversionWarnings(warnings)
+    // Re-running the same converter (e.g. while tweaking options) is one undo
+    // step and one history entry
+    checkpoint(`convert:${conversionType}`)
     setOutputText(result)
-    
-    // Add to history
-    const historyEntry = {
-      id: Date.now(),
-      input: inputText,
-      output: result,
-      type: conversionType,
-      timestamp: new Date().toLocaleTimeString()
+    addToHistory(conversionType, inputText, result, `convert:${conversionType}`)
+  }, [inputText, converterOptions, locale, addToHistory, checkpoint])
+
+  // Run every step of a pipeline and keep the final output
+  const handlePipeline = useCallback((pipeline) => {
+    if (!inputText.trim() || pipeline.steps.length === 0) return
+
+    const results = runPipeline(pipeline.steps, inputText, { locale })
+    const failed = results.find(step => step.error)
+    if (failed) {
+      const label = getConverter(failed.step.converterId)?.label ?? failed.step.converterId
+      setConversionError({ message: `${pipeline.name}, step ${results.indexOf(failed) + 1} (${label}): ${failed.error}` })
+      setConversionWarnings([])
+      return
     }
-    setConversionHistory(prev => [historyEntry, ...prev.slice(0, 9)]) // Keep last 10
-  }, [inputText])
+    setConversionError(null)
+    setConversionWarnings([...new Set(results.flatMap(step => step.warnings))])
+    const result = results[results.length - 1].output
+    checkpoint()
+    setOutputText(result)
+    addToHistory(`pipeline: ${pipeline.name}`, inputText, result)
+  }, [inputText, locale, addToHistory, checkpoint])
+
+  // Output produced by one of the sidebar tools rather than a converter button.
+  // Tools handling secrets pass record: false to keep it out of stored history.
+  const handleToolOutput = useCallback((type, result, { record = true } = {}) => {
+    checkpoint()
+    setConversionError(null)
+    setConversionWarnings([])
+    setOutputText(result)
+    if (record) addToHistory(type, inputText, result)
+  }, [inputText, addToHistory, checkpoint])
+
+  const savePipeline = (pipeline) => {
+    setPipelines(prev => prev.some(p => p.id === pipeline.id)
+      ? prev.map(p => (p.id === pipeline.id ? pipeline : p))
+      : [...prev, pipeline])
+  }
+
+  const deletePipeline = (pipelineId) => {
+    setPipelines(prev => prev.filter(p => p.id !== pipelineId))
+  }
+
+  // Re-run the active converter whenever its options change
+  const handleOptionsChange = (converterId, options) => {
+    setConverterOptions(prev => ({ ...prev, [converterId]: options }))
+    handleConversion(converterId, options)
+  }
+
+  // Select the character at `position` in the input box
+  const jumpToInput = (position) => {
+    inputRef.current.focus()
+    inputRef.current.setSelectionRange(position, position + 1)
+  }
 
   // Copy to clipboard
   const copyToClipboard = async () => {
@@ -125,8 +246,11 @@ function App() {
 
   // Clear all
   const clearAll = () => {
+    checkpoint()
     setInputText('')
     setOutputText('')
+    setConversionError(null)
+    setConversionWarnings([])
   }
 
   // Handle keyboard shortcuts
@@ -141,19 +265,68 @@ function App() {
       case 'clear':
         clearAll()
         break
+      case 'undo':
+        undo()
+        break
+      case 'redo':
+        redo()
+        break
       default:
-        // Handle text conversion shortcuts
-        if (textConversions[action]) {
-          handleConversion(action, textConversions[action])
+        // Handle text conversion and saved pipeline shortcuts
+        if (getConverter(action)) {
+          handleConversion(action)
+        } else if (action.startsWith('pipeline:')) {
+          const pipeline = pipelines.find(p => p.id === action.slice('pipeline:'.length))
+          if (pipeline) handlePipeline(pipeline)
         }
         break
     }
-  }, [inputText, outputText])
+  }, [inputText, outputText, handleConversion, handlePipeline, pipelines, undo, redo])
+
+  const restoreHistoryEntry = (entry) => {
+    checkpoint()
+    setInputText(entry.input)
+    setOutputText(entry.output)
+  }
+
+  const togglePin = (entry) => {
+    const updated = { ...entry, pinned: !entry.pinned }
+    lastHistoryEntry.current = { key: null, entry: null }
+    saveHistoryEntry(updated).catch(console.error)
+    setConversionHistory(prev => prev.map(e => (e.id === entry.id ? updated : e)))
+  }
 
   // Handle file upload
   const handleFileUpload = useCallback((text) => {
+    checkpoint()
     setInputText(text)
-  }, [])
+  }, [setInputText, checkpoint])
+
+  const handleFilesAdded = (files) => {
+    files.forEach(file => saveValue('files', file.id, file).catch(console.error))
+    setUploadedFiles(prev => [...prev, ...files])
+  }
+
+  const handleFileRemoved = (fileId) => {
+    removeValue('files', fileId).catch(console.error)
+    setUploadedFiles(prev => prev.filter(file => file.id !== fileId))
+  }
+
+  // Wipe everything kept in the browser and return to a fresh session
+  const handleClearAllData = async () => {
+    await clearAllData()
+    resetUndo()
+    lastHistoryEntry.current = { key: null, entry: null }
+    setInputText('')
+    setOutputText('')
+    setConversionHistory([])
+    setUploadedFiles([])
+    setPipelines([])
+    setConverterOptions({})
+    setHistoryLimit(DEFAULT_HISTORY_LIMIT)
+    setDarkMode(false)
+    setLocale(matchLocale(navigator.language))
+  }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-600 via-blue-600 to-indigo-700 dark:from-gray-900 dark:via-purple-900 dark:to-indigo-900">
@@ -169,14 +342,31 @@ function App() {
               <Type className="w-8 h-8 text-white" />
               <h1 className="text-3xl font-bold text-white">TextConvert Pro</h1>
             </div>
-            <Button
-              variant="ghost"
-              size="sm"
-              onClick={() => setDarkMode(!darkMode)}
-              className="text-white hover:bg-white/20"
-            >
-              {darkMode ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
-            </Button>
+            <div className="flex items-center space-x-2">
+              <Select value={locale} onValueChange={setLocale}>
+                <SelectTrigger
+                  size="sm"
+                  className="text-white border-white/30 hover:bg-white/20"
+                  title="Language used for case conversion"
+                >
+                  <Languages className="w-4 h-4 text-white" />
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {LOCALES.map(({ value, label }) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setDarkMode(!darkMode)}
+                className="text-white hover:bg-white/20"
+              >
+                {darkMode ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
+              </Button>
+            </div>
           </div>
           <p className="text-white/80 text-lg">
             Advanced text case converter and formatter with enhanced features
@@ -203,11 +393,28 @@ function App() {
               </CardHeader>
               <CardContent className="space-y-4">
                 <textarea
+                  ref={inputRef}
                   value={inputText}
-                  onChange={(e) => setInputText(e.target.value)}
+                  onChange={(e) => {
+                    checkpoint('typing')
+                    setInputText(e.target.value)
+                    // An error location no longer matches the edited text
+                    setConversionError(prev => prev?.position === undefined ? prev : { message: prev.message })
+                  }}
+                  onSelect={(e) => setInputCursor(e.target.selectionStart)}
+                  data-app-undo="true"
+                  aria-invalid={conversionError?.position !== undefined}
                   placeholder="Enter your text here... Try typing 'Hello World! This is a TEST of the text converter. It should handle 1,234.56 numbers too.'"
-                  className="w-full h-40 p-4 border border-border rounded-lg bg-background resize-none focus:outline-none focus:ring-2 focus:ring-primary"
+                  className="w-full h-40 p-4 border border-border rounded-lg bg-background resize-none focus:outline-none focus:ring-2 focus:ring-primary aria-invalid:border-destructive aria-invalid:focus:ring-destructive"
                 />
+
+                {conversionError?.position !== undefined && (
+                  <InputErrorMarker
+                    text={inputText}
+                    position={conversionError.position}
+                    onJump={() => jumpToInput(conversionError.position)}
+                  />
+                )}
                 
                 {/* Text Statistics */}
                 <div className="flex space-x-6 text-sm text-muted-foreground">
@@ -218,76 +425,66 @@ function App() {
 
                 {/* Conversion Tabs */}
                 <Tabs defaultValue="text" className="w-full">
-                  <TabsList className="grid w-full grid-cols-3">
-                    <TabsTrigger value="text" className="flex items-center space-x-2">
-                      <Type className="w-4 h-4" />
-                      <span>Text Case</span>
-                    </TabsTrigger>
-                    <TabsTrigger value="numbers" className="flex items-center space-x-2">
-                      <Hash className="w-4 h-4" />
-                      <span>Numbers</span>
-                    </TabsTrigger>
-                    <TabsTrigger value="special" className="flex items-center space-x-2">
-                      <Wand2 className="w-4 h-4" />
-                      <span>Special</span>
-                    </TabsTrigger>
+                  <TabsList className="flex flex-wrap h-auto w-full">
+                    {categories.map((category) => {
+                      const CategoryIcon = categoryLayout[category.id].icon
+                      return (
+                        <TabsTrigger key={category.id} value={category.id} className="flex-1 flex items-center space-x-2">
+                          <CategoryIcon className="w-4 h-4" />
+                          <span>{category.label}</span>
+                        </TabsTrigger>
+                      )
+                    })}
                   </TabsList>
 
-                  {/* Text Case Conversions */}
-                  <TabsContent value="text" className="space-y-4">
-                    <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
-                      {Object.entries(textConversions).map(([key, func]) => (
-                        <Button
-                          key={key}
-                          variant="outline"
-                          size="sm"
-                          onClick={() => handleConversion(key, func)}
-                          className="text-left justify-start"
-                        >
-                          {key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
-                        </Button>
-                      ))}
-                    </div>
-                  </TabsContent>
-
-                  {/* Number Formatting */}
-                  <TabsContent value="numbers" className="space-y-4">
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
-                      {Object.entries(numberConversions).map(([key, func]) => (
-                        <Button
-                          key={key}
-                          variant="outline"
-                          size="sm"
-                          onClick={() => handleConversion(key, func)}
-                          className="text-left justify-start"
-                        >
-                          {key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
-                        </Button>
-                      ))}
-                    </div>
-                  </TabsContent>
-
-                  {/* Special Conversions */}
-                  <TabsContent value="special" className="space-y-4">
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
-                      {Object.entries(specialConversions).map(([key, func]) => (
-                        <Button
-                          key={key}
-                          variant="outline"
-                          size="sm"
-                          onClick={() => handleConversion(key, func)}
-                          className="text-left justify-start"
-                        >
-                          {key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
-                        </Button>
-                      ))}
-                    </div>
-                  </TabsContent>
+                  {categories.map((category) => (
+                    <TabsContent key={category.id} value={category.id} className="space-y-4">
+                      <div className={categoryLayout[category.id].grid}>
+                        {getConverters(category.id).map((converter) => (
+                          <Button
+                            key={converter.id}
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleConversion(converter.id)}
+                            className="text-left justify-start"
+                          >
+                            {converter.label}
+                          </Button>
+                        ))}
+                      </div>
+                      {getConverter(activeConverter)?.category === category.id && (
+                        <ConverterOptions
+                          converter={getConverter(activeConverter)}
+                          values={converterOptions[activeConverter] ?? {}}
+                          onChange={(options) => handleOptionsChange(activeConverter, options)}
+                        />
+                      )}
+                      {category.id === 'ciphers' && activeConverter === 'morseCode' && (
+                        <MorsePlayer text={outputText || inputText} />
+                      )}
+                    </TabsContent>
+                  ))}
                 </Tabs>
 
                 {/* Output Section */}
                 <div className="space-y-4">
                   <label className="text-sm font-medium">Converted Text:</label>
+                  {conversionError && (
+                    <Alert variant="destructive">
+                      <AlertCircle />
+                      <AlertDescription>{conversionError.message}</AlertDescription>
+                    </Alert>
+                  )}
+                  {conversionWarnings.length > 0 && (
+                    <Alert>
+                      <TriangleAlert />
+                      <AlertDescription>
+                        <ul className="list-disc pl-4">
+                          {conversionWarnings.map(warning => <li key={warning}>{warning}</li>)}
+                        </ul>
+                      </AlertDescription>
+                    </Alert>
+                  )}
                   <textarea
                     value={outputText}
                     readOnly
@@ -309,6 +506,12 @@ function App() {
                       <Trash2 className="w-4 h-4 mr-2" />
                       Clear
                     </Button>
+                    <Button onClick={undo} disabled={!canUndo} size="sm" variant="outline" title="Undo (Ctrl+Z)">
+                      <Undo2 className="w-4 h-4" />
+                    </Button>
+                    <Button onClick={redo} disabled={!canRedo} size="sm" variant="outline" title="Redo (Ctrl+Shift+Z)">
+                      <Redo2 className="w-4 h-4" />
+                    </Button>
                   </div>
                 </div>
               </CardContent>
@@ -334,7 +537,7 @@ function App() {
                   variant="outline" 
                   size="sm" 
                   className="w-full justify-start"
-                  onClick={() => handleConversion('upperCase', textConversions.upperCase)}
+                  onClick={() => handleConversion('upperCase')}
                 >
                   UPPERCASE
                 </Button>
@@ -342,7 +545,7 @@ function App() {
                   variant="outline" 
                   size="sm" 
                   className="w-full justify-start"
-                  onClick={() => handleConversion('lowerCase', textConversions.lowerCase)}
+                  onClick={() => handleConversion('lowerCase')}
                 >
                   lowercase
                 </Button>
@@ -350,49 +553,73 @@ function App() {
                   variant="outline" 
                   size="sm" 
                   className="w-full justify-start"
-                  onClick={() => handleConversion('titleCase', textConversions.titleCase)}
+                  onClick={() => handleConversion('titleCase')}
                 >
                   Title Case
                 </Button>
               </CardContent>
             </Card>
 
+            {/* Pipelines */}
+            <PipelineBuilder
+              inputText={inputText}
+              locale={locale}
+              pipelines={pipelines}
+              onRun={handlePipeline}
+              onSave={savePipeline}
+              onDelete={deletePipeline}
+            />
+
+            {/* URL Inspector */}
+            <UrlInspector text={inputText} onApply={(url) => handleToolOutput('urlInspector', url)} />
+
+            {/* JWT Inspector */}
+            <JwtInspector text={inputText} onApply={(payload) => handleToolOutput('jwtInspector', payload)} />
+
+            {/* Email & Domain Checker */}
+            <AddressChecker text={inputText} onApply={(list) => handleToolOutput('addressChecker', list)} />
+
             {/* File Upload */}
-            <FileUpload onTextLoaded={handleFileUpload} />
+            <FileUpload
+              uploadedFiles={uploadedFiles}
+              onFilesAdded={handleFilesAdded}
+              onFileRemoved={handleFileRemoved}
+              onTextLoaded={handleFileUpload}
+            />
+
+            {/* CSV / TSV Table */}
+            <CsvPanel text={inputText} locale={locale} onApply={(csv) => handleToolOutput('csvColumns', csv)} />
+
+            {/* Hashes & Checksums */}
+            <HashPanel text={inputText} uploadedFiles={uploadedFiles} />
+
+            {/* Byte Inspector */}
+            <ByteInspector
+              text={inputText}
+              cursor={inputCursor}
+              uploadedFiles={uploadedFiles}
+              onApply={(bytes) => handleToolOutput('byteInspector', bytes)}
+            />
+
+            {/* Encryption: plaintext next to its ciphertext must not be stored */}
+            <EncryptionPanel text={inputText} onApply={(type, result) => handleToolOutput(type, result, { record: false })} />
 
             {/* Text Analysis */}
-            <TextAnalysis text={inputText} />
+            <TextAnalysis text={inputText} locale={locale} />
 
             {/* Conversion History */}
-            <Card>
-              <CardHeader>
-                <CardTitle className="flex items-center space-x-2">
-                  <History className="w-5 h-5" />
-                  <span>Recent Conversions</span>
-                </CardTitle>
-              </CardHeader>
-              <CardContent>
-                {conversionHistory.length > 0 ? (
-                  <div className="space-y-2 max-h-64 overflow-y-auto">
-                    {conversionHistory.map((entry) => (
-                      <div key={entry.id} className="p-2 border border-border rounded text-xs">
-                        <div className="flex items-center justify-between mb-1">
-                          <Badge variant="secondary" className="text-xs">
-                            {entry.type}
-                          </Badge>
-                          <span className="text-muted-foreground">{entry.timestamp}</span>
-                        </div>
-                        <div className="text-muted-foreground truncate">
-                          {entry.input.substring(0, 30)}...
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                ) : (
-                  <p className="text-muted-foreground text-sm">No conversions yet</p>
-                )}
-              </CardContent>
-            </Card>
+            <ConversionHistory
+              entries={conversionHistory}
+              onRestore={restoreHistoryEntry}
+              onTogglePin={togglePin}
+            />
+
+            {/* Settings */}
+            <DataSettings
+              historyLimit={historyLimit}
+              onHistoryLimitChange={setHistoryLimit}
+              onClearAll={handleClearAllData}
+            />
           </motion.div>
         </div>
 
@@ -408,7 +635,7 @@ function App() {
       </div>
 
       {/* Keyboard Shortcuts */}
-      <KeyboardShortcuts onConversion={handleShortcutAction} />
+      <KeyboardShortcuts onConversion={handleShortcutAction} pipelines={pipelines} />
     </div>
   )
 }
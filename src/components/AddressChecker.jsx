@@ -0,0 +1,143 @@
+import { useMemo, useState } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Switch } from '@/components/ui/switch.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx'
+import { AtSign, ArrowRight } from 'lucide-react'
+import { domainError, emailError, normalizeEmail } from '@/lib/conversions/email.js'
+import { domainToAscii, domainToUnicode } from '@/lib/conversions/punycode.js'
+
+const MAX_ROWS = 500
+
+// One result per non-blank line: { line, input, normalized, error }
+function checkLines(text, mode, options) {
+  return text.split('\n').flatMap((raw, index) => {
+    const input = raw.trim()
+    if (!input) return []
+    const error = mode === 'email' ? emailError(input) : domainError(input)
+    if (error) return [{ line: index + 1, input, normalized: null, error }]
+    try {
+      const normalized = mode === 'email'
+        ? normalizeEmail(input, options)
+        : { ascii: domainToAscii, unicode: domainToUnicode }[options.domainForm]?.(input) ?? input.toLowerCase()
+      return [{ line: index + 1, input, normalized, error: null }]
+    } catch (err) {
+      // e.g. an xn-- label that is not valid Punycode
+      return [{ line: index + 1, input, normalized: null, error: err.message }]
+    }
+  })
+}
+
+export default function AddressChecker({ text, onApply, className = '' }) {
+  const [mode, setMode] = useState('email')
+  const [domainForm, setDomainForm] = useState('keep')
+  const [stripDots, setStripDots] = useState(false)
+  const [stripPlusTag, setStripPlusTag] = useState(false)
+
+  const results = useMemo(
+    () => checkLines(text, mode, { domainForm, stripDots, stripPlusTag }),
+    [text, mode, domainForm, stripDots, stripPlusTag]
+  )
+  const valid = results.filter(result => !result.error)
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <AtSign className="w-5 h-5" />
+          <span>Email &amp; Domain Checker</span>
+        </CardTitle>
+        <CardDescription>
+          Validate and normalize one address or domain per line
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <Label className="text-xs">Check</Label>
+            <Select value={mode} onValueChange={setMode}>
+              <SelectTrigger size="sm" className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="email">Email addresses</SelectItem>
+                <SelectItem value="domain">Domains</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label className="text-xs">Domain form</Label>
+            <Select value={domainForm} onValueChange={setDomainForm}>
+              <SelectTrigger size="sm" className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="keep">As typed (lowercased)</SelectItem>
+                <SelectItem value="ascii">Punycode (xn--)</SelectItem>
+                <SelectItem value="unicode">Unicode</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        {mode === 'email' && (
+          <div className="flex flex-wrap gap-4">
+            <div className="flex items-center space-x-2">
+              <Switch id="strip-dots" checked={stripDots} onCheckedChange={setStripDots} />
+              <Label htmlFor="strip-dots" className="text-sm">Remove dots (Gmail)</Label>
+            </div>
+            <div className="flex items-center space-x-2">
+              <Switch id="strip-plus" checked={stripPlusTag} onCheckedChange={setStripPlusTag} />
+              <Label htmlFor="strip-plus" className="text-sm">Remove +tags</Label>
+            </div>
+          </div>
+        )}
+
+        {results.length === 0 ? (
+          <p className="text-muted-foreground text-sm">Enter one {mode === 'email' ? 'email address' : 'domain'} per line</p>
+        ) : (
+          <>
+            <div className="flex items-center space-x-2 text-sm">
+              <Badge>{valid.length} valid</Badge>
+              {results.length > valid.length && (
+                <Badge variant="destructive">{results.length - valid.length} invalid</Badge>
+              )}
+            </div>
+            <div className="max-h-80 overflow-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-10">Line</TableHead>
+                    <TableHead>Input</TableHead>
+                    <TableHead>Result</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {results.slice(0, MAX_ROWS).map(({ line, input, normalized, error }) => (
+                    <TableRow key={line} className={error ? 'bg-destructive/10' : ''}>
+                      <TableCell className="text-xs text-muted-foreground">{line}</TableCell>
+                      <TableCell className="font-mono text-xs break-all whitespace-normal">{input}</TableCell>
+                      <TableCell className={`text-xs break-all whitespace-normal ${error ? 'text-destructive' : 'font-mono'}`}>
+                        {error ?? normalized}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+            {results.length > MAX_ROWS && (
+              <p className="text-xs text-muted-foreground">Showing the first {MAX_ROWS} of {results.length} lines</p>
+            )}
+            <Button size="sm" onClick={() => onApply(valid.map(result => result.normalized).join('\n'))} disabled={valid.length === 0}>
+              <ArrowRight className="w-4 h-4 mr-2" />
+              Send Valid to Output
+            </Button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,206 @@
+import { useMemo, useState } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { ScanText, FileUp, X, ArrowRight } from 'lucide-react'
+import { BYTE_FORMATS, TEXT_ENCODINGS, dumpChar, encodeText, encodedCharRanges, formatBytes } from '@/lib/conversions/byteArrays.js'
+import { readFileAsBytes, uploadedFileBytes } from '@/lib/files.js'
+
+const BYTES_PER_ROW = 16
+const ROWS_PER_PAGE = 64
+
+const hexByte = (byte) => byte.toString(16).padStart(2, '0')
+
+const tryEncode = (text, encoding) => {
+  try {
+    return { bytes: encodeText(text, encoding), error: null }
+  } catch (error) {
+    return { bytes: new Uint8Array(0), error: error.message }
+  }
+}
+
+export default function ByteInspector({ text, cursor, uploadedFiles = [], onApply, className = '' }) {
+  const [encoding, setEncoding] = useState('utf-8')
+  const [file, setFile] = useState(null)
+  const [fileError, setFileError] = useState(null)
+  const [outputFormat, setOutputFormat] = useState('hex')
+  const [pages, setPages] = useState(1)
+
+  const { bytes, error } = useMemo(
+    () => (file ? { bytes: file.bytes, error: null } : tryEncode(text, encoding)),
+    [file, text, encoding]
+  )
+
+  // Bytes belonging to the character at the input cursor (or just before it at the end)
+  const highlight = useMemo(() => {
+    if (file || error || !text) return null
+    const ranges = encodedCharRanges(text, encoding)
+    const range = ranges.find(({ index, length }) => cursor >= index && cursor < index + length) ?? ranges[ranges.length - 1]
+    return { start: range.byteOffset, end: range.byteOffset + range.byteLength }
+  }, [file, error, text, encoding, cursor])
+
+  const totalRows = Math.ceil(bytes.length / BYTES_PER_ROW)
+  const highlightRow = highlight ? Math.floor(highlight.start / BYTES_PER_ROW) + 1 : 0
+  const visibleRows = Math.min(totalRows, Math.max(pages * ROWS_PER_PAGE, highlightRow))
+  const isHighlighted = (offset) => highlight && offset >= highlight.start && offset < highlight.end
+
+  const openFile = async (e) => {
+    const [selected] = e.target.files
+    e.target.value = ''
+    if (!selected) return
+    try {
+      setFile({ name: selected.name, bytes: await readFileAsBytes(selected) })
+      setFileError(null)
+      setPages(1)
+    } catch (err) {
+      setFileError(`Could not read ${selected.name}: ${err.message}`)
+    }
+  }
+
+  const openUploadedFile = (id) => {
+    const uploaded = uploadedFiles.find(f => String(f.id) === id)
+    if (!uploaded) return
+    setFile({ name: uploaded.name, bytes: uploadedFileBytes(uploaded) })
+    setFileError(null)
+    setPages(1)
+  }
+
+  const byteClass = (offset) => (isHighlighted(offset) ? 'bg-primary text-primary-foreground rounded-sm' : '')
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <ScanText className="w-5 h-5" />
+          <span>Byte Inspector</span>
+        </CardTitle>
+        <CardDescription>
+          Hex dump of the input or a binary file; the character at the cursor is highlighted
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <Label className="text-xs">Text encoding</Label>
+            <Select value={encoding} onValueChange={setEncoding} disabled={Boolean(file)}>
+              <SelectTrigger size="sm" className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {TEXT_ENCODINGS.map(({ value, label }) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label className="text-xs">Source</Label>
+            {file ? (
+              <div className="flex items-center h-8 space-x-2 text-sm">
+                <span className="truncate flex-1" title={file.name}>{file.name}</span>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setFile(null)}
+                  className="h-7 w-7 p-0"
+                  title="Back to input text"
+                >
+                  <X className="w-3 h-3" />
+                </Button>
+              </div>
+            ) : (
+              <Button variant="outline" size="sm" className="relative w-full">
+                <FileUp className="w-4 h-4 mr-2" />
+                Open File
+                <input
+                  type="file"
+                  onChange={openFile}
+                  className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                />
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {!file && uploadedFiles.length > 0 && (
+          <div className="space-y-1">
+            <Label className="text-xs">Uploaded file</Label>
+            <Select value="" onValueChange={openUploadedFile}>
+              <SelectTrigger size="sm" className="w-full">
+                <SelectValue placeholder="Inspect an uploaded file" />
+              </SelectTrigger>
+              <SelectContent>
+                {uploadedFiles.map(f => (
+                  <SelectItem key={f.id} value={String(f.id)}>{f.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        {fileError && <p className="text-sm text-destructive">{fileError}</p>}
+
+        {error ? (
+          <p className="text-sm text-destructive">{error}</p>
+        ) : bytes.length === 0 ? (
+          <p className="text-muted-foreground text-sm">Enter text or open a file to inspect its bytes</p>
+        ) : (
+          <>
+            <div className="max-h-80 overflow-auto rounded bg-muted p-2 font-mono text-xs leading-5">
+              {Array.from({ length: visibleRows }, (_, row) => {
+                const offset = row * BYTES_PER_ROW
+                const rowBytes = Array.from(bytes.subarray(offset, offset + BYTES_PER_ROW))
+                return (
+                  <div key={row} className="flex whitespace-pre">
+                    <span className="text-muted-foreground mr-3">{offset.toString(16).padStart(8, '0')}</span>
+                    <span className="mr-3">
+                      {Array.from({ length: BYTES_PER_ROW }, (_, i) => (
+                        <span key={i} className={i === 8 ? 'ml-2' : i > 0 ? 'ml-1' : ''}>
+                          <span className={byteClass(offset + i)}>{i < rowBytes.length ? hexByte(rowBytes[i]) : '  '}</span>
+                        </span>
+                      ))}
+                    </span>
+                    <span>
+                      {rowBytes.map((byte, i) => (
+                        <span key={i} className={byteClass(offset + i)}>{dumpChar(byte)}</span>
+                      ))}
+                    </span>
+                  </div>
+                )
+              })}
+            </div>
+            <div className="flex items-center justify-between text-xs text-muted-foreground">
+              <span>
+                {bytes.length} bytes
+                {highlight && ` · cursor bytes ${highlight.start}–${highlight.end - 1}`}
+              </span>
+              {visibleRows < totalRows && (
+                <Button variant="ghost" size="sm" onClick={() => setPages(pages + 1)} className="text-xs">
+                  Show more
+                </Button>
+              )}
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Select value={outputFormat} onValueChange={setOutputFormat}>
+                <SelectTrigger size="sm" className="w-32">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {BYTE_FORMATS.map(({ value, label }) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button size="sm" onClick={() => onApply(formatBytes(bytes, outputFormat))}>
+                <ArrowRight className="w-4 h-4 mr-2" />
+                Send Bytes to Output
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
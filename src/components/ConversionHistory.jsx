@@ -0,0 +1,226 @@
+import { useMemo, useState } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog.jsx'
+import { History, Pin, PinOff, GitCompare, Download, Search } from 'lucide-react'
+import { diffWords } from '@/lib/diff.js'
+import { historyToCsv, historyToJson } from '@/lib/history.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+const dateRanges = {
+  all: { label: 'Any time', maxAge: Infinity },
+  today: { label: 'Last 24 hours', maxAge: DAY },
+  week: { label: 'Last 7 days', maxAge: 7 * DAY },
+  month: { label: 'Last 30 days', maxAge: 30 * DAY }
+}
+
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = fileName
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+function DiffView({ entry }) {
+  const parts = useMemo(() => diffWords(entry.input, entry.output), [entry])
+
+  return (
+    <div className="grid grid-cols-2 gap-4">
+      <div className="space-y-1">
+        <p className="text-sm font-medium">Input</p>
+        <pre className="text-xs p-3 rounded bg-muted max-h-96 overflow-auto whitespace-pre-wrap break-words">
+          {parts.filter(part => part.type !== 'insert').map((part, index) => (
+            <span key={index} className={part.type === 'delete' ? 'bg-red-500/20 text-red-700 dark:text-red-300 line-through' : ''}>
+              {part.value}
+            </span>
+          ))}
+        </pre>
+      </div>
+      <div className="space-y-1">
+        <p className="text-sm font-medium">Output</p>
+        <pre className="text-xs p-3 rounded bg-muted max-h-96 overflow-auto whitespace-pre-wrap break-words">
+          {parts.filter(part => part.type !== 'delete').map((part, index) => (
+            <span key={index} className={part.type === 'insert' ? 'bg-green-500/20 text-green-700 dark:text-green-300' : ''}>
+              {part.value}
+            </span>
+          ))}
+        </pre>
+      </div>
+    </div>
+  )
+}
+
+export default function ConversionHistory({ entries, onRestore, onTogglePin, className = '' }) {
+  const [query, setQuery] = useState('')
+  const [typeFilter, setTypeFilter] = useState('all')
+  const [dateFilter, setDateFilter] = useState('all')
+  const [diffEntry, setDiffEntry] = useState(null)
+
+  const types = useMemo(() => [...new Set(entries.map(entry => entry.type))].sort(), [entries])
+
+  // Pinned entries first, then newest first
+  const visibleEntries = useMemo(() => {
+    const needle = query.trim().toLowerCase()
+    const now = Date.now()
+    return entries
+      .filter(entry => typeFilter === 'all' || entry.type === typeFilter)
+      .filter(entry => now - entry.id <= dateRanges[dateFilter].maxAge)
+      .filter(entry => !needle ||
+        entry.input.toLowerCase().includes(needle) ||
+        entry.output.toLowerCase().includes(needle))
+      .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || b.id - a.id)
+  }, [entries, query, typeFilter, dateFilter])
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <History className="w-5 h-5" />
+          <span>Recent Conversions</span>
+        </CardTitle>
+        <CardDescription>
+          Click an entry to restore it, pin it to keep it past the history limit
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {entries.length > 0 ? (
+          <>
+            {/* Filters */}
+            <div className="relative">
+              <Search className="w-4 h-4 absolute left-2 top-2 text-muted-foreground" />
+              <Input
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search input and output..."
+                className="h-8 pl-8"
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <Select value={typeFilter} onValueChange={setTypeFilter}>
+                <SelectTrigger size="sm" className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All converters</SelectItem>
+                  {types.map(type => (
+                    <SelectItem key={type} value={type}>{type}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select value={dateFilter} onValueChange={setDateFilter}>
+                <SelectTrigger size="sm" className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(dateRanges).map(([value, { label }]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {/* Entries */}
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {visibleEntries.map((entry) => (
+                <div
+                  key={entry.id}
+                  onClick={() => onRestore(entry)}
+                  className="p-2 border border-border rounded text-xs cursor-pointer hover:bg-muted/50"
+                  title="Restore into input and output"
+                >
+                  <div className="flex items-center justify-between mb-1">
+                    <div className="flex items-center space-x-1 min-w-0">
+                      {entry.pinned && <Pin className="w-3 h-3 text-primary flex-shrink-0" />}
+                      <Badge variant="secondary" className="text-xs truncate">
+                        {entry.type}
+                      </Badge>
+                    </div>
+                    <div className="flex items-center space-x-1">
+                      <span className="text-muted-foreground" title={new Date(entry.id).toLocaleString()}>
+                        {entry.timestamp}
+                      </span>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-6 w-6 p-0"
+                        title="Compare input and output"
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          setDiffEntry(entry)
+                        }}
+                      >
+                        <GitCompare className="w-3 h-3" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-6 w-6 p-0"
+                        title={entry.pinned ? 'Unpin' : 'Pin'}
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          onTogglePin(entry)
+                        }}
+                      >
+                        {entry.pinned ? <PinOff className="w-3 h-3" /> : <Pin className="w-3 h-3" />}
+                      </Button>
+                    </div>
+                  </div>
+                  <div className="text-muted-foreground truncate">
+                    {entry.input.substring(0, 30)}...
+                  </div>
+                </div>
+              ))}
+              {visibleEntries.length === 0 && (
+                <p className="text-muted-foreground text-sm">No matching conversions</p>
+              )}
+            </div>
+
+            {/* Export */}
+            <div className="flex space-x-2">
+              <Button
+                variant="outline"
+                size="sm"
+                className="text-xs"
+                onClick={() => downloadFile(historyToJson(visibleEntries), 'conversion-history.json', 'application/json')}
+              >
+                <Download className="w-3 h-3 mr-1" />
+                Export JSON
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                className="text-xs"
+                onClick={() => downloadFile(historyToCsv(visibleEntries), 'conversion-history.csv', 'text/csv')}
+              >
+                <Download className="w-3 h-3 mr-1" />
+                Export CSV
+              </Button>
+            </div>
+          </>
+        ) : (
+          <p className="text-muted-foreground text-sm">No conversions yet</p>
+        )}
+      </CardContent>
+
+      {/* Side-by-side diff */}
+      <Dialog open={diffEntry !== null} onOpenChange={(open) => !open && setDiffEntry(null)}>
+        <DialogContent className="sm:max-w-4xl">
+          <DialogHeader>
+            <DialogTitle>{diffEntry?.type}</DialogTitle>
+            <DialogDescription>
+              Removed text is struck through on the left, added text highlighted on the right
+            </DialogDescription>
+          </DialogHeader>
+          {diffEntry && <DiffView entry={diffEntry} />}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  )
+}
@@ -0,0 +1,66 @@
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Switch } from '@/components/ui/switch.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+
+// Renders the option schema of a registered converter as form controls
+export default function ConverterOptions({ converter, values, onChange, className = '' }) {
+  if (!converter || converter.options.length === 0) return null
+
+  const update = (optionId, value) => onChange({ ...values, [optionId]: value })
+
+  return (
+    <div className={`p-3 border rounded-lg bg-muted/50 space-y-3 ${className}`}>
+      <p className="text-sm font-medium">{converter.label} Options</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {converter.options.map((option) => {
+          const fieldId = `${converter.id}-${option.id}`
+          const value = values[option.id] ?? option.default
+
+          if (option.type === 'boolean') {
+            return (
+              <div key={option.id} className="flex items-center space-x-2">
+                <Switch
+                  id={fieldId}
+                  checked={value}
+                  onCheckedChange={(checked) => update(option.id, checked)}
+                />
+                <Label htmlFor={fieldId}>{option.label}</Label>
+              </div>
+            )
+          }
+
+          return (
+            <div key={option.id} className="space-y-1">
+              <Label htmlFor={fieldId} className="text-xs">{option.label}</Label>
+              {option.type === 'select' ? (
+                <Select value={String(value)} onValueChange={(selected) => update(option.id, selected)}>
+                  <SelectTrigger id={fieldId} size="sm" className="w-full">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {option.choices.map((choice) => (
+                      <SelectItem key={choice.value} value={String(choice.value)}>
+                        {choice.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              ) : (
+                <Input
+                  id={fieldId}
+                  type={option.type === 'number' ? 'number' : 'text'}
+                  value={value}
+                  min={option.min}
+                  max={option.max}
+                  onChange={(e) => update(option.id, option.type === 'number' ? Number(e.target.value) : e.target.value)}
+                  className="h-8"
+                />
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,205 @@
+import { useDeferredValue, useMemo, useState } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Checkbox } from '@/components/ui/checkbox.jsx'
+import { Select, SelectContent, SelectGroup, SelectItem, SelectLabel, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx'
+import { Sheet, ArrowRight, EyeOff } from 'lucide-react'
+import ConverterOptions from './ConverterOptions.jsx'
+import { categories, getConverter, getConverters, runConverter } from '@/lib/conversions/index.js'
+import { DELIMITERS, convertColumns, readCsv, stringifyCsv } from '@/lib/conversions/csv.js'
+
+const MAX_ROWS = 100
+// Converters that make sense for a single cell
+const CELL_CATEGORIES = ['text', 'numbers', 'special']
+
+export default function CsvPanel({ text, locale, onApply, className = '' }) {
+  // Parsing the whole input is only worth it while the table is shown
+  const [open, setOpen] = useState(false)
+  const [delimiter, setDelimiter] = useState('auto')
+  const [header, setHeader] = useState('auto')
+  const [selectedColumns, setSelectedColumns] = useState([])
+  const [converterId, setConverterId] = useState('upperCase')
+  const [options, setOptions] = useState({})
+  const [error, setError] = useState(null)
+
+  const deferredText = useDeferredValue(text)
+
+  const table = useMemo(() => {
+    if (!open || !deferredText.trim()) return null
+    try {
+      return readCsv(deferredText, { delimiter, header })
+    } catch (err) {
+      return { error: err.message }
+    }
+  }, [open, deferredText, delimiter, header])
+
+  const columnCount = table?.rows ? table.rows.reduce((max, row) => Math.max(max, row.length), 0) : 0
+  const columns = Array.from({ length: columnCount }, (_, index) =>
+    table.hasHeader ? table.rows[0][index] ?? `Column ${index + 1}` : `Column ${index + 1}`)
+  const bodyRows = table?.rows ? table.rows.slice(table.hasHeader ? 1 : 0) : []
+  // Column indexes can outlive a narrower table after the input changes
+  const activeColumns = selectedColumns.filter(column => column < columnCount)
+
+  const toggleColumn = (column, checked) => {
+    setSelectedColumns(prev => (checked ? [...prev, column].sort((a, b) => a - b) : prev.filter(c => c !== column)))
+  }
+
+  const apply = () => {
+    setError(null)
+    try {
+      const rows = convertColumns(table.rows, activeColumns, cell => runConverter(converterId, cell, options, { locale }), table)
+      onApply(stringifyCsv(rows, table))
+    } catch (err) {
+      setError(`${getConverter(converterId).label}: ${err.message}`)
+    }
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Sheet className="w-5 h-5" />
+          <span>CSV / TSV Table</span>
+        </CardTitle>
+        <CardDescription>
+          Preview delimited data and convert selected columns
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!open ? (
+          <Button size="sm" variant="outline" onClick={() => setOpen(true)}>
+            <Sheet className="w-4 h-4 mr-2" />
+            Show Input as Table
+          </Button>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-1">
+                <Label className="text-xs">Delimiter</Label>
+                <Select value={delimiter} onValueChange={setDelimiter}>
+                  <SelectTrigger size="sm" className="w-full">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="auto">Detect</SelectItem>
+                    {DELIMITERS.map(({ value, label }) => (
+                      <SelectItem key={label} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs">Header row</Label>
+                <Select value={header} onValueChange={setHeader}>
+                  <SelectTrigger size="sm" className="w-full">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="auto">Detect</SelectItem>
+                    <SelectItem value="yes">First row is a header</SelectItem>
+                    <SelectItem value="no">No header</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {!table ? (
+              <p className="text-muted-foreground text-sm">Enter or load CSV/TSV data to see it as a table</p>
+            ) : table.error ? (
+              <p className="text-sm text-destructive">{table.error}</p>
+            ) : (
+              <>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <Badge variant="secondary">{bodyRows.length} rows</Badge>
+                  <Badge variant="secondary">{columnCount} columns</Badge>
+                  <Badge variant="outline">{DELIMITERS.find(d => d.value === table.delimiter).label}-separated</Badge>
+                  {table.hasHeader && <Badge variant="outline">Header row</Badge>}
+                </div>
+                <div className="max-h-80 overflow-auto border rounded-lg">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead className="w-10 text-xs">#</TableHead>
+                        {columns.map((name, column) => (
+                          <TableHead key={column}>
+                            <div className="flex items-center space-x-2">
+                              <Checkbox
+                                id={`csv-column-${column}`}
+                                checked={activeColumns.includes(column)}
+                                onCheckedChange={checked => toggleColumn(column, checked === true)}
+                              />
+                              <Label htmlFor={`csv-column-${column}`} className="text-xs">{name}</Label>
+                            </div>
+                          </TableHead>
+                        ))}
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {bodyRows.slice(0, MAX_ROWS).map((row, index) => (
+                        <TableRow key={index}>
+                          <TableCell className="text-xs text-muted-foreground">{index + 1}</TableCell>
+                          {columns.map((_, column) => (
+                            <TableCell
+                              key={column}
+                              className={`text-xs whitespace-pre-wrap ${activeColumns.includes(column) ? 'bg-primary/5' : ''}`}
+                            >
+                              {row[column] ?? ''}
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+                {bodyRows.length > MAX_ROWS && (
+                  <p className="text-xs text-muted-foreground">Showing the first {MAX_ROWS} of {bodyRows.length} rows</p>
+                )}
+
+                <div className="space-y-1">
+                  <Label className="text-xs">Converter for selected columns</Label>
+                  <Select
+                    value={converterId}
+                    onValueChange={id => {
+                      setConverterId(id)
+                      setOptions({})
+                    }}
+                  >
+                    <SelectTrigger size="sm" className="w-full">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {categories.filter(category => CELL_CATEGORIES.includes(category.id)).map(category => (
+                        <SelectGroup key={category.id}>
+                          <SelectLabel>{category.label}</SelectLabel>
+                          {getConverters(category.id).map(converter => (
+                            <SelectItem key={converter.id} value={converter.id}>{converter.label}</SelectItem>
+                          ))}
+                        </SelectGroup>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <ConverterOptions converter={getConverter(converterId)} values={options} onChange={setOptions} />
+
+                {error && <p className="text-sm text-destructive">{error}</p>}
+
+                <Button size="sm" onClick={apply} disabled={activeColumns.length === 0}>
+                  <ArrowRight className="w-4 h-4 mr-2" />
+                  Convert {activeColumns.length === 1 ? '1 Column' : `${activeColumns.length} Columns`} to Output
+                </Button>
+              </>
+            )}
+
+            <Button size="sm" variant="ghost" onClick={() => setOpen(false)}>
+              <EyeOff className="w-4 h-4 mr-2" />
+              Hide Table
+            </Button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger
+} from '@/components/ui/alert-dialog.jsx'
+import { Settings, Trash2 } from 'lucide-react'
+
+export default function DataSettings({ historyLimit, onHistoryLimitChange, onClearAll, className = '' }) {
+  // The limit deletes history, so it only applies once editing is done
+  const [limitDraft, setLimitDraft] = useState(String(historyLimit))
+  const [clearError, setClearError] = useState(null)
+
+  useEffect(() => {
+    setLimitDraft(String(historyLimit))
+  }, [historyLimit])
+
+  const commitLimit = () => {
+    const limit = Math.round(Number(limitDraft))
+    if (!limitDraft.trim() || !Number.isFinite(limit)) {
+      setLimitDraft(String(historyLimit))
+      return
+    }
+    const clamped = Math.max(1, Math.min(1000, limit))
+    setLimitDraft(String(clamped))
+    onHistoryLimitChange(clamped)
+  }
+
+  const clearAll = () => {
+    onClearAll().then(
+      () => setClearError(null),
+      (error) => setClearError(`Could not clear stored data: ${error.message}`)
+    )
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Settings className="w-5 h-5" />
+          <span>Settings &amp; Data</span>
+        </CardTitle>
+        <CardDescription>
+          History, settings, drafts and files are kept in this browser only
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center justify-between space-x-4">
+          <Label htmlFor="history-limit" className="text-sm">Conversions to keep in history</Label>
+          <Input
+            id="history-limit"
+            type="number"
+            min={1}
+            max={1000}
+            value={limitDraft}
+            onChange={(e) => setLimitDraft(e.target.value)}
+            onBlur={commitLimit}
+            onKeyDown={(e) => e.key === 'Enter' && commitLimit()}
+            className="h-8 w-24"
+          />
+        </div>
+
+        <AlertDialog>
+          <AlertDialogTrigger asChild>
+            <Button variant="outline" size="sm" className="w-full text-destructive hover:text-destructive">
+              <Trash2 className="w-4 h-4 mr-2" />
+              Clear All Data
+            </Button>
+          </AlertDialogTrigger>
+          <AlertDialogContent>
+            <AlertDialogHeader>
+              <AlertDialogTitle>Clear all stored data?</AlertDialogTitle>
+              <AlertDialogDescription>
+                This removes your conversion history, saved pipelines, settings, draft text and
+                uploaded files from this browser. It cannot be undone.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel>Cancel</AlertDialogCancel>
+              <AlertDialogAction onClick={clearAll}>Clear All Data</AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+        {clearError && <p className="text-sm text-destructive">{clearError}</p>}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,82 @@
+import { useState } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Lock, LockOpen, Eye, EyeOff } from 'lucide-react'
+import { decryptText, encryptText } from '@/lib/encryption.js'
+
+// The passphrase stays in component state only; it is never persisted
+export default function EncryptionPanel({ text, onApply, className = '' }) {
+  const [passphrase, setPassphrase] = useState('')
+  const [showPassphrase, setShowPassphrase] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const run = async (type, action) => {
+    setBusy(true)
+    setError(null)
+    try {
+      onApply(type, await action(text, passphrase))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Lock className="w-5 h-5" />
+          <span>Encrypt Text</span>
+        </CardTitle>
+        <CardDescription>
+          AES-256-GCM with a passphrase, entirely in this browser
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-1">
+          <Label htmlFor="passphrase" className="text-xs">Passphrase</Label>
+          <div className="flex items-center space-x-2">
+            <Input
+              id="passphrase"
+              type={showPassphrase ? 'text' : 'password'}
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoComplete="off"
+              className="h-8"
+            />
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setShowPassphrase(!showPassphrase)}
+              className="h-8 w-8 p-0"
+              title={showPassphrase ? 'Hide passphrase' : 'Show passphrase'}
+            >
+              {showPassphrase ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+            </Button>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        <div className="flex space-x-2">
+          <Button size="sm" onClick={() => run('encrypt', encryptText)} disabled={busy || !text || !passphrase}>
+            <Lock className="w-4 h-4 mr-2" />
+            Encrypt
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => run('decrypt', decryptText)} disabled={busy || !text.trim() || !passphrase}>
+            <LockOpen className="w-4 h-4 mr-2" />
+            Decrypt
+          </Button>
+        </div>
+
+        <p className="text-xs text-muted-foreground">
+          The output is a Base64 envelope holding the salt, IV and iteration count, so only the passphrase is needed to decrypt it.
+        </p>
+      </CardContent>
+    </Card>
+  )
+}
@@ -4,10 +4,10 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Button } from '@/components/ui/button.jsx'
 import { Badge } from '@/components/ui/badge.jsx'
 import { Upload, FileText, X, Download } from 'lucide-react'
+import { createUploadedFile } from '@/lib/files.js'
 
-export default function FileUpload({ onTextLoaded, className = '' }) {
+export default function FileUpload({ uploadedFiles, onFilesAdded, onFileRemoved, onTextLoaded, className = '' }) {
   const [dragActive, setDragActive] = useState(false)
-  const [uploadedFiles, setUploadedFiles] = useState([])
   const [processing, setProcessing] = useState(false)
 
   const handleDrag = useCallback((e) => {
@@ -36,67 +36,39 @@ export default function FileUpload({ onTextLoaded, className = '' }) {
 
   const handleFiles = async (files) => {
     setProcessing(true)
-    const textFiles = files.filter(file => 
-      file.type === 'text/plain' || 
-      file.name.endsWith('.txt') || 
-      file.name.endsWith('.md') ||
-      file.name.endsWith('.csv')
-    )
-
-    if (textFiles.length === 0) {
-      alert('Please upload text files (.txt, .md, .csv)')
-      setProcessing(false)
-      return
-    }
-
     const processedFiles = []
-    
-    for (const file of textFiles) {
+    const failed = []
+
+    for (const file of files) {
       try {
-        const text = await readFileAsText(file)
-        const fileData = {
-          id: Date.now() + Math.random(),
-          name: file.name,
-          size: file.size,
-          content: text,
-          timestamp: new Date().toLocaleTimeString()
-        }
-        processedFiles.push(fileData)
+        processedFiles.push(await createUploadedFile(file))
       } catch (error) {
         console.error('Error reading file:', error)
+        failed.push(file.name)
       }
     }
 
-    setUploadedFiles(prev => [...prev, ...processedFiles])
+    if (failed.length > 0) {
+      alert(`Could not read ${failed.join(', ')}`)
+    }
+    onFilesAdded(processedFiles)
     setProcessing(false)
 
-    // Load the first file's content into the main text area
-    if (processedFiles.length > 0) {
-      onTextLoaded(processedFiles[0].content)
+    // Load the first text file's content into the main text area
+    const firstText = processedFiles.find(file => !file.binary)
+    if (firstText) {
+      onTextLoaded(firstText.content)
     }
   }
 
-  const readFileAsText = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.onload = (e) => resolve(e.target.result)
-      reader.onerror = (e) => reject(e)
-      reader.readAsText(file)
-    })
-  }
-
   const loadFileContent = (file) => {
     onTextLoaded(file.content)
   }
 
-  const removeFile = (fileId) => {
-    setUploadedFiles(prev => prev.filter(file => file.id !== fileId))
-  }
-
   const downloadProcessedFiles = () => {
     if (uploadedFiles.length === 0) return
 
-    const combinedContent = uploadedFiles.map(file => 
+    const combinedContent = uploadedFiles.filter(file => !file.binary).map(file => 
       `=== ${file.name} ===\n${file.content}\n\n`
     ).join('')
 
@@ -125,7 +97,7 @@ export default function FileUpload({ onTextLoaded, className = '' }) {
           <span>File Upload</span>
         </CardTitle>
         <CardDescription>
-          Upload text files (.txt, .md, .csv) for batch processing
+          Upload text files for batch processing, or any file to hash or inspect its bytes
         </CardDescription>
       </CardHeader>
       <CardContent className="space-y-4">
@@ -149,7 +121,6 @@ export default function FileUpload({ onTextLoaded, className = '' }) {
           <input
             type="file"
             multiple
-            accept=".txt,.md,.csv,text/plain"
             onChange={handleFileInput}
             className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
             disabled={processing}
@@ -162,7 +133,7 @@ export default function FileUpload({ onTextLoaded, className = '' }) {
                 {processing ? 'Processing files...' : 'Drop files here or click to browse'}
               </p>
               <p className="text-xs text-muted-foreground">
-                Supports .txt, .md, .csv files
+                Text files load into the converter; binary files go to the hash and byte tools
               </p>
             </div>
           </div>
@@ -200,6 +171,12 @@ export default function FileUpload({ onTextLoaded, className = '' }) {
                         <span>{formatFileSize(file.size)}</span>
                         <span>•</span>
                         <span>{file.timestamp}</span>
+                        {file.binary && (
+                          <>
+                            <span>•</span>
+                            <span>binary</span>
+                          </>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -209,6 +186,7 @@ export default function FileUpload({ onTextLoaded, className = '' }) {
                       variant="ghost"
                       size="sm"
                       onClick={() => loadFileContent(file)}
+                      disabled={file.binary}
                       className="text-xs"
                     >
                       Load
@@ -216,7 +194,7 @@ export default function FileUpload({ onTextLoaded, className = '' }) {
                     <Button
                       variant="ghost"
                       size="sm"
-                      onClick={() => removeFile(file.id)}
+                      onClick={() => onFileRemoved(file.id)}
                       className="text-xs text-destructive hover:text-destructive"
                     >
                       <X className="w-3 h-3" />
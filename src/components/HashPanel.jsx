@@ -0,0 +1,162 @@
+import { useEffect, useState } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Table, TableBody, TableCell, TableHead, TableRow } from '@/components/ui/table.jsx'
+import { Fingerprint, Copy, Check, X } from 'lucide-react'
+import { computeHashes, digestMatches, formatDigest } from '@/lib/hash.js'
+import { utf8Encode } from '@/lib/conversions/bytes.js'
+import { uploadedFileBytes } from '@/lib/files.js'
+
+// Uploaded files are hashed from their original bytes
+const sourcesFor = (source, text, files) => source === 'files'
+  ? files.map(file => ({ id: file.id, name: file.name, bytes: uploadedFileBytes(file) }))
+  : [{ id: 'input', name: 'Input text', bytes: utf8Encode(text) }]
+
+export default function HashPanel({ text, uploadedFiles, className = '' }) {
+  const [source, setSource] = useState('input')
+  const [format, setFormat] = useState('hex')
+  const [hmacKey, setHmacKey] = useState('')
+  const [expected, setExpected] = useState('')
+  const [results, setResults] = useState([])
+  const [error, setError] = useState(null)
+
+  // Digests are async (WebCrypto); drop results from a stale run
+  useEffect(() => {
+    let cancelled = false
+    const key = hmacKey ? utf8Encode(hmacKey) : null
+    Promise.all(sourcesFor(source, text, uploadedFiles).map(async ({ id, name, bytes }) => ({
+      id,
+      name,
+      hashes: await computeHashes(bytes, key)
+    })))
+      .then(computed => {
+        if (cancelled) return
+        setResults(computed)
+        setError(null)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [source, text, uploadedFiles, hmacKey])
+
+  const copyDigest = (value) => navigator.clipboard.writeText(value)
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Fingerprint className="w-5 h-5" />
+          <span>Hash &amp; Checksum</span>
+        </CardTitle>
+        <CardDescription>
+          Computed locally in your browser, nothing is uploaded
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <Label className="text-xs">Source</Label>
+            <Select value={source} onValueChange={setSource}>
+              <SelectTrigger size="sm" className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="input">Input text</SelectItem>
+                <SelectItem value="files">Uploaded files ({uploadedFiles.length})</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label className="text-xs">Output</Label>
+            <Select value={format} onValueChange={setFormat}>
+              <SelectTrigger size="sm" className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="hex">Hex</SelectItem>
+                <SelectItem value="base64">Base64</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor="hmac-key" className="text-xs">HMAC key (optional)</Label>
+          <Input
+            id="hmac-key"
+            value={hmacKey}
+            onChange={(e) => setHmacKey(e.target.value)}
+            placeholder="Leave empty for plain digests"
+            className="h-8 font-mono text-xs"
+          />
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor="expected-hash" className="text-xs">Compare against expected hash</Label>
+          <Input
+            id="expected-hash"
+            value={expected}
+            onChange={(e) => setExpected(e.target.value)}
+            placeholder="Paste a hex or Base64 digest"
+            className="h-8 font-mono text-xs"
+          />
+        </div>
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        {source === 'files' && uploadedFiles.length === 0 ? (
+          <p className="text-muted-foreground text-sm">Upload files to hash them</p>
+        ) : (
+          results.map(({ id, name, hashes }) => {
+            const anyMatch = expected.trim() && hashes.some(hash => digestMatches(expected, hash.digest))
+            return (
+              <div key={id} className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <h4 className="text-sm font-medium truncate">{name}</h4>
+                  {expected.trim() && (
+                    <Badge variant={anyMatch ? 'default' : 'destructive'}>
+                      {anyMatch ? <Check className="w-3 h-3" /> : <X className="w-3 h-3" />}
+                      {anyMatch ? 'Match' : 'No match'}
+                    </Badge>
+                  )}
+                </div>
+                <Table>
+                  <TableBody>
+                    {hashes.map(hash => {
+                      const value = formatDigest(hash.digest, format)
+                      const matches = expected.trim() && digestMatches(expected, hash.digest)
+                      return (
+                        <TableRow key={hash.id} className={matches ? 'bg-green-500/10' : ''}>
+                          <TableHead className="w-28 text-xs">{hash.label}</TableHead>
+                          <TableCell className="font-mono text-xs break-all whitespace-normal">{value}</TableCell>
+                          <TableCell className="w-8">
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => copyDigest(value)}
+                              className="h-7 w-7 p-0"
+                              title="Copy"
+                            >
+                              <Copy className="w-3 h-3" />
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      )
+                    })}
+                  </TableBody>
+                </Table>
+              </div>
+            )
+          })
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,32 @@
+import { Button } from '@/components/ui/button.jsx'
+import { lineColumn } from '@/lib/conversions/jsonSyntax.js'
+
+const CONTEXT_LINES = 2
+
+// Shows where in the input a conversion failed: the surrounding lines with
+// line numbers and a caret under the offending character
+export default function InputErrorMarker({ text, position, onJump, className = '' }) {
+  const { line, column } = lineColumn(text, position)
+  const lines = text.split('\n')
+  const first = Math.max(1, line - CONTEXT_LINES)
+  const gutter = String(line).length
+
+  return (
+    <div className={`rounded-lg border border-destructive/50 bg-destructive/5 p-2 space-y-2 ${className}`}>
+      <pre className="font-mono text-xs overflow-x-auto">
+        {lines.slice(first - 1, line).map((content, index) => {
+          const number = first + index
+          return (
+            <div key={number} className={number === line ? 'text-destructive' : 'text-muted-foreground'}>
+              {String(number).padStart(gutter)} | {content}
+            </div>
+          )
+        })}
+        <div className="text-destructive">{' '.repeat(gutter)} | {' '.repeat(column - 1)}^</div>
+      </pre>
+      <Button variant="outline" size="sm" onClick={onJump} className="text-xs">
+        Show in input (line {line}, column {column})
+      </Button>
+    </div>
+  )
+}
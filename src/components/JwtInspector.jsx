@@ -0,0 +1,128 @@
+import { useEffect, useMemo, useState } from 'react'
+import { format, formatDistance } from 'date-fns'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Textarea } from '@/components/ui/textarea.jsx'
+import { Table, TableBody, TableCell, TableHead, TableRow } from '@/components/ui/table.jsx'
+import { KeyRound, ArrowRight, ShieldCheck, ShieldX } from 'lucide-react'
+import { SUPPORTED_ALGORITHMS, findJwt, getTimeClaims, getTokenStatus, verifyJwt } from '@/lib/jwt.js'
+
+const prettyJson = (value) => JSON.stringify(value, null, 2)
+
+export default function JwtInspector({ text, onApply, className = '' }) {
+  const jwt = useMemo(() => findJwt(text), [text])
+  const [key, setKey] = useState('')
+  const [verification, setVerification] = useState(null)
+
+  // A new token or key invalidates the previous verification result
+  useEffect(() => {
+    setVerification(null)
+  }, [jwt?.token, key])
+
+  const verify = async () => {
+    try {
+      setVerification({ valid: await verifyJwt(jwt, key) })
+    } catch (error) {
+      setVerification({ error: error.message })
+    }
+  }
+
+  const now = new Date()
+  const status = jwt && getTokenStatus(jwt.payload, now.getTime())
+  const canVerify = jwt && SUPPORTED_ALGORITHMS.includes(jwt.header.alg)
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <KeyRound className="w-5 h-5" />
+          <span>JWT Inspector</span>
+        </CardTitle>
+        <CardDescription>
+          Decode a JSON Web Token found in the input and verify it locally
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!jwt ? (
+          <p className="text-muted-foreground text-sm">Paste a JWT into the input to decode it</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2">
+              <Badge variant="secondary" className="font-mono">{jwt.header.alg}</Badge>
+              {status.expired && <Badge variant="destructive">Expired</Badge>}
+              {status.notYetValid && <Badge variant="destructive">Not yet valid</Badge>}
+              {!status.expired && !status.notYetValid && jwt.payload.exp !== undefined && (
+                <Badge>Active</Badge>
+              )}
+            </div>
+
+            {getTimeClaims(jwt.payload).length > 0 && (
+              <Table>
+                <TableBody>
+                  {getTimeClaims(jwt.payload).map(({ id, label, value, date }) => (
+                    <TableRow key={id}>
+                      <TableHead className="w-24 text-xs">{label} <span className="font-mono">({id})</span></TableHead>
+                      <TableCell className="text-xs">
+                        {date ? (
+                          <>
+                            {format(date, 'PPpp')}
+                            <span className="text-muted-foreground"> · {formatDistance(date, now, { addSuffix: true })}</span>
+                          </>
+                        ) : (
+                          <>
+                            <span className="font-mono">{value}</span>
+                            <span className="text-muted-foreground"> · not a valid date</span>
+                          </>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+
+            {[['Header', jwt.header], ['Payload', jwt.payload]].map(([label, value]) => (
+              <div key={label} className="space-y-2">
+                <h4 className="text-sm font-medium">{label}</h4>
+                <pre className="text-xs font-mono p-2 rounded bg-muted overflow-x-auto">{prettyJson(value)}</pre>
+              </div>
+            ))}
+
+            <Button size="sm" onClick={() => onApply(prettyJson(jwt.payload))}>
+              <ArrowRight className="w-4 h-4 mr-2" />
+              Send Payload to Output
+            </Button>
+
+            <div className="space-y-2">
+              <Label htmlFor="jwt-key" className="text-sm">
+                {jwt.header.alg === 'RS256' ? 'Public key (PEM or JWK)' : 'Secret'}
+              </Label>
+              <Textarea
+                id="jwt-key"
+                value={key}
+                onChange={(e) => setKey(e.target.value)}
+                disabled={!canVerify}
+                placeholder={canVerify ? 'Optional, used only in this browser' : `Verifying ${jwt.header.alg} is not supported`}
+                className="min-h-16 font-mono text-xs"
+              />
+              <div className="flex items-center gap-2">
+                <Button size="sm" variant="outline" onClick={verify} disabled={!canVerify || !key}>
+                  Verify Signature
+                </Button>
+                {verification?.valid === true && (
+                  <span className="flex items-center text-sm text-green-600"><ShieldCheck className="w-4 h-4 mr-1" />Signature valid</span>
+                )}
+                {verification?.valid === false && (
+                  <span className="flex items-center text-sm text-destructive"><ShieldX className="w-4 h-4 mr-1" />Signature invalid</span>
+                )}
+              </div>
+              {verification?.error && <p className="text-sm text-destructive">{verification.error}</p>}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -1,33 +1,68 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useMemo, useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
 import { Badge } from '@/components/ui/badge.jsx'
 import { Button } from '@/components/ui/button.jsx'
 import { Keyboard, X } from 'lucide-react'
 
-export default function KeyboardShortcuts({ onConversion, isVisible, onClose }) {
+const shortcuts = [
+  { key: 'Ctrl+U', action: 'upperCase', description: 'Convert to UPPERCASE' },
+  { key: 'Ctrl+L', action: 'lowerCase', description: 'Convert to lowercase' },
+  { key: 'Ctrl+T', action: 'titleCase', description: 'Convert to Title Case' },
+  { key: 'Ctrl+C', action: 'camelCase', description: 'Convert to camelCase' },
+  { key: 'Ctrl+P', action: 'pascalCase', description: 'Convert to PascalCase' },
+  { key: 'Ctrl+S', action: 'snakeCase', description: 'Convert to snake_case' },
+  { key: 'Ctrl+K', action: 'kebabCase', description: 'Convert to kebab-case' },
+  { key: 'Ctrl+R', action: 'reverseText', description: 'Reverse text' },
+  { key: 'Ctrl+Alt+C', action: 'constantCase', description: 'Convert to CONSTANT_CASE' },
+  { key: 'Ctrl+Alt+D', action: 'dotCase', description: 'Convert to dot.case' },
+  { key: 'Ctrl+Alt+P', action: 'pathCase', description: 'Convert to path/case' },
+  { key: 'Ctrl+Alt+T', action: 'trainCase', description: 'Convert to Train-Case' },
+  { key: 'Ctrl+Alt+H', action: 'headerCase', description: 'Convert to Header-Case' },
+  { key: 'Ctrl+Alt+F', action: 'flatCase', description: 'Convert to flatcase' },
+  { key: 'Ctrl+Shift+C', action: 'copy', description: 'Copy result to clipboard' },
+  { key: 'Ctrl+Shift+D', action: 'download', description: 'Download as text file' },
+  { key: 'Ctrl+Shift+X', action: 'clear', description: 'Clear all text' },
+  { key: 'Ctrl+Z', action: 'undo', description: 'Undo last change', inAppEditor: true },
+  { key: 'Ctrl+Shift+Z', action: 'redo', description: 'Redo last undone change', inAppEditor: true },
+  { key: 'Ctrl+Y', action: 'redo', description: 'Redo last undone change', inAppEditor: true },
+  { key: '?', action: 'help', description: 'Show/hide shortcuts' }
+]
+
+// Match a "Ctrl+Shift+K" style combo against a keydown event. Letter keys are
+// also matched by physical key because Alt changes e.key on some platforms.
+const matchesShortcut = (e, combo) => {
+  const parts = combo.split('+')
+  const key = parts.pop().toLowerCase()
+  if (parts.length === 0) return false
+  return (e.key.toLowerCase() === key || e.code === `Key${key.toUpperCase()}` || e.code === `Digit${key}`) &&
+    e.ctrlKey === parts.includes('Ctrl') &&
+    e.shiftKey === parts.includes('Shift') &&
+    e.altKey === parts.includes('Alt')
+}
+
+export default function KeyboardShortcuts({ onConversion, pipelines = [], isVisible, onClose }) {
   const [showShortcuts, setShowShortcuts] = useState(false)
 
-  const shortcuts = [
-    { key: 'Ctrl+U', action: 'upperCase', description: 'Convert to UPPERCASE' },
-    { key: 'Ctrl+L', action: 'lowerCase', description: 'Convert to lowercase' },
-    { key: 'Ctrl+T', action: 'titleCase', description: 'Convert to Title Case' },
-    { key: 'Ctrl+C', action: 'camelCase', description: 'Convert to camelCase' },
-    { key: 'Ctrl+P', action: 'pascalCase', description: 'Convert to PascalCase' },
-    { key: 'Ctrl+S', action: 'snakeCase', description: 'Convert to snake_case' },
-    { key: 'Ctrl+K', action: 'kebabCase', description: 'Convert to kebab-case' },
-    { key: 'Ctrl+R', action: 'reverseText', description: 'Reverse text' },
-    { key: 'Ctrl+Shift+C', action: 'copy', description: 'Copy result to clipboard' },
-    { key: 'Ctrl+Shift+D', action: 'download', description: 'Download as text file' },
-    { key: 'Ctrl+Shift+X', action: 'clear', description: 'Clear all text' },
-    { key: '?', action: 'help', description: 'Show/hide shortcuts' }
-  ]
+  // The first nine saved pipelines get Ctrl+Alt+1..9
+  const allShortcuts = useMemo(() => [
+    ...shortcuts,
+    ...pipelines.slice(0, 9).map((pipeline, index) => ({
+      key: `Ctrl+Alt+${index + 1}`,
+      action: `pipeline:${pipeline.id}`,
+      description: `Run pipeline "${pipeline.name}"`
+    }))
+  ], [pipelines])
 
   useEffect(() => {
     const handleKeyDown = (e) => {
-      // Don't trigger shortcuts when typing in input fields
+      const shortcut = allShortcuts.find(({ key }) => matchesShortcut(e, key))
+
+      // Don't trigger shortcuts when typing in input fields. The main input
+      // (data-app-undo) hands undo/redo to the app history instead of the
+      // browser's, so the two stacks never disagree.
       if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') {
-        return
+        if (!(shortcut?.inAppEditor && e.target.dataset.appUndo === 'true')) return
       }
 
       // Show/hide shortcuts with '?' key
@@ -37,60 +72,11 @@ export default function KeyboardShortcuts({ onConversion, isVisible, onClose })
         return
       }
 
-      // Handle conversion shortcuts
-      if (e.ctrlKey && !e.shiftKey) {
-        switch (e.key.toLowerCase()) {
-          case 'u':
-            e.preventDefault()
-            onConversion('upperCase')
-            break
-          case 'l':
-            e.preventDefault()
-            onConversion('lowerCase')
-            break
-          case 't':
-            e.preventDefault()
-            onConversion('titleCase')
-            break
-          case 'c':
-            e.preventDefault()
-            onConversion('camelCase')
-            break
-          case 'p':
-            e.preventDefault()
-            onConversion('pascalCase')
-            break
-          case 's':
-            e.preventDefault()
-            onConversion('snakeCase')
-            break
-          case 'k':
-            e.preventDefault()
-            onConversion('kebabCase')
-            break
-          case 'r':
-            e.preventDefault()
-            onConversion('reverseText')
-            break
-        }
-      }
-
-      // Handle action shortcuts
-      if (e.ctrlKey && e.shiftKey) {
-        switch (e.key.toLowerCase()) {
-          case 'c':
-            e.preventDefault()
-            onConversion('copy')
-            break
-          case 'd':
-            e.preventDefault()
-            onConversion('download')
-            break
-          case 'x':
-            e.preventDefault()
-            onConversion('clear')
-            break
-        }
+      // Handle conversion and action shortcuts
+      if (shortcut) {
+        e.preventDefault()
+        onConversion(shortcut.action)
+        return
       }
 
       // Close shortcuts panel with Escape
@@ -101,7 +87,7 @@ export default function KeyboardShortcuts({ onConversion, isVisible, onClose })
 
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [onConversion, showShortcuts])
+  }, [onConversion, showShortcuts, allShortcuts])
 
   return (
     <>
@@ -154,7 +140,7 @@ export default function KeyboardShortcuts({ onConversion, isVisible, onClose })
                 </CardHeader>
                 <CardContent>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    {shortcuts.map((shortcut, index) => (
+                    {allShortcuts.map((shortcut, index) => (
                       <div
                         key={index}
                         className="flex items-center justify-between p-3 rounded-lg border bg-muted/50"
@@ -172,7 +158,7 @@ export default function KeyboardShortcuts({ onConversion, isVisible, onClose })
                     <p className="text-sm text-muted-foreground">
                       <strong>Tip:</strong> Press <Badge variant="outline" className="mx-1">?</Badge> 
                       to toggle this panel, or <Badge variant="outline" className="mx-1">Esc</Badge> to close it.
-                      Shortcuts work when not typing in text areas.
+                      Shortcuts work when not typing in text areas; undo and redo also work in the input box.
                     </p>
                   </div>
                 </CardContent>
@@ -0,0 +1,88 @@
+import { useEffect, useRef, useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Play, Square } from 'lucide-react'
+import { isMorse, toMorse } from '@/lib/conversions/classicCiphers.js'
+import { playMorse } from '@/lib/morseAudio.js'
+
+// Plays `text` if it already is Morse code, otherwise its Morse encoding
+const toCode = (text) => {
+  try {
+    return { code: isMorse(text) ? text : toMorse(text), error: null }
+  } catch (error) {
+    return { code: '', error: error.message }
+  }
+}
+
+export default function MorsePlayer({ text, className = '' }) {
+  const [wpm, setWpm] = useState(20)
+  const [frequency, setFrequency] = useState(600)
+  const [playing, setPlaying] = useState(false)
+  const playback = useRef(null)
+  const timer = useRef(null)
+
+  const stop = () => {
+    playback.current?.stop()
+    playback.current = null
+    clearTimeout(timer.current)
+    setPlaying(false)
+  }
+
+  // Stop the sound when the player goes away
+  useEffect(() => stop, [])
+
+  const { code, error } = toCode(text)
+
+  const play = () => {
+    stop()
+    playback.current = playMorse(code, { wpm, frequency })
+    setPlaying(true)
+    timer.current = setTimeout(stop, playback.current.duration * 1000 + 100)
+  }
+
+  return (
+    <div className={`p-3 border rounded-lg bg-muted/50 space-y-3 ${className}`}>
+      <p className="text-sm font-medium">Morse Playback</p>
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor="morse-wpm" className="text-xs">Speed (WPM)</Label>
+          <Input
+            id="morse-wpm"
+            type="number"
+            min={5}
+            max={40}
+            value={wpm}
+            onChange={(e) => setWpm(Math.max(5, Math.min(40, Number(e.target.value) || 5)))}
+            className="h-8"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="morse-frequency" className="text-xs">Tone (Hz)</Label>
+          <Input
+            id="morse-frequency"
+            type="number"
+            min={200}
+            max={1200}
+            step={50}
+            value={frequency}
+            onChange={(e) => setFrequency(Math.max(200, Math.min(1200, Number(e.target.value) || 200)))}
+            className="h-8"
+          />
+        </div>
+      </div>
+      {error && <p className="text-sm text-destructive">{error}</p>}
+      {playing ? (
+        <Button size="sm" variant="outline" onClick={stop}>
+          <Square className="w-4 h-4 mr-2" />
+          Stop
+        </Button>
+      ) : (
+        <Button size="sm" onClick={play} disabled={!code}>
+          <Play className="w-4 h-4 mr-2" />
+          Play
+        </Button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,201 @@
+import { useMemo, useState } from 'react'
+import { Reorder, useDragControls } from 'framer-motion'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import {
+  Select,
+  SelectContent,
+  SelectGroup,
+  SelectItem,
+  SelectLabel,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select.jsx'
+import ConverterOptions from './ConverterOptions.jsx'
+import { categories, createStep, getConverter, getConverters, runPipeline } from '@/lib/conversions/index.js'
+import { Workflow, GripVertical, X, Play, Save, Pencil } from 'lucide-react'
+
+function PipelineStep({ step, index, result, onOptionsChange, onRemove }) {
+  const dragControls = useDragControls()
+  const converter = getConverter(step.converterId)
+
+  return (
+    <Reorder.Item
+      value={step}
+      dragListener={false}
+      dragControls={dragControls}
+      className="p-3 border rounded-lg bg-background space-y-2"
+    >
+      <div className="flex items-center space-x-2">
+        <GripVertical
+          className="w-4 h-4 text-muted-foreground cursor-grab touch-none"
+          onPointerDown={(e) => dragControls.start(e)}
+        />
+        <Badge variant="secondary" className="text-xs">{index + 1}</Badge>
+        <span className="text-sm font-medium flex-1">{converter?.label ?? step.converterId}</span>
+        <Button variant="ghost" size="sm" onClick={onRemove} className="text-xs text-destructive hover:text-destructive">
+          <X className="w-3 h-3" />
+        </Button>
+      </div>
+      <ConverterOptions converter={converter} values={step.options} onChange={onOptionsChange} />
+      {result && (
+        <pre className={`text-xs p-2 rounded bg-muted max-h-20 overflow-auto whitespace-pre-wrap break-all ${result.error ? 'text-destructive' : 'text-muted-foreground'}`}>
+          {result.error ?? (result.output || '(empty)')}
+        </pre>
+      )}
+    </Reorder.Item>
+  )
+}
+
+export default function PipelineBuilder({ inputText, locale, pipelines, onRun, onSave, onDelete, className = '' }) {
+  const [steps, setSteps] = useState([])
+  const [name, setName] = useState('')
+  const [editingId, setEditingId] = useState(null)
+
+  // Intermediate output after each step, for the current input
+  const results = useMemo(
+    () => (inputText ? runPipeline(steps, inputText, { locale }) : []),
+    [steps, inputText, locale]
+  )
+
+  const addStep = (converterId) => setSteps(prev => [...prev, createStep(converterId)])
+
+  const updateStep = (key, options) => {
+    setSteps(prev => prev.map(step => (step.key === key ? { ...step, options } : step)))
+  }
+
+  const removeStep = (key) => setSteps(prev => prev.filter(step => step.key !== key))
+
+  const savePipeline = () => {
+    if (!name.trim() || steps.length === 0) return
+    const pipeline = { id: editingId ?? `pipeline-${Date.now()}`, name: name.trim(), steps }
+    onSave(pipeline)
+    setEditingId(pipeline.id)
+  }
+
+  const editPipeline = (pipeline) => {
+    setSteps(pipeline.steps)
+    setName(pipeline.name)
+    setEditingId(pipeline.id)
+  }
+
+  const resetBuilder = () => {
+    setSteps([])
+    setName('')
+    setEditingId(null)
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Workflow className="w-5 h-5" />
+          <span>Pipelines</span>
+        </CardTitle>
+        <CardDescription>
+          Chain converters into a reusable recipe
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {/* Step picker */}
+        <Select value="" onValueChange={addStep}>
+          <SelectTrigger size="sm" className="w-full">
+            <SelectValue placeholder="Add a step..." />
+          </SelectTrigger>
+          <SelectContent>
+            {categories.map((category) => (
+              <SelectGroup key={category.id}>
+                <SelectLabel>{category.label}</SelectLabel>
+                {getConverters(category.id).map((converter) => (
+                  <SelectItem key={converter.id} value={converter.id}>{converter.label}</SelectItem>
+                ))}
+              </SelectGroup>
+            ))}
+          </SelectContent>
+        </Select>
+
+        {/* Steps, drag the grip to reorder */}
+        {steps.length > 0 ? (
+          <Reorder.Group axis="y" values={steps} onReorder={setSteps} className="space-y-2">
+            {steps.map((step, index) => (
+              <PipelineStep
+                key={step.key}
+                step={step}
+                index={index}
+                result={results[index]}
+                onOptionsChange={(options) => updateStep(step.key, options)}
+                onRemove={() => removeStep(step.key)}
+              />
+            ))}
+          </Reorder.Group>
+        ) : (
+          <p className="text-muted-foreground text-sm">No steps yet</p>
+        )}
+
+        <div className="flex space-x-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Pipeline name"
+            className="h-8"
+          />
+          <Button size="sm" onClick={savePipeline} disabled={!name.trim() || steps.length === 0}>
+            <Save className="w-4 h-4 mr-2" />
+            Save
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => onRun({ name: name.trim() || 'pipeline', steps })}
+            disabled={steps.length === 0}
+          >
+            <Play className="w-4 h-4 mr-2" />
+            Run
+          </Button>
+          <Button size="sm" variant="outline" onClick={resetBuilder}>
+            New
+          </Button>
+        </div>
+
+        {/* Saved pipelines */}
+        {pipelines.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">Saved Pipelines ({pipelines.length})</h4>
+            {pipelines.map((pipeline, index) => (
+              <div key={pipeline.id} className="flex items-center justify-between p-2 border rounded-lg bg-muted/50">
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm font-medium truncate">{pipeline.name}</p>
+                  <p className="text-xs text-muted-foreground truncate">
+                    {pipeline.steps.map(step => getConverter(step.converterId)?.label ?? step.converterId).join(' → ')}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-1">
+                  {index < 9 && (
+                    <Badge variant="outline" className="font-mono text-xs">Ctrl+Alt+{index + 1}</Badge>
+                  )}
+                  <Button variant="ghost" size="sm" onClick={() => onRun(pipeline)} title="Run">
+                    <Play className="w-3 h-3" />
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => editPipeline(pipeline)} title="Edit">
+                    <Pencil className="w-3 h-3" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onDelete(pipeline.id)}
+                    className="text-destructive hover:text-destructive"
+                    title="Delete"
+                  >
+                    <X className="w-3 h-3" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -4,8 +4,9 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Badge } from '@/components/ui/badge.jsx'
 import { Progress } from '@/components/ui/progress.jsx'
 import { BarChart3, TrendingUp, Eye, Clock } from 'lucide-react'
+import { countSentences } from '@/lib/conversions/index.js'
 
-export default function TextAnalysis({ text, className = '' }) {
+export default function TextAnalysis({ text, locale, className = '' }) {
   const analysis = useMemo(() => {
     if (!text || text.trim().length === 0) {
       return {
@@ -26,7 +27,7 @@ export default function TextAnalysis({ text, className = '' }) {
     const characters = text.length
     const charactersNoSpaces = text.replace(/\s/g, '').length
     const words = text.trim() ? text.trim().split(/\s+/).length : 0
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0).length
+    const sentences = countSentences(text, { locale })
     const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim().length > 0).length
     
     const averageWordsPerSentence = sentences > 0 ? Math.round(words / sentences * 10) / 10 : 0
@@ -93,7 +94,7 @@ export default function TextAnalysis({ text, className = '' }) {
       textComplexity,
       avgWordLength: Math.round(avgWordLength * 10) / 10
     }
-  }, [text])
+  }, [text, locale])
 
   const getReadabilityLevel = (score) => {
     if (score >= 90) return { level: 'Very Easy', color: 'bg-green-500' }
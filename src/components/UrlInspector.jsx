@@ -0,0 +1,160 @@
+import { useEffect, useState } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx'
+import { Link2, Plus, X, ArrowRight } from 'lucide-react'
+import { buildUrl, parseUrl } from '@/lib/conversions/index.js'
+
+const components = [
+  { id: 'protocol', label: 'Scheme' },
+  { id: 'username', label: 'Username' },
+  { id: 'password', label: 'Password' },
+  { id: 'hostname', label: 'Host' },
+  { id: 'port', label: 'Port' },
+  { id: 'pathname', label: 'Path' },
+  { id: 'hash', label: 'Fragment' }
+]
+
+const tryParse = (text) => {
+  try {
+    return { parts: parseUrl(text), error: null }
+  } catch (error) {
+    return { parts: null, error: error.message }
+  }
+}
+
+const tryBuild = (parts) => {
+  try {
+    return { url: buildUrl(parts), error: null }
+  } catch (error) {
+    return { url: null, error: error.message }
+  }
+}
+
+export default function UrlInspector({ text, onApply, className = '' }) {
+  const [{ parts, error }, setParsed] = useState(() => tryParse(text))
+
+  // Start over from the input whenever it changes
+  useEffect(() => {
+    setParsed(tryParse(text))
+  }, [text])
+
+  const updatePart = (id, value) => setParsed(prev => ({ ...prev, parts: { ...prev.parts, [id]: value } }))
+
+  const updateParam = (index, field, value) => {
+    setParsed(prev => ({
+      ...prev,
+      parts: {
+        ...prev.parts,
+        params: prev.parts.params.map((param, i) => (i === index ? { ...param, [field]: value } : param))
+      }
+    }))
+  }
+
+  const addParam = () => updatePart('params', [...parts.params, { key: '', value: '' }])
+
+  const removeParam = (index) => updatePart('params', parts.params.filter((_, i) => i !== index))
+
+  const rebuilt = parts ? tryBuild(parts) : { url: null, error: null }
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Link2 className="w-5 h-5" />
+          <span>URL Inspector</span>
+        </CardTitle>
+        <CardDescription>
+          Break the input URL into parts, edit them and rebuild it
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!text.trim() || !parts ? (
+          <p className="text-muted-foreground text-sm">{text.trim() ? error : 'Enter a URL to inspect it'}</p>
+        ) : (
+          <>
+            <Table>
+              <TableBody>
+                {components.map(({ id, label }) => (
+                  <TableRow key={id}>
+                    <TableHead className="w-24">{label}</TableHead>
+                    <TableCell>
+                      <Input
+                        value={parts[id]}
+                        onChange={(e) => updatePart(id, e.target.value)}
+                        className="h-7 font-mono text-xs"
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <h4 className="text-sm font-medium">Query Parameters ({parts.params.length})</h4>
+                <Button variant="outline" size="sm" onClick={addParam} className="text-xs">
+                  <Plus className="w-3 h-3 mr-1" />
+                  Add
+                </Button>
+              </div>
+              {parts.params.length > 0 && (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Name</TableHead>
+                      <TableHead>Value</TableHead>
+                      <TableHead className="w-8" />
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {parts.params.map((param, index) => (
+                      <TableRow key={index}>
+                        <TableCell>
+                          <Input
+                            value={param.key}
+                            onChange={(e) => updateParam(index, 'key', e.target.value)}
+                            className="h-7 font-mono text-xs"
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <Input
+                            value={param.value}
+                            onChange={(e) => updateParam(index, 'value', e.target.value)}
+                            className="h-7 font-mono text-xs"
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => removeParam(index)}
+                            className="h-7 w-7 p-0 text-destructive hover:text-destructive"
+                          >
+                            <X className="w-3 h-3" />
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium">Rebuilt URL</h4>
+              <p className="text-xs font-mono p-2 rounded bg-muted break-all">
+                {rebuilt.url ?? rebuilt.error}
+              </p>
+              <Button size="sm" onClick={() => onApply(rebuilt.url)} disabled={!rebuilt.url}>
+                <ArrowRight className="w-4 h-4 mr-2" />
+                Send to Output
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
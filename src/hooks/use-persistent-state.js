@@ -0,0 +1,34 @@
+import * as React from "react"
+import { loadValue, saveValue } from "@/lib/storage"
+
+const SAVE_DELAY = 250
+
+// useState backed by the settings store. Until the stored value has loaded
+// the default is used and nothing is written back.
+export function usePersistentState(key, defaultValue) {
+  const [value, setValue] = React.useState(defaultValue)
+  const [loaded, setLoaded] = React.useState(false)
+
+  React.useEffect(() => {
+    let cancelled = false
+    loadValue("settings", key)
+      .then((stored) => {
+        if (!cancelled && stored !== undefined) setValue(stored)
+      })
+      .catch(console.error)
+      .finally(() => {
+        if (!cancelled) setLoaded(true)
+      })
+    return () => { cancelled = true }
+  }, [key])
+
+  React.useEffect(() => {
+    if (!loaded) return
+    const timeout = setTimeout(() => {
+      saveValue("settings", key, value).catch(console.error)
+    }, SAVE_DELAY)
+    return () => clearTimeout(timeout)
+  }, [key, value, loaded])
+
+  return [value, setValue, loaded]
+}
@@ -0,0 +1,62 @@
+import * as React from "react"
+
+const MAX_STEPS = 100
+const MERGE_WINDOW = 1000
+
+// Undo/redo over snapshots of app state. Call checkpoint() right before a
+// change to remember the state it replaces; checkpoints sharing a merge key
+// within a second of each other (e.g. keystrokes) collapse into one step.
+export function useUndoRedo(snapshot, restore) {
+  const [stacks, setStacks] = React.useState({ past: [], future: [] })
+  const stacksRef = React.useRef(stacks)
+  const snapshotRef = React.useRef(snapshot)
+  const lastCheckpoint = React.useRef({ key: null, time: 0 })
+
+  React.useEffect(() => {
+    snapshotRef.current = snapshot
+  })
+
+  const update = (next) => {
+    stacksRef.current = next
+    setStacks(next)
+  }
+
+  const checkpoint = React.useCallback((mergeKey = null) => {
+    const now = Date.now()
+    const previous = lastCheckpoint.current
+    lastCheckpoint.current = { key: mergeKey, time: now }
+    if (mergeKey && previous.key === mergeKey && now - previous.time < MERGE_WINDOW) return
+
+    update({ past: [...stacksRef.current.past, snapshotRef.current].slice(-MAX_STEPS), future: [] })
+  }, [])
+
+  const undo = React.useCallback(() => {
+    const { past, future } = stacksRef.current
+    if (past.length === 0) return
+    update({ past: past.slice(0, -1), future: [snapshotRef.current, ...future] })
+    lastCheckpoint.current = { key: null, time: 0 }
+    restore(past[past.length - 1])
+  }, [restore])
+
+  const redo = React.useCallback(() => {
+    const { past, future } = stacksRef.current
+    if (future.length === 0) return
+    update({ past: [...past, snapshotRef.current], future: future.slice(1) })
+    lastCheckpoint.current = { key: null, time: 0 }
+    restore(future[0])
+  }, [restore])
+
+  const reset = React.useCallback(() => {
+    update({ past: [], future: [] })
+    lastCheckpoint.current = { key: null, time: 0 }
+  }, [])
+
+  return {
+    checkpoint,
+    undo,
+    redo,
+    reset,
+    canUndo: stacks.past.length > 0,
+    canRedo: stacks.future.length > 0
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Byte <-> text codecs for the Encoding tab: Base64 (RFC 4648 standard and
+ * URL-safe), Base32 (RFC 4648), Base58 (Bitcoin alphabet) and Base85
+ * (Adobe Ascii85 and ZeroMQ Z85). Encoders take a Uint8Array, decoders
+ * return one and throw ConversionError on malformed input.
+ */
+
+import { ConversionError } from './errors.js'
+import { invalidCharacter, originalOffset, stripWhitespace } from './bytes.js'
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+const BASE64_URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+const Z85 = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ.-:+=^!/*?&<>()[]{}@%$#'
+
+const lookup = (...alphabets) => {
+  const table = new Map()
+  for (const alphabet of alphabets) {
+    Array.from(alphabet).forEach((char, value) => table.set(char, value))
+  }
+  return table
+}
+
+const BASE64_VALUES = lookup(BASE64, BASE64_URL)
+const BASE32_VALUES = lookup(BASE32, BASE32.toLowerCase())
+const BASE58_VALUES = lookup(BASE58)
+const Z85_VALUES = lookup(Z85)
+
+// Split "abc===" into the data and its padding, checking the padding is legal.
+// `at` maps an offset in `text` to one in the original input.
+function splitPadding(encoding, text, blockSize, maxPadding, at) {
+  const padding = text.match(/=*$/)[0].length
+  const data = text.slice(0, text.length - padding)
+  if (padding > 0 && (padding > maxPadding || text.length % blockSize !== 0)) {
+    throw new ConversionError(`Invalid ${encoding} padding`)
+  }
+  const misplaced = data.indexOf('=')
+  if (misplaced !== -1) throw invalidCharacter(encoding, '=', at(misplaced))
+  return data
+}
+
+/* Base64 and Base32 share the same bit-packing, only the group size differs */
+
+function packBits(bytes, alphabet, bitsPerChar, blockSize, pad) {
+  let output = ''
+  let buffer = 0
+  let bits = 0
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte
+    bits += 8
+    while (bits >= bitsPerChar) {
+      bits -= bitsPerChar
+      output += alphabet[(buffer >> bits) & ((1 << bitsPerChar) - 1)]
+    }
+    buffer &= (1 << bits) - 1
+  }
+  if (bits > 0) {
+    output += alphabet[(buffer << (bitsPerChar - bits)) & ((1 << bitsPerChar) - 1)]
+  }
+  if (pad) {
+    while (output.length % blockSize !== 0) output += '='
+  }
+  return output
+}
+
+function unpackBits(encoding, text, values, bitsPerChar, at) {
+  const bytes = []
+  let buffer = 0
+  let bits = 0
+  let index = 0
+  for (const char of text) {
+    const value = values.get(char)
+    if (value === undefined) throw invalidCharacter(encoding, char, at(index))
+    index += char.length
+    buffer = (buffer << bitsPerChar) | value
+    bits += bitsPerChar
+    if (bits >= 8) {
+      bits -= 8
+      bytes.push((buffer >> bits) & 0xff)
+    }
+    buffer &= (1 << bits) - 1
+  }
+  // Leftover bits must be fewer than a whole character and all zero
+  if (bits >= bitsPerChar || buffer !== 0) {
+    throw new ConversionError(`Invalid ${encoding} input: it has trailing bits (truncated or corrupted?)`)
+  }
+  return Uint8Array.from(bytes)
+}
+
+export function encodeBase64(bytes, { urlSafe = false, padding = true } = {}) {
+  return packBits(bytes, urlSafe ? BASE64_URL : BASE64, 6, 4, padding)
+}
+
+// Accepts both the standard and the URL-safe alphabet, with or without padding
+export function decodeBase64(text) {
+  const at = (index) => originalOffset(text, index)
+  const data = splitPadding('Base64', stripWhitespace(text), 4, 2, at)
+  return unpackBits('Base64', data, BASE64_VALUES, 6, at)
+}
+
+export function encodeBase32(bytes, { padding = true } = {}) {
+  return packBits(bytes, BASE32, 5, 8, padding)
+}
+
+export function decodeBase32(text) {
+  const at = (index) => originalOffset(text, index)
+  const data = splitPadding('Base32', stripWhitespace(text), 8, 6, at)
+  return unpackBits('Base32', data, BASE32_VALUES, 5, at)
+}
+
+/* Base58 treats the input as one big number; leading zero bytes become "1" */
+
+export function encodeBase58(bytes) {
+  const digits = []
+  for (const byte of bytes) {
+    let carry = byte
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8
+      digits[i] = carry % 58
+      carry = Math.floor(carry / 58)
+    }
+    while (carry > 0) {
+      digits.push(carry % 58)
+      carry = Math.floor(carry / 58)
+    }
+  }
+  const zeros = bytes.findIndex((byte) => byte !== 0)
+  const leading = '1'.repeat(zeros === -1 ? bytes.length : zeros)
+  return leading + digits.reverse().map((digit) => BASE58[digit]).join('')
+}
+
+export function decodeBase58(text) {
+  const data = stripWhitespace(text)
+  const bytes = []
+  let index = 0
+  for (const char of data) {
+    let carry = BASE58_VALUES.get(char)
+    if (carry === undefined) throw invalidCharacter('Base58', char, originalOffset(text, index))
+    index += char.length
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58
+      bytes[i] = carry & 0xff
+      carry >>= 8
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff)
+      carry >>= 8
+    }
+  }
+  const leading = data.match(/^1*/)[0].length
+  return Uint8Array.from([...new Array(leading).fill(0), ...bytes.reverse()])
+}
+
+/*
+ * Base85 packs 4 bytes into 5 characters. A final partial group of n bytes is
+ * zero-padded and written as n + 1 characters; Z85 proper only allows whole
+ * groups, but the same convention is used there so any text can be encoded.
+ */
+
+const ascii85Char = (value) => String.fromCharCode(value + 33)
+
+export function encodeBase85(bytes, { variant = 'ascii85', delimiters = false } = {}) {
+  let output = ''
+  for (let offset = 0; offset < bytes.length; offset += 4) {
+    const group = bytes.slice(offset, offset + 4)
+    const padded = new Uint8Array(4)
+    padded.set(group)
+    let value = new DataView(padded.buffer).getUint32(0)
+
+    // Ascii85 shortens a whole group of zero bytes to "z"
+    if (variant === 'ascii85' && group.length === 4 && value === 0) {
+      output += 'z'
+      continue
+    }
+    const chars = new Array(5)
+    for (let i = 4; i >= 0; i--) {
+      chars[i] = variant === 'z85' ? Z85[value % 85] : ascii85Char(value % 85)
+      value = Math.floor(value / 85)
+    }
+    output += chars.slice(0, group.length + 1).join('')
+  }
+  return variant === 'ascii85' && delimiters ? `<~${output}~>` : output
+}
+
+export function decodeBase85(text, { variant = 'ascii85' } = {}) {
+  let data = stripWhitespace(text)
+  // Offset of data within the stripped text, after a leading "<~"
+  let start = 0
+  if (variant === 'ascii85') {
+    start = data.startsWith('<~') ? 2 : 0
+    data = data.slice(start).replace(/~>$/, '')
+  }
+
+  const values = []
+  // Offset within the stripped text of the character each value came from
+  const positions = []
+  let index = start
+  for (const char of data) {
+    const position = index
+    index += char.length
+    if (variant === 'ascii85' && char === 'z') {
+      if (values.length % 5 !== 0) throw invalidCharacter('Ascii85', char, originalOffset(text, position))
+      values.push(0, 0, 0, 0, 0)
+      positions.push(position, position, position, position, position)
+      continue
+    }
+    const value = variant === 'z85' ? Z85_VALUES.get(char) : char.charCodeAt(0) - 33
+    if (value === undefined || value < 0 || value > 84) {
+      throw invalidCharacter(variant === 'z85' ? 'Z85' : 'Ascii85', char, originalOffset(text, position))
+    }
+    values.push(value)
+    positions.push(position)
+  }
+  if (values.length % 5 === 1) {
+    throw new ConversionError('Invalid Base85 input: the last group is a single character')
+  }
+
+  const bytes = []
+  for (let offset = 0; offset < values.length; offset += 5) {
+    const group = values.slice(offset, offset + 5)
+    const size = group.length - 1
+    while (group.length < 5) group.push(84)
+    const value = group.reduce((total, digit) => total * 85 + digit, 0)
+    if (value > 0xffffffff) {
+      const position = originalOffset(text, positions[offset])
+      throw new ConversionError(`Invalid Base85 group at position ${position + 1}: value out of range`, { position })
+    }
+    const groupBytes = [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]
+    bytes.push(...groupBytes.slice(0, size))
+  }
+  return Uint8Array.from(bytes)
+}
@@ -0,0 +1,136 @@
+/**
+ * Text in a chosen character encoding, and byte arrays written out as hex,
+ * binary, octal or decimal numbers.
+ */
+
+import { ConversionError } from './errors.js'
+import { utf8Decode, utf8Encode } from './bytes.js'
+
+export const TEXT_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'utf-16le', label: 'UTF-16LE' },
+  { value: 'utf-16be', label: 'UTF-16BE' },
+  { value: 'latin1', label: 'Latin-1 (ISO-8859-1)' }
+]
+
+export const BYTE_FORMATS = [
+  { value: 'hex', label: 'Hex', radix: 16, width: 2, prefix: '0x' },
+  { value: 'binary', label: 'Binary', radix: 2, width: 8, prefix: '0b' },
+  { value: 'octal', label: 'Octal', radix: 8, width: 3, prefix: '0o' },
+  { value: 'decimal', label: 'Decimal', radix: 10, width: 1, prefix: '' }
+]
+
+const byteFormat = (format) => BYTE_FORMATS.find(({ value }) => value === format)
+
+// Bytes a single code point takes up in each encoding
+const encodedLength = {
+  'utf-8': (codePoint) => (codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4),
+  'utf-16le': (codePoint) => (codePoint < 0x10000 ? 2 : 4),
+  'utf-16be': (codePoint) => (codePoint < 0x10000 ? 2 : 4),
+  latin1: () => 1
+}
+
+function encodeUtf16(text, littleEndian) {
+  const bytes = new Uint8Array(text.length * 2)
+  const view = new DataView(bytes.buffer)
+  for (let i = 0; i < text.length; i++) view.setUint16(i * 2, text.charCodeAt(i), littleEndian)
+  return bytes
+}
+
+function encodeLatin1(text) {
+  const bytes = new Uint8Array(text.length)
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i)
+    if (code > 0xff) {
+      const char = String.fromCodePoint(text.codePointAt(i))
+      throw new ConversionError(`"${char}" at position ${i + 1} cannot be written in Latin-1`, { position: i })
+    }
+    bytes[i] = code
+  }
+  return bytes
+}
+
+export function encodeText(text, encoding = 'utf-8') {
+  switch (encoding) {
+    case 'utf-16le': return encodeUtf16(text, true)
+    case 'utf-16be': return encodeUtf16(text, false)
+    case 'latin1': return encodeLatin1(text)
+    default: return utf8Encode(text)
+  }
+}
+
+export function decodeText(bytes, encoding = 'utf-8') {
+  switch (encoding) {
+    case 'utf-16le':
+    case 'utf-16be':
+      if (bytes.length % 2) throw new ConversionError(`${encoding.toUpperCase()} needs an even number of bytes, got ${bytes.length}`)
+      try {
+        return new TextDecoder(encoding, { fatal: true, ignoreBOM: true }).decode(bytes)
+      } catch {
+        throw new ConversionError(`The bytes are not valid ${encoding.toUpperCase()} text`)
+      }
+    // TextDecoder's "latin1" is really windows-1252, so map bytes directly
+    case 'latin1': return Array.from(bytes, (byte) => String.fromCharCode(byte)).join('')
+    default: return utf8Decode(bytes)
+  }
+}
+
+/**
+ * Where each character of `text` lands in its encoded bytes:
+ * [{ index, length, byteOffset, byteLength }] with index/length in UTF-16
+ * code units, as used by textarea selections.
+ */
+export function encodedCharRanges(text, encoding = 'utf-8') {
+  const ranges = []
+  let index = 0
+  let byteOffset = 0
+  for (const char of text) {
+    const byteLength = encodedLength[encoding](char.codePointAt(0))
+    ranges.push({ index, length: char.length, byteOffset, byteLength })
+    index += char.length
+    byteOffset += byteLength
+  }
+  return ranges
+}
+
+export function formatBytes(bytes, format = 'hex', { separator = ' ', prefix = false } = {}) {
+  const { radix, width, prefix: radixPrefix } = byteFormat(format)
+  return Array.from(bytes, (byte) => (prefix ? radixPrefix : '') + byte.toString(radix).padStart(width, '0')).join(separator)
+}
+
+/**
+ * Read a byte array written in `format`. Numbers may be separated by spaces,
+ * commas or line breaks and wrapped in [ ] or { }, and carry 0x/0b/0o
+ * prefixes. Hex and binary may also be one unbroken run of digits.
+ */
+export function parseBytes(text, format = 'hex') {
+  const { label, radix, width, prefix } = byteFormat(format)
+  const digit = { 16: '[0-9a-fA-F]', 2: '[01]', 8: '[0-7]', 10: '[0-9]' }[radix]
+  const body = text.trim().replace(/^[[{(]|[\]})]$/g, '')
+  if (!body.trim()) return new Uint8Array(0)
+
+  let tokens = body.split(/[\s,;]+/).filter(Boolean)
+  if (tokens.length === 1 && (radix === 16 || radix === 2)) {
+    const run = tokens[0].startsWith(prefix) ? tokens[0].slice(prefix.length) : tokens[0]
+    if (run.length % width) {
+      throw new ConversionError(`${label} digits must come in groups of ${width}, got ${run.length}`)
+    }
+    tokens = run.match(new RegExp(`.{${width}}`, 'g'))
+  }
+
+  const pattern = new RegExp(`^(?:${prefix || '(?!)'})?(${digit}+)$`, radix === 16 ? 'i' : '')
+  let position = 0
+  return Uint8Array.from(tokens, (token) => {
+    position = text.indexOf(token, position)
+    const match = token.match(pattern)
+    const value = match && parseInt(match[1], radix)
+    if (!match || value > 0xff) {
+      throw new ConversionError(`"${token}" at position ${position + 1} is not a ${label.toLowerCase()} byte (0-255)`, { position })
+    }
+    position += token.length
+    return value
+  })
+}
+
+// Printable ASCII shown as-is in dumps; everything else as a dot
+export const dumpChar = (byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')
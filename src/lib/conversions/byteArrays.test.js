@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest'
+import { dumpChar, encodedCharRanges } from './byteArrays.js'
+
+describe('encodedCharRanges', () => {
+  it('maps each character to its bytes', () => {
+    expect(encodedCharRanges('aé😀')).toEqual([
+      { index: 0, length: 1, byteOffset: 0, byteLength: 1 },
+      { index: 1, length: 1, byteOffset: 1, byteLength: 2 },
+      { index: 2, length: 2, byteOffset: 3, byteLength: 4 }
+    ])
+    expect(encodedCharRanges('aé', 'utf-16le').map(({ byteOffset }) => byteOffset)).toEqual([0, 2])
+  })
+})
+
+describe('dumpChar', () => {
+  it('shows printable ASCII and a dot for everything else', () => {
+    expect([65, 10, 127, 200].map(dumpChar).join('')).toBe('A...')
+  })
+})
@@ -0,0 +1,32 @@
+import { ConversionError } from './errors.js'
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder('utf-8', { fatal: true })
+
+export const utf8Encode = (text) => encoder.encode(text)
+
+export function utf8Decode(bytes) {
+  try {
+    return decoder.decode(bytes)
+  } catch {
+    throw new ConversionError('The decoded bytes are not valid UTF-8 text (binary data?)')
+  }
+}
+
+// Remove whitespace, which is allowed anywhere in encoded text (line wrapping)
+export const stripWhitespace = (text) => text.replace(/\s+/g, '')
+
+// Offset in `text` of the code unit at `index` of stripWhitespace(text), so
+// errors point at the character in the original input
+export function originalOffset(text, index) {
+  let kept = 0
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) continue
+    if (kept++ === index) return i
+  }
+  return text.length
+}
+
+export function invalidCharacter(encoding, char, index) {
+  return new ConversionError(`Invalid ${encoding} character "${char}" at position ${index + 1}`, { position: index })
+}
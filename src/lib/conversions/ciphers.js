@@ -0,0 +1,97 @@
+import { defineConverter } from './define.js'
+import {
+  atbash,
+  caesar,
+  caesarBruteForce,
+  fromBraille,
+  fromMorse,
+  fromNato,
+  rot13,
+  rot47,
+  toBraille,
+  toMorse,
+  toNato,
+  vigenere
+} from './classicCiphers.js'
+
+const category = 'ciphers'
+
+const directionOption = (encodeLabel, decodeLabel) => ({
+  id: 'direction',
+  label: 'Direction',
+  type: 'select',
+  default: 'encode',
+  choices: [
+    { value: 'encode', label: encodeLabel },
+    { value: 'decode', label: decodeLabel }
+  ]
+})
+
+// ROT13, ROT47 and Atbash are their own inverse, so they need no direction
+export default [
+  defineConverter({
+    id: 'rot13',
+    label: 'ROT13',
+    category,
+    convert: rot13
+  }),
+  defineConverter({
+    id: 'rot47',
+    label: 'ROT47',
+    category,
+    convert: rot47
+  }),
+  defineConverter({
+    id: 'caesarCipher',
+    label: 'Caesar Cipher',
+    category,
+    options: [
+      { id: 'shift', label: 'Shift', type: 'number', default: 3, min: 1, max: 25 },
+      directionOption('Encrypt', 'Decrypt')
+    ],
+    convert: (text, { shift, direction }) => caesar(text, direction === 'decode' ? -shift : shift)
+  }),
+  defineConverter({
+    id: 'caesarBruteForce',
+    label: 'Caesar Brute Force',
+    category,
+    convert: caesarBruteForce
+  }),
+  defineConverter({
+    id: 'vigenereCipher',
+    label: 'Vigenère Cipher',
+    category,
+    options: [
+      { id: 'key', label: 'Key', type: 'text', default: 'KEY' },
+      directionOption('Encrypt', 'Decrypt')
+    ],
+    convert: (text, { key, direction }) => vigenere(text, key, direction === 'decode')
+  }),
+  defineConverter({
+    id: 'atbash',
+    label: 'Atbash',
+    category,
+    convert: atbash
+  }),
+  defineConverter({
+    id: 'morseCode',
+    label: 'Morse Code',
+    category,
+    options: [directionOption('Text to Morse', 'Morse to text')],
+    convert: (text, { direction }) => (direction === 'decode' ? fromMorse(text) : toMorse(text))
+  }),
+  defineConverter({
+    id: 'natoPhonetic',
+    label: 'NATO Phonetic',
+    category,
+    options: [directionOption('Spell out', 'Read back')],
+    convert: (text, { direction }) => (direction === 'decode' ? fromNato(text) : toNato(text))
+  }),
+  defineConverter({
+    id: 'braille',
+    label: 'Braille',
+    category,
+    options: [directionOption('Text to Braille', 'Braille to text')],
+    convert: (text, { direction }) => (direction === 'decode' ? fromBraille(text) : toBraille(text))
+  })
+]
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { normalizeMorse } from './classicCiphers.js'
+import { runConverter } from './registry.js'
+
+const decode = (id, text, options = {}) => runConverter(id, text, { ...options, direction: 'decode' })
+
+describe('substitution ciphers', () => {
+  it('rotate letters only', () => {
+    expect(runConverter('rot13', 'Hello, World! é')).toBe('Uryyb, Jbeyq! é')
+    expect(runConverter('rot47', 'Hello, World!')).toBe('w6==@[ (@C=5P')
+    expect(runConverter('atbash', 'Hello, World!')).toBe('Svool, Dliow!')
+  })
+
+  it('shift with Caesar in both directions and wrap around', () => {
+    expect(runConverter('caesarCipher', 'Hello, Zz!', { shift: 3 })).toBe('Khoor, Cc!')
+    expect(runConverter('caesarCipher', 'abc', { shift: 27 })).toBe('bcd')
+    expect(runConverter('caesarCipher', 'abc', { shift: -1 })).toBe('zab')
+    expect(decode('caesarCipher', 'Khoor', { shift: 3 })).toBe('Hello')
+  })
+
+  it('lists every Caesar shift when brute forcing', () => {
+    const lines = runConverter('caesarBruteForce', 'Khoor').split('\n')
+    expect(lines).toHaveLength(25)
+    expect(lines).toContain('ROT23: Hello')
+  })
+
+  it('apply a Vigenère key', () => {
+    expect(runConverter('vigenereCipher', 'ATTACK AT DAWN', { key: 'LEMON' })).toBe('LXFOPV EF RNHR')
+    expect(decode('vigenereCipher', 'LXFOPV EF RNHR', { key: 'LEMON' })).toBe('ATTACK AT DAWN')
+    expect(() => runConverter('vigenereCipher', 'abc', { key: '123' })).toThrow()
+  })
+})
+
+describe('codes', () => {
+  it('convert Morse code both ways', () => {
+    expect(runConverter('morseCode', 'SOS Help')).toBe('... --- ... / .... . .-.. .--.')
+    expect(decode('morseCode', '... --- ... / .... . .-.. .--.')).toBe('SOS HELP')
+    expect(() => decode('morseCode', '...---...')).toThrow(/not a Morse code letter/)
+  })
+
+  it('read typographic dots and dashes as Morse', () => {
+    expect(decode('morseCode', '·–·· ·')).toBe('LE')
+  })
+
+  it('spell out with the NATO alphabet', () => {
+    expect(runConverter('natoPhonetic', 'Hi 2!')).toBe('Hotel India / Two !')
+    expect(decode('natoPhonetic', 'Hotel India / Two !')).toBe('HI 2!')
+  })
+
+  it('write Braille with capital and number signs', () => {
+    expect(runConverter('braille', 'Hello 123')).toBe('⠠⠓⠑⠇⠇⠕⠀⠼⠁⠃⠉')
+    expect(decode('braille', '⠠⠓⠑⠇⠇⠕⠀⠼⠁⠃⠉')).toBe('Hello 123')
+  })
+})
+
+describe('normalizeMorse', () => {
+  it('turns typographic dots and dashes into . and -', () => {
+    expect(normalizeMorse(' ·–·· • — − _ ')).toBe('.-.. . - - -')
+  })
+})
@@ -0,0 +1,173 @@
+/**
+ * Classic ciphers and spelling codes. These are for puzzles and test data,
+ * not for protecting anything.
+ */
+
+import { ConversionError } from './errors.js'
+
+const A = 'A'.charCodeAt(0)
+const LOWER_A = 'a'.charCodeAt(0)
+
+// Apply `map` (alphabet index => alphabet index) to ASCII letters, keeping case
+const mapLetters = (text, map) => text.replace(/[A-Za-z]/g, (char) => {
+  const base = char <= 'Z' ? A : LOWER_A
+  return String.fromCharCode(base + map(char.charCodeAt(0) - base))
+})
+
+const mod = (n, m) => ((n % m) + m) % m
+
+export const caesar = (text, shift) => mapLetters(text, (index) => mod(index + shift, 26))
+
+export const rot13 = (text) => caesar(text, 13)
+
+// ROT47 rotates the 94 printable ASCII characters "!" to "~"
+export const rot47 = (text) => text.replace(/[!-~]/g, (char) => String.fromCharCode(33 + mod(char.charCodeAt(0) - 33 + 47, 94)))
+
+export const atbash = (text) => mapLetters(text, (index) => 25 - index)
+
+export function caesarBruteForce(text) {
+  return Array.from({ length: 25 }, (_, i) => `ROT${i + 1}: ${caesar(text, i + 1)}`).join('\n')
+}
+
+// The key advances only on letters, so spaces and punctuation pass through
+export function vigenere(text, key, decrypt = false) {
+  const shifts = Array.from(key.toUpperCase().replace(/[^A-Z]/g, ''), (char) => char.charCodeAt(0) - A)
+  if (shifts.length === 0) throw new ConversionError('Enter a key containing at least one letter A-Z')
+  let position = 0
+  return mapLetters(text, (index) => {
+    const shift = shifts[position++ % shifts.length]
+    return mod(index + (decrypt ? -shift : shift), 26)
+  })
+}
+
+/* Morse code (ITU-R M.1677) */
+
+const MORSE = {
+  A: '.-', B: '-...', C: '-.-.', D: '-..', E: '.', F: '..-.', G: '--.', H: '....', I: '..', J: '.---',
+  K: '-.-', L: '.-..', M: '--', N: '-.', O: '---', P: '.--.', Q: '--.-', R: '.-.', S: '...', T: '-',
+  U: '..-', V: '...-', W: '.--', X: '-..-', Y: '-.--', Z: '--..',
+  0: '-----', 1: '.----', 2: '..---', 3: '...--', 4: '....-', 5: '.....', 6: '-....', 7: '--...', 8: '---..', 9: '----.',
+  '.': '.-.-.-', ',': '--..--', '?': '..--..', "'": '.----.', '!': '-.-.--', '/': '-..-.', '(': '-.--.', ')': '-.--.-',
+  '&': '.-...', ':': '---...', ';': '-.-.-.', '=': '-...-', '+': '.-.-.', '-': '-....-', _: '..--.-', '"': '.-..-.',
+  $: '...-..-', '@': '.--.-.'
+}
+const FROM_MORSE = new Map(Object.entries(MORSE).map(([char, code]) => [code, char]))
+
+// Letters are separated by spaces and words by " / "
+export function toMorse(text) {
+  return text.trim().split(/\s+/).filter(Boolean).map((word) => Array.from(word.toUpperCase(), (char) => {
+    if (!MORSE[char]) throw new ConversionError(`"${char}" has no Morse code`)
+    return MORSE[char]
+  }).join(' ')).join(' / ')
+}
+
+// Typographic dots and dashes (· • – — −) and _ for dash as plain . and -
+export const normalizeMorse = (text) => text.trim().replace(/[·•]/g, '.').replace(/[–—−_]/g, '-')
+
+export function fromMorse(text) {
+  return normalizeMorse(text).split(/\s*\/\s*|\s{3,}|\n+/).filter(Boolean).map((word) => word.split(/\s+/).map((code) => {
+    if (!FROM_MORSE.has(code)) throw new ConversionError(`"${code}" is not a Morse code letter`)
+    return FROM_MORSE.get(code)
+  }).join('')).join(' ')
+}
+
+export const isMorse = (text) => /^[\s.\-·•–—−_/]+$/.test(text) && /[.\-·•–—−_]/.test(text)
+
+/* NATO / ICAO phonetic alphabet */
+
+const NATO = {
+  A: 'Alfa', B: 'Bravo', C: 'Charlie', D: 'Delta', E: 'Echo', F: 'Foxtrot', G: 'Golf', H: 'Hotel', I: 'India',
+  J: 'Juliett', K: 'Kilo', L: 'Lima', M: 'Mike', N: 'November', O: 'Oscar', P: 'Papa', Q: 'Quebec', R: 'Romeo',
+  S: 'Sierra', T: 'Tango', U: 'Uniform', V: 'Victor', W: 'Whiskey', X: 'X-ray', Y: 'Yankee', Z: 'Zulu',
+  0: 'Zero', 1: 'One', 2: 'Two', 3: 'Three', 4: 'Four', 5: 'Five', 6: 'Six', 7: 'Seven', 8: 'Eight', 9: 'Niner'
+}
+// Common spellings of the same code words
+const NATO_ALIASES = { ALPHA: 'A', JULIET: 'J', XRAY: 'X', NINE: '9', WHISKY: 'W' }
+const FROM_NATO = new Map([
+  ...Object.entries(NATO).map(([char, word]) => [word.toUpperCase().replace('-', ''), char]),
+  ...Object.entries(NATO_ALIASES)
+])
+
+// Characters without a code word (punctuation) are kept as they are
+export function toNato(text) {
+  return text.trim().split(/\s+/).filter(Boolean).map((word) =>
+    Array.from(word.toUpperCase(), (char) => NATO[char] ?? char).join(' ')
+  ).join(' / ')
+}
+
+export function fromNato(text) {
+  return text.trim().split(/\s*\/\s*|\n+/).filter(Boolean).map((word) =>
+    word.split(/\s+/).map((token) => FROM_NATO.get(token.toUpperCase().replace('-', '')) ?? token).join('')
+  ).join(' ')
+}
+
+/* Unicode Braille (English Grade 1, uncontracted) */
+
+const BRAILLE_LETTERS = '⠁⠃⠉⠙⠑⠋⠛⠓⠊⠚⠅⠇⠍⠝⠕⠏⠟⠗⠎⠞⠥⠧⠺⠭⠽⠵'
+const BRAILLE_PUNCTUATION = { ',': '⠂', ';': '⠆', ':': '⠒', '.': '⠲', '!': '⠖', '?': '⠦', "'": '⠄', '-': '⠤', '(': '⠐⠣', ')': '⠐⠜', '/': '⠸⠌' }
+const CAPITAL = '⠠'
+const NUMBER = '⠼'
+
+// Digits 1-9 and 0 reuse the letters a-j after a number sign
+const digitCell = (digit) => BRAILLE_LETTERS[(Number(digit) + 9) % 10]
+
+export function toBraille(text) {
+  let output = ''
+  let inNumber = false
+  for (const char of text) {
+    if (/[0-9]/.test(char)) {
+      output += (inNumber ? '' : NUMBER) + digitCell(char)
+      inNumber = true
+      continue
+    }
+    // A letter a-j right after digits would read as a digit
+    if (inNumber && /[a-jA-J]/.test(char)) output += '⠰'
+    inNumber = inNumber && char === '.'
+    const lower = char.toLowerCase()
+    if (/[a-z]/.test(lower)) {
+      output += (char !== lower ? CAPITAL : '') + BRAILLE_LETTERS[lower.charCodeAt(0) - LOWER_A]
+    } else if (char === ' ' || char === '\n') {
+      output += char === ' ' ? '⠀' : char
+    } else if (BRAILLE_PUNCTUATION[char]) {
+      output += BRAILLE_PUNCTUATION[char]
+    } else {
+      throw new ConversionError(`"${char}" has no Grade 1 Braille cell`)
+    }
+  }
+  return output
+}
+
+const FROM_BRAILLE_PUNCTUATION = Object.entries(BRAILLE_PUNCTUATION).sort(([, a], [, b]) => b.length - a.length)
+
+export function fromBraille(text) {
+  let output = ''
+  let capital = false
+  let inNumber = false
+  for (let i = 0; i < text.length; i++) {
+    const cell = text[i]
+    const letter = BRAILLE_LETTERS.indexOf(cell)
+    if (cell === CAPITAL) {
+      capital = true
+    } else if (cell === NUMBER) {
+      inNumber = true
+    } else if (cell === '⠰') {
+      inNumber = false
+    } else if (letter !== -1 && inNumber && letter < 10) {
+      output += String((letter + 1) % 10)
+    } else if (letter !== -1) {
+      output += capital ? String.fromCharCode(A + letter) : String.fromCharCode(LOWER_A + letter)
+      capital = false
+    } else if (cell === '⠀' || cell === ' ' || cell === '\n') {
+      output += cell === '\n' ? '\n' : ' '
+      inNumber = false
+    } else {
+      const punctuation = FROM_BRAILLE_PUNCTUATION.find(([, cells]) => text.startsWith(cells, i))
+      if (!punctuation) throw new ConversionError(`Unknown Braille cell "${cell}" at position ${i + 1}`, { position: i })
+      output += punctuation[0]
+      i += punctuation[1].length - 1
+      // A period inside a number is a decimal point
+      inNumber = inNumber && punctuation[0] === '.'
+    }
+  }
+  return output
+}
@@ -0,0 +1,159 @@
+/**
+ * CSV and TSV (RFC 4180): parsing with quoted fields, delimiter and header
+ * detection, and serialization. Rows are arrays of strings; ragged rows are
+ * kept as they are.
+ */
+
+import { ConversionError } from './errors.js'
+import { csv as csvEscape } from './escapes.js'
+import { lineColumn } from './jsonSyntax.js'
+
+export const DELIMITERS = [
+  { value: ',', label: 'Comma' },
+  { value: ';', label: 'Semicolon' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe' }
+]
+
+// Rows sampled when guessing the delimiter and header
+const SAMPLE_ROWS = 20
+
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const rows = []
+  let row = []
+  let index = 0
+
+  const fail = (message, position) => {
+    const { line, column } = lineColumn(text, position)
+    throw new ConversionError(`Line ${line}, column ${column}: ${message}`, { position })
+  }
+
+  while (index < text.length) {
+    let field = ''
+    if (text[index] === '"') {
+      const open = index++
+      for (;;) {
+        const quote = text.indexOf('"', index)
+        if (quote === -1) fail('Quoted field is missing its closing quote', open)
+        field += text.slice(index, quote)
+        index = quote + 1
+        if (text[index] !== '"') break
+        field += '"'
+        index++
+      }
+      const rest = text.slice(index).match(/^[^\r\n]*/)[0]
+      if (rest && !rest.startsWith(delimiter)) fail(`Unexpected "${rest[0]}" after a closing quote (quotes inside a field are written "")`, index)
+    } else {
+      const end = text.slice(index).search(new RegExp(`[\\r\\n]|${delimiter.replace(/[|\\]/g, '\\$&')}`))
+      field = end === -1 ? text.slice(index) : text.slice(index, index + end)
+      index += field.length
+    }
+    // Line breaks inside quoted fields are kept as written
+    row.push(field)
+
+    if (text.startsWith(delimiter, index)) {
+      index += delimiter.length
+      // A delimiter at the very end still starts an (empty) last field
+      if (index === text.length) row.push('')
+    } else {
+      rows.push(row)
+      row = []
+      index += text.startsWith('\r\n', index) ? 2 : 1
+    }
+  }
+  if (row.length) rows.push(row)
+  return rows
+}
+
+/**
+ * Guess the delimiter: the candidate that splits the sampled lines into the
+ * same number (more than one) of fields most consistently.
+ */
+export function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).filter((line) => line.trim()).slice(0, SAMPLE_ROWS).join('\n')
+  let best = { value: ',', score: 0 }
+  for (const { value } of DELIMITERS) {
+    let rows
+    try {
+      rows = parseCsv(sample, { delimiter: value })
+    } catch {
+      continue
+    }
+    const frequency = new Map()
+    rows.forEach((row) => frequency.set(row.length, (frequency.get(row.length) ?? 0) + 1))
+    if (frequency.size === 0) break
+    const [mode, times] = [...frequency].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0]
+    if (mode < 2) continue
+    const score = (times / rows.length) * 100 + mode
+    if (score > best.score) best = { value, score }
+  }
+  return best.value
+}
+
+const isNumeric = (cell) => cell.trim() !== '' && Number.isFinite(Number(cell.replace(/[,_\s]/g, '')))
+
+/**
+ * Guess whether the first row is a header, in the manner of Python's
+ * csv.Sniffer: a column votes for a header when its first cell does not
+ * look like the rest (text above numbers, or a different length above
+ * fixed-length values).
+ */
+export function detectHeader(rows) {
+  if (rows.length < 2) return false
+  const [header, ...data] = rows
+  if (header.some((cell) => !cell.trim()) || new Set(header).size !== header.length) return false
+  let votes = 0
+  header.forEach((cell, column) => {
+    const values = data.slice(0, SAMPLE_ROWS).map((row) => row[column] ?? '').filter((value) => value !== '')
+    if (values.length === 0) return
+    if (values.every(isNumeric)) {
+      votes += isNumeric(cell) ? -1 : 1
+    } else if (values.every((value) => value.length === values[0].length)) {
+      votes += cell.length !== values[0].length ? 1 : -1
+    }
+  })
+  return votes > 0
+}
+
+// finalLineEnding ends the last row with a line break too, as most files do
+export function stringifyCsv(rows, { delimiter = ',', lineEnding = '\n', finalLineEnding = false } = {}) {
+  const lines = rows.map((row) => row.map((cell) => csvEscape.escape(cell, { delimiter })).join(delimiter))
+  return lines.join(lineEnding) + (finalLineEnding && lines.length ? lineEnding : '')
+}
+
+/**
+ * Parse with optional detection: delimiter and header may be 'auto'.
+ * Returns { rows, delimiter, hasHeader, lineEnding, finalLineEnding }, which
+ * stringifyCsv accepts as options to write the same layout back.
+ */
+export function readCsv(text, { delimiter = 'auto', header = 'auto' } = {}) {
+  const resolvedDelimiter = delimiter === 'auto' ? detectDelimiter(text) : delimiter
+  const rows = parseCsv(text, { delimiter: resolvedDelimiter })
+  // Rows end the same way throughout; line breaks in quoted fields may not
+  const unquoted = text.replace(/"[^"]*"/g, '')
+  return {
+    rows,
+    delimiter: resolvedDelimiter,
+    hasHeader: header === 'auto' ? detectHeader(rows) : header === 'yes',
+    lineEnding: unquoted.includes('\r\n') ? '\r\n' : '\n',
+    finalLineEnding: /[\r\n]$/.test(text)
+  }
+}
+
+/**
+ * Apply convertCell to the cells of the given column indexes, skipping the
+ * header row. Errors name the row and column of the failing cell.
+ */
+export function convertColumns(rows, columns, convertCell, { hasHeader = false } = {}) {
+  return rows.map((row, rowIndex) => {
+    if (hasHeader && rowIndex === 0) return row
+    return row.map((cell, column) => {
+      if (!columns.includes(column) || cell === '') return cell
+      try {
+        return convertCell(cell)
+      } catch (error) {
+        throw new ConversionError(`Row ${rowIndex + 1}, column ${column + 1}: ${error.message}`)
+      }
+    })
+  })
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { convertColumns, detectDelimiter, detectHeader, parseCsv, readCsv, stringifyCsv } from './csv.js'
+
+describe('parseCsv', () => {
+  it('reads quoted fields with escaped quotes, delimiters and line breaks', () => {
+    expect(parseCsv('a,"b ""c"", d"\n"x\ny",z')).toEqual([['a', 'b "c", d'], ['x\ny', 'z']])
+  })
+
+  it('keeps CRLF inside quoted fields as written', () => {
+    expect(parseCsv('"x\r\ny",1\r\n')).toEqual([['x\r\ny', '1']])
+  })
+
+  it('keeps an empty last field after a trailing delimiter', () => {
+    expect(parseCsv('a,b,')).toEqual([['a', 'b', '']])
+  })
+
+  it('reports quoting errors with their line and column', () => {
+    expect(() => parseCsv('a,"b\n1')).toThrow('Line 1, column 3: Quoted field is missing its closing quote')
+    expect(() => parseCsv('"a"b,c')).toThrow(/Line 1, column 4: Unexpected "b" after a closing quote/)
+  })
+})
+
+describe('detection', () => {
+  it('picks the delimiter that splits rows most consistently', () => {
+    expect(detectDelimiter('a;b;c\n1;2,5;3')).toBe(';')
+    expect(detectDelimiter('a\tb\n1\t2')).toBe('\t')
+    expect(detectDelimiter('')).toBe(',')
+  })
+
+  it('recognizes a header above different-looking values', () => {
+    expect(detectHeader([['name', 'age'], ['Ada', '36'], ['Bob', '41']])).toBe(true)
+    expect(detectHeader([['1', '2'], ['3', '4']])).toBe(false)
+  })
+})
+
+describe('readCsv and stringifyCsv', () => {
+  it('write the same layout back', () => {
+    for (const text of ['a,b\r\n"x\r\ny",2\r\n', 'a;b\n"x\r\ny";2\n', 'a,b\n1,2', 'a\n\n']) {
+      expect(stringifyCsv(readCsv(text).rows, readCsv(text))).toBe(text)
+    }
+  })
+
+  it('detect the line ending outside quoted fields', () => {
+    expect(readCsv('a,b\n"x\r\ny",2\n')).toMatchObject({ lineEnding: '\n', finalLineEnding: true })
+    expect(readCsv('a,b\r\n1,2')).toMatchObject({ lineEnding: '\r\n', finalLineEnding: false })
+  })
+})
+
+describe('convertColumns', () => {
+  const rows = [['name', 'city'], ['ada', 'x\r\ny'], ['bob', '']]
+
+  it('converts only the selected columns below the header', () => {
+    expect(convertColumns(rows, [0], (cell) => cell.toUpperCase(), { hasHeader: true }))
+      .toEqual([['name', 'city'], ['ADA', 'x\r\ny'], ['BOB', '']])
+  })
+
+  it('names the failing cell', () => {
+    expect(() => convertColumns(rows, [1], () => { throw new Error('bad') }, { hasHeader: true })).toThrow('Row 2, column 2: bad')
+  })
+})
@@ -0,0 +1,111 @@
+import { defineConverter } from './define.js'
+import { parseJson, stringifyJson } from './jsonSyntax.js'
+import { parseYaml, stringifyYaml } from './yaml.js'
+import { parseToml, stringifyToml } from './toml.js'
+import { parseXml, stringifyXml } from './xml.js'
+
+const category = 'formats'
+
+const FORMATS = [
+  { value: 'json', label: 'JSON' },
+  { value: 'yaml', label: 'YAML' },
+  { value: 'toml', label: 'TOML' },
+  { value: 'xml', label: 'XML' }
+]
+
+const fromOption = {
+  id: 'from',
+  label: 'Input format',
+  type: 'select',
+  default: 'auto',
+  choices: [{ value: 'auto', label: 'Detect' }, ...FORMATS]
+}
+
+// Comments and whitespace before the first value of a JSONC/JSON5 document
+const LEADING_JS_COMMENTS = /^(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*/
+
+// Guess the format from the first significant characters
+function detectFormat(text) {
+  const trimmed = text.trim()
+  if (trimmed.startsWith('<')) return 'xml'
+  const body = trimmed.replace(LEADING_JS_COMMENTS, '')
+  if (body.startsWith('{') || body.startsWith('[')) {
+    // Neither YAML nor TOML has // or /* */ comments, so report JSON errors
+    if (body !== trimmed) return 'json'
+    try {
+      parseJson(trimmed, { lenient: true })
+      return 'json'
+    } catch {
+      // A [table] header or a YAML flow collection
+    }
+  }
+  if (/^\s*\[\[?[\w."' -]+\]\]?\s*(?:#.*)?$/m.test(trimmed) || /^\s*[\w"'-][\w."' -]*\s*=(?!=)/m.test(trimmed)) return 'toml'
+  return 'yaml'
+}
+
+function parse(text, from, warn) {
+  switch (from === 'auto' ? detectFormat(text) : from) {
+    case 'json': return parseJson(text, { lenient: true })
+    case 'toml': return parseToml(text)
+    case 'xml': return parseXml(text, warn)
+    default: return parseYaml(text, warn)
+  }
+}
+
+// JSON has no comments, dates or non-finite numbers
+function toJsonTree(node, warn) {
+  const { comments, ...rest } = node
+  if (comments) warn('JSON has no comments, so comments were dropped')
+  switch (node.type) {
+    case 'object': return { type: 'object', entries: node.entries.map(({ key, value }) => ({ key, value: toJsonTree(value, warn) })) }
+    case 'array': return { type: 'array', items: node.items.map((item) => toJsonTree(item, warn)) }
+    case 'datetime':
+      warn('JSON has no date type: dates and times were written as strings')
+      return { type: 'string', value: node.raw }
+    case 'number':
+      if (/^-?Infinity$|^NaN$/.test(node.raw)) {
+        warn(`JSON cannot represent ${node.raw}: it was written as null`)
+        return { type: 'null' }
+      }
+      return rest
+    default: return rest
+  }
+}
+
+const toIndent = (indent) => (indent === 'tab' ? '\t' : Number(indent))
+
+const WRITERS = {
+  json: (tree, { indent }, warn) => stringifyJson(toJsonTree(tree, warn), { indent: toIndent(indent) }),
+  yaml: (tree) => stringifyYaml(tree),
+  toml: (tree, options, warn) => stringifyToml(tree, warn),
+  xml: (tree, options, warn) => stringifyXml(tree, warn)
+}
+
+const dataConverter = (to, extraOptions = []) => {
+  const { label } = FORMATS.find((format) => format.value === to)
+  return defineConverter({
+    id: `dataTo${label[0]}${label.slice(1).toLowerCase()}`,
+    label: `To ${label}`,
+    category,
+    options: [fromOption, ...extraOptions],
+    convert: (text, options, { warn }) => WRITERS[to](parse(text, options.from, warn), options, warn)
+  })
+}
+
+export default [
+  dataConverter('json', [{
+    id: 'indent',
+    label: 'Indent',
+    type: 'select',
+    default: '2',
+    choices: [
+      { value: '2', label: '2 spaces' },
+      { value: '4', label: '4 spaces' },
+      { value: 'tab', label: 'Tab' },
+      { value: '0', label: 'Minified' }
+    ]
+  }]),
+  dataConverter('yaml'),
+  dataConverter('toml'),
+  dataConverter('xml')
+]
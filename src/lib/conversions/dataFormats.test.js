@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest'
+import { runConverter } from './registry.js'
+
+// Run a converter and collect its warnings, as the pipeline does
+const convert = (id, text, options) => {
+  const warnings = []
+  const output = runConverter(id, text, options, { warn: (message) => warnings.includes(message) || warnings.push(message) })
+  return { output, warnings }
+}
+
+describe('YAML', () => {
+  it('writes JSON as YAML, quoting strings that would read as other types', () => {
+    const { output } = convert('dataToYaml', '{"a":1,"b":[true,null,"x"],"c":{"d":"multi\\nline"},"f":"1.0"}')
+    expect(output).toBe('a: 1\nb:\n  - true\n  - null\n  - x\nc:\n  d: |-\n    multi\n    line\nf: "1.0"\n')
+  })
+
+  it('reads block scalars, sequences and special values', () => {
+    const { output, warnings } = convert('dataToJson', 'a: 1\nb:\n  - x\n  - y: z\nc: |\n  line1\n  line2\nd: 2024-01-02\ne: ~\n---\nsecond: doc', { indent: '0' })
+    expect(output).toBe('{"a":1,"b":["x",{"y":"z"}],"c":"line1\\nline2\\n","d":"2024-01-02","e":null}')
+    expect(warnings).toContain('Only the first YAML document was converted')
+    expect(warnings).toContain('JSON has no date type: dates and times were written as strings')
+  })
+
+  it('rejects duplicate keys', () => {
+    expect(() => convert('dataToJson', 'a: 1\na: 2')).toThrow(/Duplicate key "a"/)
+  })
+})
+
+describe('TOML', () => {
+  it('reads tables and arrays of tables', () => {
+    const toml = 'title = "TOML"\n[owner]\nname = "Tom"\n[[fruits]]\nname = "apple"\n[[fruits]]\nname = "banana"\n'
+    expect(convert('dataToJson', toml, { indent: '0' }).output)
+      .toBe('{"title":"TOML","owner":{"name":"Tom"},"fruits":[{"name":"apple"},{"name":"banana"}]}')
+  })
+
+  it('leaves out nulls, which TOML cannot hold', () => {
+    const { output, warnings } = convert('dataToToml', '{"title":"x","owner":{"name":"T"},"n":null}')
+    expect(output).toBe('title = "x"\nowner.name = "T"\n')
+    expect(warnings).toContain('TOML has no null: n was left out')
+  })
+
+  it('needs a table at the root', () => {
+    expect(() => convert('dataToToml', '[1,2]')).toThrow(/must be a table/)
+  })
+})
+
+describe('XML', () => {
+  it('writes attributes, text and repeated elements', () => {
+    const { output } = convert('dataToXml', '{"root":{"@id":"1","item":[{"#text":"a"},{"#text":"b"}]}}')
+    expect(output).toBe('<?xml version="1.0" encoding="UTF-8"?>\n<root id="1">\n  <item>a</item>\n  <item>b</item>\n</root>\n')
+  })
+
+  it('wraps an array root in a single <root> element', () => {
+    const { output, warnings } = convert('dataToXml', '[1,{"a":2}]')
+    expect(output).toBe('<?xml version="1.0" encoding="UTF-8"?>\n<root>\n  <item>1</item>\n  <item>\n    <a>2</a>\n  </item>\n</root>\n')
+    expect(warnings[0]).toMatch(/array was written as <item> elements inside <root>/)
+  })
+
+  it('keeps names starting with "xml" and fixes invalid ones', () => {
+    const { output, warnings } = convert('dataToXml', '{"xmlData":1,"1bad":2}')
+    expect(output).toContain('<xmlData>1</xmlData>')
+    expect(output).toContain('<_1bad>2</_1bad>')
+    expect(warnings).toContain('"1bad" is not a valid element name and was written as <_1bad>')
+  })
+
+  it('reads attributes as @ keys and drops comments', () => {
+    const { output, warnings } = convert('dataToJson', '<?xml version="1.0"?><root id="1"><item>a</item><item>b</item><!-- c --><e/></root>', { indent: '0' })
+    expect(output).toBe('{"root":{"@id":"1","item":["a","b"],"e":null}}')
+    expect(warnings).toContain('JSON has no comments, so comments were dropped')
+  })
+})
+
+describe('input format', () => {
+  it('detects JSONC and JSON5 that start with a comment', () => {
+    const { output } = convert('dataToYaml', '// settings\n{"a": 1, /* x */ "b": [2,],}')
+    expect(output).toBe('# settings\na: 1\n# x\nb:\n  - 2\n')
+    expect(convert('dataToJson', '/* header */\n[1, 2]', { indent: '0' }).output).toBe('[1,2]')
+  })
+
+  it('reports JSON errors in commented documents instead of reading them as YAML', () => {
+    expect(() => convert('dataToYaml', '// c\n{"a": }')).toThrow('Line 2, column 7: Unexpected "}"')
+  })
+
+  it('tells TOML tables from JSON arrays', () => {
+    expect(convert('dataToJson', '[server]\nport = 1', { indent: '0' }).output).toBe('{"server":{"port":1}}')
+    expect(convert('dataToJson', '[1, 2]', { indent: '0' }).output).toBe('[1,2]')
+  })
+
+  it('parses with the chosen format instead of detecting it', () => {
+    expect(() => convert('dataToYaml', '<a><b>1</b></a>', { from: 'json' })).toThrow(/Line 1, column 1/)
+  })
+})
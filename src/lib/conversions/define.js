@@ -0,0 +1,32 @@
+/**
+ * Converter definitions shared by every category module.
+ *
+ * A converter is a plain object:
+ *   id       – stable identifier, used for history entries and shortcuts
+ *   label    – button text shown in the UI
+ *   category – id of the tab the converter belongs to
+ *   options  – option schema, a list of { id, label, type, default, choices?, min?, max? }
+ *              where type is one of 'select' | 'text' | 'number' | 'boolean'
+ *              and choices is a list of { value, label } for selects
+ *   convert  – pure function (text, options, context) => string, where context
+ *              holds app-wide settings such as { locale } and warn(message),
+ *              which reports a lossy step without failing the conversion
+ */
+
+const OPTION_TYPES = ['select', 'text', 'number', 'boolean']
+
+export function defineConverter({ id, label, category, options = [], convert }) {
+  if (!id || typeof convert !== 'function') {
+    throw new Error(`Invalid converter definition: ${id}`)
+  }
+  for (const option of options) {
+    if (!OPTION_TYPES.includes(option.type)) {
+      throw new Error(`Converter ${id}: unknown option type "${option.type}"`)
+    }
+  }
+  return Object.freeze({ id, label, category, options, convert })
+}
+
+export function getDefaultOptions(converter) {
+  return Object.fromEntries(converter.options.map((option) => [option.id, option.default]))
+}
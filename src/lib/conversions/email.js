@@ -0,0 +1,86 @@
+/**
+ * Practical email address validation and normalization.
+ *
+ * Validation follows the RFC 5321 limits and the dot-atom / quoted-string
+ * local part of RFC 5322, plus non-ASCII local parts (RFC 6531) and IDN
+ * domains. Comments, folding whitespace and obsolete syntax are rejected.
+ */
+
+import { ConversionError } from './errors.js'
+import { domainToAscii, domainToUnicode } from './punycode.js'
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com']
+
+const ATOM = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~\-\u0080-\uffff]+$/
+const QUOTED = /^"(?:[^"\\\r\n]|\\.)*"$/
+const LABEL = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/
+const IPV4_LITERAL = /^\[(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\]$/
+
+// Split at the last @, so quoted local parts may contain one
+function splitAddress(address) {
+  const at = address.lastIndexOf('@')
+  if (at === -1) return { error: 'Missing @' }
+  return { local: address.slice(0, at), domain: address.slice(at + 1) }
+}
+
+function localPartError(local) {
+  if (!local) return 'Missing the part before @'
+  if (new TextEncoder().encode(local).length > 64) return 'The part before @ is longer than 64 bytes'
+  if (QUOTED.test(local)) return null
+  if (local.startsWith('.') || local.endsWith('.')) return 'The part before @ cannot start or end with a dot'
+  if (local.includes('..')) return 'The part before @ cannot contain two dots in a row'
+  if (!local.split('.').every((atom) => ATOM.test(atom))) return 'The part before @ contains characters that need quoting'
+  return null
+}
+
+export function domainError(domain) {
+  if (!domain) return 'Missing domain'
+  if (IPV4_LITERAL.test(domain)) return null
+  let ascii
+  try {
+    ascii = domainToAscii(domain)
+  } catch (error) {
+    return error.message
+  }
+  if (ascii.length > 253) return 'Domain is longer than 253 characters'
+  const labels = ascii.split('.')
+  if (labels.length < 2) return 'Domain needs at least two labels (example.com)'
+  const invalid = labels.find((label) => label.length > 63 || !LABEL.test(label))
+  if (invalid !== undefined) return invalid ? `Invalid domain label "${invalid}"` : 'Domain contains an empty label'
+  if (/^\d+$/.test(labels[labels.length - 1])) return 'Top-level domain cannot be numeric'
+  return null
+}
+
+// null for a valid address, otherwise the reason it is invalid
+export function emailError(address) {
+  const { local, domain, error } = splitAddress(address)
+  if (error) return error
+  if (new TextEncoder().encode(address).length > 254) return 'Address is longer than 254 bytes'
+  return localPartError(local) ?? domainError(domain)
+}
+
+/**
+ * Normalize a valid address: the domain is always lowercased; Gmail
+ * addresses can also drop dots and the whole address can drop a +tag.
+ * domainForm converts the domain to 'ascii' (Punycode) or 'unicode', or
+ * leaves it as typed ('keep').
+ */
+export function normalizeEmail(address, { stripDots = false, stripPlusTag = false, domainForm = 'keep' } = {}) {
+  const trimmed = address.trim()
+  const error = emailError(trimmed)
+  if (error) throw new ConversionError(`${trimmed || '(empty)'}: ${error}`)
+
+  let { local, domain } = splitAddress(trimmed)
+  domain = domain.normalize('NFKC').toLowerCase()
+  if (domainForm === 'ascii') domain = domainToAscii(domain)
+  if (domainForm === 'unicode') domain = domainToUnicode(domain)
+
+  if (!local.startsWith('"')) {
+    if (stripPlusTag) local = local.replace(/\+.*$/, '') || local
+    // Gmail ignores dots and letter case in the mailbox name
+    if (stripDots && GMAIL_DOMAINS.includes(domainToAscii(domain))) {
+      local = local.toLowerCase().replace(/\./g, '')
+    }
+  }
+  return `${local}@${domain}`
+}
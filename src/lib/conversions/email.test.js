@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest'
+import { domainError, emailError } from './email.js'
+import { domainToAscii, punycodeDecode, punycodeEncode } from './punycode.js'
+
+describe('Punycode', () => {
+  // RFC 3492 and IDNA examples
+  it('encodes and decodes labels', () => {
+    expect(punycodeEncode('münchen')).toBe('mnchen-3ya')
+    expect(punycodeEncode('ü')).toBe('tda')
+    expect(punycodeDecode('mnchen-3ya')).toBe('münchen')
+  })
+
+  it('converts whole domains, normalizing case', () => {
+    expect(domainToAscii('MÜNCHEN.de')).toBe('xn--mnchen-3ya.de')
+    expect(domainToAscii('例え.テスト')).toBe('xn--r8jz45g.xn--zckzah')
+  })
+
+  it('rejects invalid Punycode', () => {
+    expect(() => punycodeDecode('ab-!')).toThrow('Invalid Punycode "ab-!": unexpected "!"')
+  })
+})
+
+describe('emailError', () => {
+  it('accepts valid addresses, including quoted and internationalized ones', () => {
+    expect(emailError('a@b.com')).toBeNull()
+    expect(emailError('"x y"@c.com')).toBeNull()
+    expect(emailError('a@bücher.de')).toBeNull()
+  })
+
+  it.each([
+    ['bad', 'Missing @'],
+    ['a@b', 'Domain needs at least two labels (example.com)'],
+    ['a..b@c.com', 'The part before @ cannot contain two dots in a row'],
+    ['a@-b.com', 'Invalid domain label "-b"'],
+    [`a@${'x'.repeat(64)}.com`, `Invalid domain label "${'x'.repeat(64)}"`]
+  ])('explains what is wrong with %j', (address, message) => {
+    expect(emailError(address)).toBe(message)
+  })
+})
+
+describe('domainError', () => {
+  it('checks each label', () => {
+    expect(domainError('example.com')).toBeNull()
+    expect(domainError('ex_ample.com')).toBe('Invalid domain label "ex_ample"')
+  })
+})
@@ -0,0 +1,193 @@
+import { defineConverter } from './define.js'
+import { utf8Decode, utf8Encode } from './bytes.js'
+import {
+  decodeBase32,
+  decodeBase58,
+  decodeBase64,
+  decodeBase85,
+  encodeBase32,
+  encodeBase58,
+  encodeBase64,
+  encodeBase85
+} from './baseN.js'
+import { BYTE_FORMATS, TEXT_ENCODINGS, decodeText, encodeText, formatBytes, parseBytes } from './byteArrays.js'
+import {
+  MIME_CHARSETS,
+  decodeEncodedWords,
+  decodeQuotedPrintable,
+  encodeEncodedWords,
+  encodeQuotedPrintable,
+  formatMessage,
+  parseMessage
+} from './mime.js'
+
+const category = 'encoding'
+
+const paddingOption = { id: 'padding', label: 'Padding (=)', type: 'boolean', default: true }
+
+const base85Variant = {
+  id: 'variant',
+  label: 'Variant',
+  type: 'select',
+  default: 'ascii85',
+  choices: [
+    { value: 'ascii85', label: 'Ascii85 (Adobe)' },
+    { value: 'z85', label: 'Z85 (ZeroMQ)' }
+  ]
+}
+
+const byteArrayChoices = [
+  { value: 'text', label: 'Text' },
+  ...BYTE_FORMATS.map(({ value, label }) => ({ value, label }))
+]
+
+const mimeCharsetOption = { id: 'charset', label: 'Charset', type: 'select', default: 'utf-8', choices: MIME_CHARSETS }
+
+// Text goes through UTF-8 so any Unicode input round-trips
+export default [
+  defineConverter({
+    id: 'base64Encode',
+    label: 'Base64 Encode',
+    category,
+    options: [
+      {
+        id: 'variant',
+        label: 'Alphabet',
+        type: 'select',
+        default: 'standard',
+        choices: [
+          { value: 'standard', label: 'Standard (+/)' },
+          { value: 'url', label: 'URL-safe (-_)' }
+        ]
+      },
+      paddingOption
+    ],
+    convert: (text, { variant, padding }) => encodeBase64(utf8Encode(text), { urlSafe: variant === 'url', padding })
+  }),
+  defineConverter({
+    id: 'base64Decode',
+    label: 'Base64 Decode',
+    category,
+    convert: (text) => utf8Decode(decodeBase64(text))
+  }),
+  defineConverter({
+    id: 'base32Encode',
+    label: 'Base32 Encode',
+    category,
+    options: [paddingOption],
+    convert: (text, { padding }) => encodeBase32(utf8Encode(text), { padding })
+  }),
+  defineConverter({
+    id: 'base32Decode',
+    label: 'Base32 Decode',
+    category,
+    convert: (text) => utf8Decode(decodeBase32(text))
+  }),
+  defineConverter({
+    id: 'base58Encode',
+    label: 'Base58 Encode',
+    category,
+    convert: (text) => encodeBase58(utf8Encode(text))
+  }),
+  defineConverter({
+    id: 'base58Decode',
+    label: 'Base58 Decode',
+    category,
+    convert: (text) => utf8Decode(decodeBase58(text))
+  }),
+  defineConverter({
+    id: 'base85Encode',
+    label: 'Base85 Encode',
+    category,
+    options: [
+      base85Variant,
+      { id: 'delimiters', label: 'Wrap in <~ ~> (Ascii85)', type: 'boolean', default: false }
+    ],
+    convert: (text, options) => encodeBase85(utf8Encode(text), options)
+  }),
+  defineConverter({
+    id: 'base85Decode',
+    label: 'Base85 Decode',
+    category,
+    options: [base85Variant],
+    convert: (text, options) => utf8Decode(decodeBase85(text, options))
+  }),
+  defineConverter({
+    id: 'byteArray',
+    label: 'Byte Array (Hex/Binary/Octal/Decimal)',
+    category,
+    options: [
+      {
+        id: 'from',
+        label: 'From',
+        type: 'select',
+        default: 'text',
+        choices: byteArrayChoices
+      },
+      {
+        id: 'to',
+        label: 'To',
+        type: 'select',
+        default: 'hex',
+        choices: byteArrayChoices
+      },
+      { id: 'encoding', label: 'Text encoding', type: 'select', default: 'utf-8', choices: TEXT_ENCODINGS },
+      { id: 'prefix', label: 'Prefix numbers (0x, 0b, 0o)', type: 'boolean', default: false },
+      { id: 'separator', label: 'Separator', type: 'text', default: ' ' }
+    ],
+    convert: (text, { from, to, encoding, prefix, separator }) => {
+      const bytes = from === 'text' ? encodeText(text, encoding) : parseBytes(text, from)
+      return to === 'text' ? decodeText(bytes, encoding) : formatBytes(bytes, to, { prefix, separator })
+    }
+  }),
+  defineConverter({
+    id: 'quotedPrintableEncode',
+    label: 'Quoted-Printable Encode',
+    category,
+    options: [mimeCharsetOption],
+    convert: encodeQuotedPrintable
+  }),
+  defineConverter({
+    id: 'quotedPrintableDecode',
+    label: 'Quoted-Printable Decode',
+    category,
+    options: [
+      {
+        ...mimeCharsetOption,
+        choices: [...MIME_CHARSETS, { value: 'windows-1252', label: 'Windows-1252' }, { value: 'iso-8859-15', label: 'ISO-8859-15' }]
+      }
+    ],
+    convert: decodeQuotedPrintable
+  }),
+  defineConverter({
+    id: 'encodedWordEncode',
+    label: 'MIME Header Encode (RFC 2047)',
+    category,
+    options: [
+      {
+        id: 'encoding',
+        label: 'Encoding',
+        type: 'select',
+        default: 'B',
+        choices: [
+          { value: 'B', label: 'B (Base64)' },
+          { value: 'Q', label: 'Q (quoted-printable)' }
+        ]
+      },
+      mimeCharsetOption
+    ],
+    convert: encodeEncodedWords
+  }),
+  defineConverter({
+    id: 'encodedWordDecode',
+    label: 'MIME Header Decode (RFC 2047)',
+    category,
+    convert: (text) => decodeEncodedWords(text)
+  }),
+  defineConverter({
+    id: 'decodeRawEmail',
+    label: 'Decode Raw Email',
+    category,
+    convert: (text) => formatMessage(parseMessage(text))
+  })
+]
@@ -0,0 +1,144 @@
+import { describe, expect, it } from 'vitest'
+import { runConverter } from './registry.js'
+
+const positionOf = (run) => {
+  try {
+    run()
+  } catch (error) {
+    return error.position
+  }
+  return undefined
+}
+
+describe('Base64', () => {
+  // RFC 4648 section 10
+  it.each([
+    ['', ''], ['f', 'Zg=='], ['fo', 'Zm8='], ['foo', 'Zm9v'], ['foob', 'Zm9vYg=='], ['fooba', 'Zm9vYmE='], ['foobar', 'Zm9vYmFy']
+  ])('encodes %j as %j and back', (text, encoded) => {
+    expect(runConverter('base64Encode', text)).toBe(encoded)
+    expect(runConverter('base64Decode', encoded)).toBe(text)
+  })
+
+  it('supports the URL-safe alphabet and unpadded output', () => {
+    expect(runConverter('base64Encode', 'ÿþ')).toBe('w7/Dvg==')
+    expect(runConverter('base64Encode', 'ÿþ', { variant: 'url' })).toBe('w7_Dvg==')
+    expect(runConverter('base64Decode', 'w7_Dvg==', { variant: 'url' })).toBe('ÿþ')
+    expect(runConverter('base64Encode', 'f', { padding: false })).toBe('Zg')
+    expect(runConverter('base64Decode', 'Zg')).toBe('f')
+  })
+
+  it('round-trips non-ASCII text as UTF-8', () => {
+    expect(runConverter('base64Decode', runConverter('base64Encode', 'héllo 😀'))).toBe('héllo 😀')
+  })
+
+  it('rejects malformed input', () => {
+    expect(positionOf(() => runConverter('base64Decode', 'Zm9=v'))).toBe(3)
+    expect(positionOf(() => runConverter('base64Decode', 'Zm9v\n Zm!v'))).toBe(8)
+    expect(() => runConverter('base64Decode', 'Zg===')).toThrow(/padding/)
+    expect(() => runConverter('base64Decode', 'Zh==')).toThrow(/trailing bits/)
+    expect(() => runConverter('base64Decode', '/w==')).toThrow(/UTF-8/)
+  })
+})
+
+describe('Base32', () => {
+  it.each([
+    ['f', 'MY======'], ['fo', 'MZXQ===='], ['foo', 'MZXW6==='], ['foob', 'MZXW6YQ='], ['foobar', 'MZXW6YTBOI======']
+  ])('encodes %j as %j and back', (text, encoded) => {
+    expect(runConverter('base32Encode', text)).toBe(encoded)
+    expect(runConverter('base32Decode', encoded)).toBe(text)
+  })
+})
+
+describe('Base58', () => {
+  it('encodes with the Bitcoin alphabet', () => {
+    expect(runConverter('base58Encode', 'Hello World!')).toBe('2NEpo7TZRRrLZSi2U')
+    expect(runConverter('base58Decode', '2NEpo7TZRRrLZSi2U')).toBe('Hello World!')
+  })
+
+  it('keeps leading zero bytes as 1s', () => {
+    expect(runConverter('base58Encode', '\0\0a')).toBe('112g')
+    expect(runConverter('base58Decode', '112g')).toBe('\0\0a')
+  })
+})
+
+describe('Base85', () => {
+  it('decodes Ascii85 with delimiters and z groups', () => {
+    expect(runConverter('base85Decode', '<~9jqo^F*2M7~>')).toBe('Man sure')
+    expect(runConverter('base85Decode', 'z')).toBe('\0\0\0\0')
+  })
+
+  it('encodes Z85', () => {
+    expect(runConverter('base85Encode', 'Hello World!', { variant: 'z85' })).toBe('nm=QNzY&b1A+]nf')
+    expect(runConverter('base85Decode', 'nm=QNzY&b1A+]nf', { variant: 'z85' })).toBe('Hello World!')
+  })
+
+  it('rejects a z inside a group', () => {
+    expect(positionOf(() => runConverter('base85Decode', 'abz'))).toBe(2)
+  })
+
+  it('reports groups out of range at their offset in the input', () => {
+    expect(positionOf(() => runConverter('base85Decode', 'uuuuu'))).toBe(0)
+    expect(positionOf(() => runConverter('base85Decode', '<~z uuuuu~>'))).toBe(4)
+    expect(positionOf(() => runConverter('base85Decode', 'ab\n cde uuuuu'))).toBe(8)
+  })
+})
+
+describe('byteArray', () => {
+  it('writes UTF-8 bytes in the chosen base', () => {
+    expect(runConverter('byteArray', 'Hi é')).toBe('48 69 20 c3 a9')
+    expect(runConverter('byteArray', 'Hi', { to: 'decimal' })).toBe('72 105')
+    expect(runConverter('byteArray', 'Hi', { to: 'binary' })).toBe('01001000 01101001')
+    expect(runConverter('byteArray', 'Hi', { to: 'octal' })).toBe('110 151')
+    expect(runConverter('byteArray', 'Hi', { prefix: true, separator: ', ' })).toBe('0x48, 0x69')
+  })
+
+  it('uses the chosen text encoding', () => {
+    expect(runConverter('byteArray', 'é', { encoding: 'utf-16le' })).toBe('e9 00')
+    expect(() => runConverter('byteArray', '€', { encoding: 'latin1' })).toThrow()
+  })
+
+  it('reads byte lists back into text', () => {
+    expect(runConverter('byteArray', '48 69', { from: 'hex', to: 'text' })).toBe('Hi')
+    expect(positionOf(() => runConverter('byteArray', '72 256', { from: 'decimal', to: 'text' }))).toBe(3)
+  })
+})
+
+describe('MIME', () => {
+  it('round-trips quoted-printable', () => {
+    const text = 'Café = naïve\nline two'
+    expect(runConverter('quotedPrintableDecode', runConverter('quotedPrintableEncode', text))).toBe(text)
+  })
+
+  it('keeps whitespace before a soft line break', () => {
+    expect(runConverter('quotedPrintableDecode', 'a b =\r\nc')).toBe('a b c')
+  })
+
+  it('encodes and decodes encoded words', () => {
+    expect(runConverter('encodedWordEncode', 'Café')).toBe('=?UTF-8?B?Q2Fmw6k=?=')
+    expect(runConverter('encodedWordEncode', 'Café', { encoding: 'Q' })).toBe('=?UTF-8?Q?Caf=C3=A9?=')
+    expect(runConverter('encodedWordDecode', 'Subject: =?UTF-8?Q?Caf?= =?UTF-8?Q?=C3=A9?=')).toBe('Subject: Café')
+  })
+
+  it('decodes the parts of a multipart message', () => {
+    const email = [
+      'Subject: =?UTF-8?B?Q2Fmw6k=?=',
+      'Content-Type: multipart/alternative; boundary="b"',
+      '',
+      '--b',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Caf=C3=A9',
+      '--b',
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      'PGI+Q2Fmw6k8L2I+',
+      '--b--'
+    ].join('\r\n')
+    const output = runConverter('decodeRawEmail', email)
+    expect(output).toContain('Subject: Café')
+    expect(output).toContain('--- Part 1: text/plain ---\nCafé')
+    expect(output).toContain('--- Part 2: text/html ---\n<b>Café</b>')
+  })
+})
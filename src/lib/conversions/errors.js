@@ -0,0 +1,12 @@
+/**
+ * Thrown by converters when the input cannot be converted (malformed
+ * Base64, invalid JSON, ...). The message is shown to the user as-is, so it
+ * should say what is wrong and, where known, where.
+ */
+export class ConversionError extends Error {
+  constructor(message, { position } = {}) {
+    super(message)
+    this.name = 'ConversionError'
+    this.position = position
+  }
+}
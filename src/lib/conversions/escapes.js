@@ -0,0 +1,371 @@
+/**
+ * Escape and unescape rules for pasting text into markup, data formats and
+ * source code. Each target exports an { escape, unescape } pair of pure
+ * string functions; unescape throws ConversionError on malformed input.
+ */
+
+import { ConversionError } from './errors.js'
+import { ENTITY_NAMES, NAMED_ENTITIES } from './htmlEntities.js'
+
+const hex = (codePoint, width) => codePoint.toString(16).toUpperCase().padStart(width, '0')
+
+const isControl = (codePoint) => codePoint < 0x20 || (codePoint >= 0x7f && codePoint <= 0x9f)
+
+// Replace characters found in `map`, and control characters via `control`
+function escapeChars(text, map, control) {
+  let output = ''
+  for (const char of text) {
+    const codePoint = char.codePointAt(0)
+    if (char in map) output += map[char]
+    else if (control && isControl(codePoint)) output += control(codePoint)
+    else output += char
+  }
+  return output
+}
+
+// \uXXXX for every UTF-16 code unit, so astral characters become surrogate pairs
+const utf16Escape = (codePoint) => String.fromCodePoint(codePoint)
+  .split('')
+  .map((unit) => `\\u${hex(unit.charCodeAt(0), 4)}`)
+  .join('')
+
+function toCodePoint(language, value, position) {
+  if (value > 0x10ffff) {
+    throw new ConversionError(`${language}: code point ${hex(value, 1)} at position ${position + 1} is out of range`, { position })
+  }
+  return String.fromCodePoint(value)
+}
+
+/**
+ * Generic backslash unescaper.
+ *   simple      – single-character escapes, e.g. { n: '\n' }
+ *   sequences   – [sticky regex matched after the backslash, match => string]
+ *   unknown     – what an unrecognised escape means: 'keep' the backslash,
+ *                 'drop' it, or throw an 'error'
+ *   continuation – a backslash before a line break removes both
+ */
+function unescapeBackslashes(language, text, { simple, sequences = [], unknown = 'error', continuation = false }) {
+  let output = ''
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== '\\') {
+      output += text[i]
+      continue
+    }
+    const next = text[i + 1]
+    if (next === undefined) {
+      throw new ConversionError(`${language}: trailing backslash at position ${i + 1}`, { position: i })
+    }
+    if (Object.hasOwn(simple, next)) {
+      output += simple[next]
+      i++
+      continue
+    }
+    if (continuation && (next === '\n' || next === '\r')) {
+      i += next === '\r' && text[i + 2] === '\n' ? 2 : 1
+      continue
+    }
+    const sequence = sequences.find(([pattern]) => {
+      pattern.lastIndex = i + 1
+      return pattern.test(text)
+    })
+    if (sequence) {
+      const [pattern, decode] = sequence
+      pattern.lastIndex = i + 1
+      const match = pattern.exec(text)
+      output += decode(match, i)
+      i += match[0].length
+      continue
+    }
+    if (unknown === 'keep') {
+      output += '\\'
+    } else if (unknown === 'drop') {
+      output += next
+      i++
+    } else {
+      throw new ConversionError(`${language}: unknown escape "\\${next}" at position ${i + 1}`, { position: i })
+    }
+  }
+  return output
+}
+
+const hexSequence = (language, pattern) => [pattern, (match, position) => toCodePoint(language, parseInt(match[1], 16), position)]
+const unitSequence = (pattern) => [pattern, (match) => String.fromCharCode(parseInt(match[1], 16))]
+const octalSequence = (language, pattern) => [pattern, (match, position) => toCodePoint(language, parseInt(match[1], 8), position)]
+
+/* Markup */
+
+const HTML_SPECIAL = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+export const html = {
+  // mode: 'minimal' escapes only & < > " ', 'named' also non-ASCII (named
+  // entity where one exists), 'numeric' non-ASCII as &#x...;
+  escape: (text, { mode = 'minimal' } = {}) => {
+    let output = ''
+    for (const char of text) {
+      const codePoint = char.codePointAt(0)
+      if (char in HTML_SPECIAL) output += HTML_SPECIAL[char]
+      else if (mode === 'named' && codePoint > 0x7e && ENTITY_NAMES.has(codePoint)) output += `&${ENTITY_NAMES.get(codePoint)};`
+      else if (mode !== 'minimal' && codePoint > 0x7e) output += `&#x${hex(codePoint, 1)};`
+      else output += char
+    }
+    return output
+  },
+  // Unknown named references are left untouched, as browsers do
+  unescape: (text) => text.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z][A-Za-z0-9]*));/g, (match, decimal, hexadecimal, name, offset) => {
+    if (name) return NAMED_ENTITIES.has(name) ? String.fromCodePoint(NAMED_ENTITIES.get(name)) : match
+    return toCodePoint('HTML', decimal ? parseInt(decimal, 10) : parseInt(hexadecimal, 16), offset)
+  })
+}
+
+const XML_SPECIAL = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+export const xml = {
+  escape: (text) => escapeChars(text, XML_SPECIAL),
+  // XML only predefines five entities; anything else is an error
+  unescape: (text) => text.replace(/&(?:#(\d+)|#x([0-9a-fA-F]+)|([^\s;&]*));?/g, (match, decimal, hexadecimal, name, offset) => {
+    if (!match.endsWith(';')) {
+      throw new ConversionError(`XML: unterminated entity reference at position ${offset + 1}`, { position: offset })
+    }
+    if (decimal || hexadecimal) return toCodePoint('XML', decimal ? parseInt(decimal, 10) : parseInt(hexadecimal, 16), offset)
+    if (Object.hasOwn(XML_ENTITIES, name)) return XML_ENTITIES[name]
+    throw new ConversionError(`XML: undefined entity "&${name};" at position ${offset + 1}`, { position: offset })
+  })
+}
+
+/* Data formats */
+
+export const json = {
+  escape: (text) => JSON.stringify(text).slice(1, -1),
+  unescape: (text) => {
+    const control = text.split('').findIndex((unit) => unit.charCodeAt(0) < 0x20)
+    if (control !== -1) {
+      throw new ConversionError(`JSON: raw control character at position ${control + 1} must be escaped`, { position: control })
+    }
+    return unescapeBackslashes('JSON', text, {
+      simple: { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' },
+      sequences: [unitSequence(/u([0-9a-fA-F]{4})/y)]
+    })
+  }
+}
+
+export const csv = {
+  // A field needs quoting when it holds the delimiter, a quote, a line break
+  // or leading/trailing spaces
+  escape: (text, { delimiter = ',' } = {}) =>
+    text.includes(delimiter) || /["\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text,
+  unescape: (text) => {
+    if (!text.startsWith('"')) return text
+    if (!/"$/.test(text) || text.length < 2) throw new ConversionError('CSV: quoted field is missing its closing quote')
+    const inner = text.slice(1, -1)
+    const stray = inner.search(/(?<!")"(?!")/)
+    if (inner.replace(/""/g, '').includes('"')) {
+      throw new ConversionError(`CSV: unescaped quote at position ${stray + 2}`, { position: stray + 1 })
+    }
+    return inner.replace(/""/g, '"')
+  }
+}
+
+/* Source code string literals */
+
+const JS_QUOTES = { '"': '\\"', "'": "\\'", '`': '\\`' }
+
+export const javascript = {
+  escape: (text, { quote = '"' } = {}) => {
+    const escaped = escapeChars(text, {
+      '\\': '\\\\',
+      [quote]: JS_QUOTES[quote],
+      '\n': '\\n',
+      '\r': '\\r',
+      '\t': '\\t',
+      '\b': '\\b',
+      '\f': '\\f',
+      '\v': '\\v',
+      '\u2028': '\\u2028',
+      '\u2029': '\\u2029'
+    }, (codePoint) => `\\x${hex(codePoint, 2)}`)
+    // Template literals would otherwise interpolate ${...}
+    return quote === '`' ? escaped.replace(/\$\{/g, '\\${') : escaped
+  },
+  unescape: (text) => unescapeBackslashes('JavaScript', text, {
+    simple: { '\\': '\\', '"': '"', "'": "'", '`': '`', $: '$', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' },
+    sequences: [
+      unitSequence(/x([0-9a-fA-F]{2})/y),
+      hexSequence('JavaScript', /u\{([0-9a-fA-F]{1,6})\}/y),
+      unitSequence(/u([0-9a-fA-F]{4})/y)
+    ],
+    unknown: 'drop',
+    continuation: true
+  })
+}
+
+export const python = {
+  escape: (text, { quote = "'" } = {}) => escapeChars(text, {
+    '\\': '\\\\',
+    [quote]: `\\${quote}`,
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t'
+  }, (codePoint) => `\\x${hex(codePoint, 2).toLowerCase()}`),
+  // Python keeps the backslash of unrecognised escapes such as "\d"
+  unescape: (text) => unescapeBackslashes('Python', text, {
+    simple: { '\\': '\\', "'": "'", '"': '"', a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' },
+    sequences: [
+      hexSequence('Python', /x([0-9a-fA-F]{2})/y),
+      hexSequence('Python', /u([0-9a-fA-F]{4})/y),
+      hexSequence('Python', /U([0-9a-fA-F]{8})/y),
+      octalSequence('Python', /([0-7]{1,3})/y)
+    ],
+    unknown: 'keep',
+    continuation: true
+  })
+}
+
+export const java = {
+  escape: (text) => escapeChars(text, {
+    '\\': '\\\\',
+    '"': '\\"',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\b': '\\b',
+    '\f': '\\f'
+  }, utf16Escape),
+  unescape: (text) => unescapeBackslashes('Java', text, {
+    simple: { '\\': '\\', '"': '"', "'": "'", b: '\b', f: '\f', n: '\n', r: '\r', s: ' ', t: '\t' },
+    sequences: [
+      unitSequence(/u+([0-9a-fA-F]{4})/y),
+      octalSequence('Java', /([0-3][0-7]{0,2}|[4-7][0-7]?)/y)
+    ]
+  })
+}
+
+export const csharp = {
+  escape: (text) => escapeChars(text, {
+    '\\': '\\\\',
+    '"': '\\"',
+    '\0': '\\0',
+    '\x07': '\\a',
+    '\b': '\\b',
+    '\f': '\\f',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\v': '\\v'
+  }, utf16Escape),
+  unescape: (text) => unescapeBackslashes('C#', text, {
+    simple: { '\\': '\\', '"': '"', "'": "'", 0: '\0', a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' },
+    sequences: [
+      unitSequence(/x([0-9a-fA-F]{1,4})/y),
+      unitSequence(/u([0-9a-fA-F]{4})/y),
+      hexSequence('C#', /U([0-9a-fA-F]{8})/y)
+    ]
+  })
+}
+
+export const css = {
+  // CSSOM CSS.escape(): makes any string usable as an identifier in a selector
+  escape: (text) => {
+    const chars = Array.from(text)
+    if (chars.length === 1 && chars[0] === '-') return '\\-'
+    return chars.map((char, index) => {
+      const codePoint = char.codePointAt(0)
+      if (codePoint === 0) return '\uFFFD'
+      if (isControl(codePoint) && codePoint !== 0x80) return `\\${hex(codePoint, 1).toLowerCase()} `
+      if (/[0-9]/.test(char) && (index === 0 || (index === 1 && chars[0] === '-'))) {
+        return `\\${hex(codePoint, 1).toLowerCase()} `
+      }
+      if (codePoint >= 0x80 || /[-_a-zA-Z0-9]/.test(char)) return char
+      return `\\${char}`
+    }).join('')
+  },
+  // A backslash starts either up to six hex digits (plus one optional
+  // whitespace) or a literal character; before a newline it is removed
+  unescape: (text) => unescapeBackslashes('CSS', text, {
+    simple: {},
+    sequences: [
+      [/([0-9a-fA-F]{1,6})(?:\r\n|[ \t\n\r\f])?/y, (match) => {
+        const codePoint = parseInt(match[1], 16)
+        return codePoint === 0 || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)
+          ? '\uFFFD'
+          : String.fromCodePoint(codePoint)
+      }]
+    ],
+    unknown: 'drop',
+    continuation: true
+  })
+}
+
+export const sql = {
+  escape: (text) => text.replace(/'/g, "''"),
+  unescape: (text) => text.replace(/''/g, "'")
+}
+
+/* Shells */
+
+export const posixShell = {
+  // Single quotes protect everything; a literal ' becomes '\''
+  escape: (text) => `'${text.replace(/'/g, "'\\''")}'`,
+  // Remove shell quoting the way the shell would when building a word
+  unescape: (text) => {
+    let output = ''
+    let i = 0
+    while (i < text.length) {
+      const char = text[i]
+      if (char === "'") {
+        const end = text.indexOf("'", i + 1)
+        if (end === -1) throw new ConversionError(`Shell: unterminated single quote at position ${i + 1}`, { position: i })
+        output += text.slice(i + 1, end)
+        i = end + 1
+      } else if (char === '"') {
+        let j = i + 1
+        for (; j < text.length && text[j] !== '"'; j++) {
+          // Inside double quotes only \ $ ` " and newline can be escaped
+          if (text[j] === '\\' && /[\\$`"\n]/.test(text[j + 1] ?? '')) {
+            j++
+            if (text[j] !== '\n') output += text[j]
+          } else {
+            output += text[j]
+          }
+        }
+        if (j >= text.length) throw new ConversionError(`Shell: unterminated double quote at position ${i + 1}`, { position: i })
+        i = j + 1
+      } else if (char === '\\') {
+        if (i + 1 >= text.length) throw new ConversionError(`Shell: trailing backslash at position ${i + 1}`, { position: i })
+        if (text[i + 1] !== '\n') output += text[i + 1]
+        i += 2
+      } else {
+        output += char
+        i++
+      }
+    }
+    return output
+  }
+}
+
+const POWERSHELL_BACKTICK = { 0: '\0', a: '\x07', b: '\b', e: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' }
+
+export const powershell = {
+  // PowerShell also treats the typographic quotes ‘ ’ ‚ ‛ as single quotes
+  escape: (text) => `'${text.replace(/['‘’‚‛]/g, (quote) => quote + quote)}'`,
+  unescape: (text) => {
+    const single = text.match(/^['‘’‚‛]([\s\S]*)['‘’‚‛]$/)
+    if (single) return single[1].replace(/(['‘’‚‛])\1/g, '$1')
+
+    const double = text.match(/^["“”„]([\s\S]*)["“”„]$/)
+    const body = double ? double[1].replace(/(["“”„])\1/g, '$1') : text
+    return body.replace(/`(u\{([0-9a-fA-F]{1,6})\}|[\s\S])?/g, (match, escape, codePoint, offset) => {
+      if (escape === undefined) throw new ConversionError(`PowerShell: trailing backtick at position ${offset + 1}`, { position: offset })
+      if (codePoint) return toCodePoint('PowerShell', parseInt(codePoint, 16), offset)
+      return POWERSHELL_BACKTICK[escape] ?? escape
+    })
+  }
+}
+
+/* Regular expressions */
+
+export const regex = {
+  escape: (text) => text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&'),
+  // Only escaped punctuation is unescaped; \d, \w, \n ... keep their meaning
+  unescape: (text) => text.replace(/\\([^A-Za-z0-9])/g, '$1')
+}
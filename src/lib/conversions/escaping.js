@@ -0,0 +1,72 @@
+import { defineConverter } from './define.js'
+import * as escapes from './escapes.js'
+
+const category = 'escape'
+
+const directionOption = {
+  id: 'direction',
+  label: 'Direction',
+  type: 'select',
+  default: 'escape',
+  choices: [
+    { value: 'escape', label: 'Escape' },
+    { value: 'unescape', label: 'Unescape' }
+  ]
+}
+
+const quoteOption = (defaultQuote, quotes) => ({
+  id: 'quote',
+  label: 'Quote character',
+  type: 'select',
+  default: defaultQuote,
+  choices: quotes.map((quote) => ({ value: quote, label: quote }))
+})
+
+// One converter per target; the direction option picks escape or unescape
+const escapeConverter = (id, label, rules, options = []) => defineConverter({
+  id,
+  label,
+  category,
+  options: [directionOption, ...options],
+  convert: (text, { direction, ...rest }) => rules[direction](text, rest)
+})
+
+export default [
+  escapeConverter('htmlEscape', 'HTML Entities', escapes.html, [
+    {
+      id: 'mode',
+      label: 'Non-ASCII characters',
+      type: 'select',
+      default: 'minimal',
+      choices: [
+        { value: 'minimal', label: 'Keep as-is' },
+        { value: 'named', label: 'Named entities' },
+        { value: 'numeric', label: 'Numeric entities' }
+      ]
+    }
+  ]),
+  escapeConverter('xmlEscape', 'XML', escapes.xml),
+  escapeConverter('jsonEscape', 'JSON String', escapes.json),
+  escapeConverter('javascriptEscape', 'JavaScript / TypeScript String', escapes.javascript, [quoteOption('"', ['"', "'", '`'])]),
+  escapeConverter('pythonEscape', 'Python String', escapes.python, [quoteOption("'", ["'", '"'])]),
+  escapeConverter('javaEscape', 'Java String', escapes.java),
+  escapeConverter('csharpEscape', 'C# String', escapes.csharp),
+  escapeConverter('cssEscape', 'CSS Identifier', escapes.css),
+  escapeConverter('sqlEscape', 'SQL String', escapes.sql),
+  escapeConverter('posixShellEscape', 'POSIX Shell', escapes.posixShell),
+  escapeConverter('powershellEscape', 'PowerShell', escapes.powershell),
+  escapeConverter('regexEscape', 'Regex', escapes.regex),
+  escapeConverter('csvEscape', 'CSV Field', escapes.csv, [
+    {
+      id: 'delimiter',
+      label: 'Delimiter',
+      type: 'select',
+      default: ',',
+      choices: [
+        { value: ',', label: 'Comma' },
+        { value: ';', label: 'Semicolon' },
+        { value: '\t', label: 'Tab' }
+      ]
+    }
+  ])
+]
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest'
+import { runConverter } from './registry.js'
+
+const unescape = (id, text, options = {}) => runConverter(id, text, { ...options, direction: 'unescape' })
+
+describe('HTML and XML', () => {
+  it('escapes markup characters', () => {
+    expect(runConverter('htmlEscape', `<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;')
+    expect(runConverter('xmlEscape', `'"`)).toBe('&apos;&quot;')
+  })
+
+  it('can escape non-ASCII characters as entities', () => {
+    expect(runConverter('htmlEscape', 'é<😀', { mode: 'numeric' })).toBe('&#xE9;&lt;&#x1F600;')
+  })
+
+  it('unescapes named and numeric entities and leaves unknown ones', () => {
+    expect(unescape('htmlEscape', '&lt;&eacute;&#233;&#xE9;&bogus;')).toBe('<ééé&bogus;')
+  })
+})
+
+describe('string literals', () => {
+  const text = 'a"b\'c\n\t\\é`'
+
+  it('escape for the target language and quote', () => {
+    expect(runConverter('jsonEscape', text)).toBe('a\\"b\'c\\n\\t\\\\é`')
+    expect(runConverter('javascriptEscape', text, { quote: '`' })).toBe('a"b\'c\\n\\t\\\\é\\`')
+    expect(runConverter('pythonEscape', text)).toBe('a"b\\\'c\\n\\t\\\\é`')
+    expect(runConverter('javaEscape', text)).toBe('a\\"b\'c\\n\\t\\\\é`')
+    expect(runConverter('csharpEscape', text)).toBe('a\\"b\'c\\n\\t\\\\é`')
+  })
+
+  it('unescape escape sequences', () => {
+    expect(unescape('jsonEscape', '\\u00e9\\n\\"')).toBe('é\n"')
+    expect(unescape('javascriptEscape', '\\x41\\u{1F600}\\0')).toBe('A😀\0')
+  })
+
+  it('report invalid escape sequences at their position', () => {
+    expect(() => unescape('jsonEscape', '\\x')).toThrow(expect.objectContaining({ position: 0 }))
+  })
+})
+
+describe('other targets', () => {
+  it('escape regex metacharacters', () => {
+    expect(runConverter('regexEscape', 'a.b*c?(d)[e]{f}|g^h$i\\')).toBe('a\\.b\\*c\\?\\(d\\)\\[e\\]\\{f\\}\\|g\\^h\\$i\\\\')
+  })
+
+  it('quote CSV fields only when needed', () => {
+    expect(runConverter('csvEscape', 'plain')).toBe('plain')
+    expect(runConverter('csvEscape', 'a,b "c"')).toBe('"a,b ""c"""')
+    expect(runConverter('csvEscape', 'a;b', { delimiter: ';' })).toBe('"a;b"')
+    expect(() => unescape('csvEscape', '"abc')).toThrow()
+  })
+
+  it('quote SQL strings and shell words', () => {
+    expect(runConverter('sqlEscape', "it's")).toBe("it''s")
+    expect(runConverter('posixShellEscape', "it's")).toBe("'it'\\''s'")
+    expect(runConverter('powershellEscape', "it's")).toBe("'it''s'")
+  })
+
+  it('escape a leading digit in CSS identifiers', () => {
+    expect(runConverter('cssEscape', '123abc')).toBe('\\31 23abc')
+  })
+})
@@ -0,0 +1,7 @@
+export { categories, converters, getConverter, getConverters, runConverter } from './registry.js'
+export { defineConverter, getDefaultOptions } from './define.js'
+export { ConversionError } from './errors.js'
+export { DEFAULT_LOCALE, LOCALES, matchLocale } from './locale.js'
+export { countSentences, splitSentences } from './sentences.js'
+export { createStep, runPipeline } from './pipeline.js'
+export { buildUrl, parseUrl } from './url.js'
@@ -0,0 +1,60 @@
+import { defineConverter } from './define.js'
+import { describeJson, parseJson, stringifyJson } from './jsonSyntax.js'
+
+const category = 'json'
+
+const indentOption = {
+  id: 'indent',
+  label: 'Indent',
+  type: 'select',
+  default: '2',
+  choices: [
+    { value: '2', label: '2 spaces' },
+    { value: '4', label: '4 spaces' },
+    { value: 'tab', label: 'Tab' }
+  ]
+}
+const sortKeysOption = { id: 'sortKeys', label: 'Sort keys', type: 'boolean', default: false }
+const lenientOption = { id: 'lenient', label: 'Allow JSON5/JSONC (comments, trailing commas)', type: 'boolean', default: false }
+
+const toIndent = (indent) => (indent === 'tab' ? '\t' : Number(indent))
+
+export default [
+  defineConverter({
+    id: 'jsonFormat',
+    label: 'Pretty Print',
+    category,
+    options: [indentOption, sortKeysOption, lenientOption],
+    convert: (text, { indent, sortKeys, lenient }) =>
+      stringifyJson(parseJson(text, { lenient }), { indent: toIndent(indent), sortKeys })
+  }),
+  defineConverter({
+    id: 'jsonMinify',
+    label: 'Minify',
+    category,
+    options: [sortKeysOption, lenientOption],
+    convert: (text, { sortKeys, lenient }) => stringifyJson(parseJson(text, { lenient }), { indent: 0, sortKeys })
+  }),
+  defineConverter({
+    id: 'jsonSortKeys',
+    label: 'Sort Keys',
+    category,
+    options: [indentOption, lenientOption],
+    convert: (text, { indent, lenient }) =>
+      stringifyJson(parseJson(text, { lenient }), { indent: toIndent(indent), sortKeys: true })
+  }),
+  defineConverter({
+    id: 'jsonValidate',
+    label: 'Validate',
+    category,
+    options: [lenientOption],
+    convert: (text, { lenient }) => `Valid ${lenient ? 'JSON5/JSONC' : 'JSON'}: ${describeJson(parseJson(text, { lenient }))}`
+  }),
+  defineConverter({
+    id: 'json5ToJson',
+    label: 'JSON5/JSONC to JSON',
+    category,
+    options: [indentOption],
+    convert: (text, { indent }) => stringifyJson(parseJson(text, { lenient: true }), { indent: toIndent(indent) })
+  })
+]
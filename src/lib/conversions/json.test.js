@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest'
+import { runConverter } from './registry.js'
+
+const errorOf = (run) => {
+  try {
+    run()
+  } catch (error) {
+    return { message: error.message, position: error.position }
+  }
+  return null
+}
+
+describe('jsonFormat', () => {
+  it('pretty-prints with the chosen indent, keeping empty containers inline', () => {
+    expect(runConverter('jsonFormat', '{"a":[1,{"b":null}],"e":{},"f":[]}'))
+      .toBe('{\n  "a": [\n    1,\n    {\n      "b": null\n    }\n  ],\n  "e": {},\n  "f": []\n}')
+    expect(runConverter('jsonFormat', '{"b":1,"a":2}', { indent: 'tab', sortKeys: true })).toBe('{\n\t"a": 2,\n\t"b": 1\n}')
+  })
+
+  it('keeps numbers exactly as written', () => {
+    expect(runConverter('jsonMinify', '{"n": 1e400, "big": 12345678901234567890}')).toBe('{"n":1e400,"big":12345678901234567890}')
+  })
+
+  it('accepts comments and trailing commas in lenient mode', () => {
+    expect(runConverter('jsonFormat', '{/* c */"a":1,}', { lenient: true })).toBe('{\n  "a": 1\n}')
+  })
+})
+
+describe('jsonMinify and jsonSortKeys', () => {
+  it('minify', () => {
+    expect(runConverter('jsonMinify', '{ "a" : [ 1 , 2 ] }')).toBe('{"a":[1,2]}')
+  })
+
+  it('sort keys recursively', () => {
+    expect(runConverter('jsonSortKeys', '{"b":{"d":1,"c":2},"a":0}', { indent: '4' }))
+      .toBe('{\n    "a": 0,\n    "b": {\n        "c": 2,\n        "d": 1\n    }\n}')
+  })
+})
+
+describe('jsonValidate', () => {
+  it('summarizes valid documents', () => {
+    expect(runConverter('jsonValidate', '{"a":[1,2]}')).toBe('Valid JSON: object with 1 key')
+    expect(runConverter('jsonValidate', '{"a":1,}', { lenient: true })).toBe('Valid JSON5/JSONC: object with 1 key')
+  })
+
+  it.each([
+    ['[1,]', 2, /Trailing commas are not allowed/],
+    ['{"a" 1}', 5, /Expected ":" after property name "a"/],
+    ['{"a":1}{', 7, /after the end of the JSON value/],
+    ['', 0, /Unexpected end of input/],
+    ['{"a":"\u0001"}', 6, /Unescaped control character/]
+  ])('reports the line, column and position of errors in %j', (text, position, message) => {
+    const error = errorOf(() => runConverter('jsonValidate', text))
+    expect(error.position).toBe(position)
+    expect(error.message).toMatch(message)
+  })
+
+  it('allows only JSON whitespace between tokens in strict mode', () => {
+    expect(errorOf(() => runConverter('jsonValidate', '{"a":\u00a01}')).position).toBe(5)
+    expect(runConverter('jsonValidate', '{"a":\u00a01}', { lenient: true })).toBe('Valid JSON5/JSONC: object with 1 key')
+  })
+})
+
+describe('json5ToJson', () => {
+  it('rewrites JSON5 syntax as strict JSON', () => {
+    expect(runConverter('json5ToJson', "// c\n{a: 'x', b: +1, c: .5, d: 0x10, f: [1,],}"))
+      .toBe('{\n  "a": "x",\n  "b": 1,\n  "c": 0.5,\n  "d": 16,\n  "f": [\n    1\n  ]\n}')
+  })
+
+  it('rejects values strict JSON cannot hold', () => {
+    expect(() => runConverter('json5ToJson', '{e: Infinity}')).toThrow(/Infinity cannot be represented/)
+  })
+})
@@ -0,0 +1,266 @@
+/**
+ * JSON parsing and formatting that keeps the document as written.
+ *
+ * parseJson builds a small syntax tree instead of JavaScript values, so key
+ * order (including integer-like keys), duplicate keys and the exact text of
+ * numbers survive a round trip. Nodes are
+ *   { type: 'object', entries: [{ key, value }] }
+ *   { type: 'array', items: [node] }
+ *   { type: 'string', value } | { type: 'number', raw }
+ *   { type: 'boolean', value } | { type: 'null' }
+ * and may carry `comments`, the comment lines written just before them.
+ *
+ * The lenient mode accepts JSONC and JSON5: comments, trailing commas,
+ * single-quoted strings, unquoted keys, hex and signed numbers. Numbers are
+ * rewritten in strict JSON syntax as they are read.
+ */
+
+import { ConversionError } from './errors.js'
+
+const STRICT_NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y
+const LENIENT_NUMBER = /[+-]?(?:0[xX][0-9a-fA-F]+|Infinity|NaN|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y
+const IDENTIFIER = /[\p{ID_Start}$_][\p{ID_Continue}$\u200C\u200D]*/uy
+// JSON allows only these four; JSON5 allows any Unicode space or line break
+const STRICT_WHITESPACE = /[ \t\n\r]*/y
+const LENIENT_WHITESPACE = /\s*/y
+
+const STRICT_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }
+const JSON5_ESCAPES = { ...STRICT_ESCAPES, "'": "'", v: '\v', 0: '\0' }
+
+// 1-based line and column of a character offset
+export function lineColumn(text, position) {
+  const before = text.slice(0, position)
+  const line = before.split('\n').length
+  return { line, column: position - before.lastIndexOf('\n') }
+}
+
+// Invisible characters (NBSP, BOM, U+2028...) are named by code point
+const describe = (char) => {
+  if (char === undefined) return 'end of input'
+  if (/[\s\p{C}]/u.test(char)) return `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')} (not allowed as JSON whitespace)`
+  return `"${char}"`
+}
+
+// Turn a lenient number into the equivalent strict JSON number text
+function strictNumber(raw, fail) {
+  const negative = raw.startsWith('-')
+  const unsigned = raw.replace(/^[+-]/, '')
+  if (unsigned === 'Infinity' || unsigned === 'NaN') fail(`${raw} cannot be represented in strict JSON`)
+  if (/^0[xX]/.test(unsigned)) return (negative ? '-' : '') + BigInt(unsigned).toString()
+  if (/^0\d/.test(unsigned)) fail(`Numbers cannot have leading zeros (${raw})`)
+  const [mantissa, exponent] = unsigned.split(/(?=[eE])/)
+  const [whole, fraction = ''] = mantissa.split('.')
+  return `${negative ? '-' : ''}${whole || '0'}${fraction ? `.${fraction}` : ''}${exponent ?? ''}`
+}
+
+/**
+ * Parse JSON text into a syntax tree. Errors are ConversionErrors whose
+ * message names the line and column and whose position is the offset.
+ */
+export function parseJson(text, { lenient = false } = {}) {
+  let index = 0
+  let pendingComments = []
+
+  const fail = (message, position = index) => {
+    const { line, column } = lineColumn(text, position)
+    throw new ConversionError(`Line ${line}, column ${column}: ${message}`, { position })
+  }
+
+  const match = (pattern) => {
+    pattern.lastIndex = index
+    const result = pattern.exec(text)
+    return result && result[0]
+  }
+
+  // Skip whitespace and, in lenient mode, collect comments
+  const skip = () => {
+    for (;;) {
+      index += match(lenient ? LENIENT_WHITESPACE : STRICT_WHITESPACE).length
+      if (text[index] !== '/' || (text[index + 1] !== '/' && text[index + 1] !== '*')) return
+      if (!lenient) fail('Comments are not allowed in strict JSON (try the lenient JSON5/JSONC option)')
+      const block = text[index + 1] === '*'
+      const end = block ? text.indexOf('*/', index + 2) : text.indexOf('\n', index)
+      if (block && end === -1) fail('Unterminated /* comment')
+      const stop = end === -1 ? text.length : end
+      pendingComments.push(...text.slice(index + 2, stop).split('\n').map((line) => line.replace(/^\s*\*?\s?/, '').trimEnd()).filter(Boolean))
+      index = block ? stop + 2 : stop
+    }
+  }
+
+  const takeComments = () => {
+    const comments = pendingComments
+    pendingComments = []
+    return comments
+  }
+
+  const parseString = () => {
+    const quote = text[index]
+    const start = index++
+    let value = ''
+    for (;;) {
+      const char = text[index]
+      if (char === undefined) fail('Unterminated string', start)
+      if (char === quote) break
+      if (char === '\\') {
+        const escape = text[index + 1]
+        const escapes = lenient ? JSON5_ESCAPES : STRICT_ESCAPES
+        if (escape === 'u') {
+          const hex = text.slice(index + 2, index + 6)
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid \\u escape, expected 4 hex digits')
+          value += String.fromCharCode(parseInt(hex, 16))
+          index += 6
+        } else if (lenient && escape === 'x' && /^[0-9a-fA-F]{2}$/.test(text.slice(index + 2, index + 4))) {
+          value += String.fromCharCode(parseInt(text.slice(index + 2, index + 4), 16))
+          index += 4
+        } else if (lenient && (escape === '\n' || escape === '\r')) {
+          // Line continuation
+          index += text.startsWith('\r\n', index + 1) ? 3 : 2
+        } else if (Object.hasOwn(escapes, escape)) {
+          value += escapes[escape]
+          index += 2
+        } else if (lenient && escape !== undefined && !/[1-9]/.test(escape)) {
+          value += escape
+          index += 2
+        } else {
+          fail(`Invalid escape "\\${escape ?? ''}"`)
+        }
+        continue
+      }
+      if (char === '\n' || (!lenient && char < ' ')) fail('Unescaped control character in string (use \\n, \\t, ...)')
+      value += char
+      index++
+    }
+    index++
+    return { type: 'string', value }
+  }
+
+  const parseKey = () => {
+    const char = text[index]
+    if (char === '"' || (lenient && char === "'")) return parseString().value
+    if (lenient) {
+      const identifier = match(IDENTIFIER)
+      if (identifier) {
+        index += identifier.length
+        return identifier
+      }
+    }
+    return fail(`Expected a property name in double quotes, found ${describe(char)}`)
+  }
+
+  // Parse "[" items "]" or "{" entries "}" with shared comma handling
+  const parseContainer = (close, parseMember) => {
+    const open = index++
+    const members = []
+    skip()
+    while (text[index] !== close) {
+      if (text[index] === undefined) fail(`Missing "${close}" to close the "${text[open]}" at line ${lineColumn(text, open).line}`, open)
+      members.push(parseMember())
+      skip()
+      if (text[index] === ',') {
+        const comma = index++
+        skip()
+        if (text[index] === close && !lenient) {
+          fail('Trailing commas are not allowed in strict JSON (try the lenient JSON5/JSONC option)', comma)
+        }
+      } else if (text[index] !== close) {
+        fail(`Expected "," or "${close}", found ${describe(text[index])}`)
+      }
+    }
+    index++
+    return members
+  }
+
+  const parseValue = () => {
+    skip()
+    const comments = takeComments()
+    const node = parseBareValue()
+    if (comments.length) node.comments = comments
+    return node
+  }
+
+  const parseBareValue = () => {
+    const char = text[index]
+    if (char === '{') {
+      return {
+        type: 'object',
+        entries: parseContainer('}', () => {
+          const comments = takeComments()
+          const key = parseKey()
+          skip()
+          if (text[index] !== ':') fail(`Expected ":" after property name "${key}", found ${describe(text[index])}`)
+          index++
+          const value = parseValue()
+          if (comments.length) value.comments = [...comments, ...(value.comments ?? [])]
+          return { key, value }
+        })
+      }
+    }
+    if (char === '[') return { type: 'array', items: parseContainer(']', parseValue) }
+    if (char === '"' || (lenient && char === "'")) return parseString()
+
+    const number = match(lenient ? LENIENT_NUMBER : STRICT_NUMBER)
+    if (number) {
+      const start = index
+      index += number.length
+      return { type: 'number', raw: lenient ? strictNumber(number, (message) => fail(message, start)) : number }
+    }
+    for (const [word, node] of [['true', { type: 'boolean', value: true }], ['false', { type: 'boolean', value: false }], ['null', { type: 'null' }]]) {
+      if (text.startsWith(word, index)) {
+        index += word.length
+        return node
+      }
+    }
+    return fail(`Unexpected ${describe(char)}`)
+  }
+
+  const root = parseValue()
+  skip()
+  if (index < text.length) fail(`Unexpected ${describe(text[index])} after the end of the JSON value`)
+  return root
+}
+
+const compareKeys = (a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+
+/**
+ * Serialize a syntax tree as strict JSON. indent is a number of spaces or
+ * '\t'; 0 or '' produces minified output. sortKeys orders object keys
+ * recursively by code unit, keeping duplicates in their original order.
+ */
+export function stringifyJson(node, { indent = 2, sortKeys = false } = {}) {
+  const unit = typeof indent === 'number' ? ' '.repeat(indent) : indent
+  const newline = unit ? '\n' : ''
+  const colon = unit ? ': ' : ':'
+
+  const write = (current, depth) => {
+    const inner = unit.repeat(depth + 1)
+    const outer = unit.repeat(depth)
+    switch (current.type) {
+      case 'object': {
+        if (current.entries.length === 0) return '{}'
+        const entries = sortKeys ? [...current.entries].sort(compareKeys) : current.entries
+        const body = entries.map(({ key, value }) => inner + JSON.stringify(key) + colon + write(value, depth + 1))
+        return `{${newline}${body.join(`,${newline}`)}${newline}${outer}}`
+      }
+      case 'array': {
+        if (current.items.length === 0) return '[]'
+        const body = current.items.map((item) => inner + write(item, depth + 1))
+        return `[${newline}${body.join(`,${newline}`)}${newline}${outer}]`
+      }
+      case 'string': return JSON.stringify(current.value)
+      case 'number': return current.raw
+      case 'boolean': return String(current.value)
+      default: return 'null'
+    }
+  }
+
+  return write(node, 0)
+}
+
+// Short description of a parsed document, e.g. "object with 3 keys"
+export function describeJson(node) {
+  switch (node.type) {
+    case 'object': return `object with ${node.entries.length} ${node.entries.length === 1 ? 'key' : 'keys'}`
+    case 'array': return `array with ${node.items.length} ${node.items.length === 1 ? 'item' : 'items'}`
+    default: return node.type
+  }
+}
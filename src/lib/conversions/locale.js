@@ -0,0 +1,48 @@
+/**
+ * Locale-sensitive casing helpers shared by the case converters.
+ *
+ * toLocaleUpperCase/toLocaleLowerCase cover the special mappings (Turkish
+ * dotted and dotless i, German ß, Greek final sigma and accent stripping);
+ * the few title-casing rules ICU does not know about live here.
+ */
+
+export const DEFAULT_LOCALE = 'en'
+
+export const LOCALES = [
+  { value: 'en', label: 'English' },
+  { value: 'de', label: 'Deutsch' },
+  { value: 'es', label: 'Español' },
+  { value: 'fr', label: 'Français' },
+  { value: 'it', label: 'Italiano' },
+  { value: 'nl', label: 'Nederlands' },
+  { value: 'pt', label: 'Português' },
+  { value: 'pl', label: 'Polski' },
+  { value: 'lt', label: 'Lietuvių' },
+  { value: 'tr', label: 'Türkçe' },
+  { value: 'az', label: 'Azərbaycan' },
+  { value: 'el', label: 'Ελληνικά' },
+  { value: 'ru', label: 'Русский' }
+]
+
+export const upper = (text, locale = DEFAULT_LOCALE) => text.toLocaleUpperCase(locale)
+
+export const lower = (text, locale = DEFAULT_LOCALE) => text.toLocaleLowerCase(locale)
+
+export const isEnglish = (locale = DEFAULT_LOCALE) => locale.toLowerCase().split('-')[0] === 'en'
+
+// Uppercase the first letter of a word and lowercase the rest
+export function capitalize(word, locale = DEFAULT_LOCALE) {
+  // Dutch treats the IJ digraph as a single letter: ijsland -> IJsland
+  if (locale.startsWith('nl') && /^ij/i.test(word)) {
+    return 'IJ' + lower(word.slice(2), locale)
+  }
+  const [first = '', ...rest] = word
+  return upper(first, locale) + lower(rest.join(''), locale)
+}
+
+// Find the closest supported locale for a BCP 47 tag such as navigator.language
+export function matchLocale(tag) {
+  if (!tag) return DEFAULT_LOCALE
+  const language = tag.toLowerCase().split('-')[0]
+  return LOCALES.find(({ value }) => value === language)?.value ?? DEFAULT_LOCALE
+}
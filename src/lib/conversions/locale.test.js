@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest'
+import { capitalize, matchLocale } from './locale.js'
+import { runConverter } from './registry.js'
+
+describe('locale-aware case conversion', () => {
+  it('uses the dotted and dotless i of Turkish', () => {
+    expect(runConverter('upperCase', 'istanbul', {}, { locale: 'tr' })).toBe('İSTANBUL')
+    expect(runConverter('upperCase', 'istanbul', {}, { locale: 'en' })).toBe('ISTANBUL')
+    expect(runConverter('lowerCase', 'DİYARBAKIR', {}, { locale: 'tr' })).toBe('diyarbakır')
+    expect(runConverter('camelCase', 'ilk isim', {}, { locale: 'tr' })).toBe('ilkİsim')
+  })
+
+  it('capitalizes the Dutch IJ digraph as one letter', () => {
+    expect(capitalize('ijsland', 'nl')).toBe('IJsland')
+    expect(capitalize('ijsland', 'en')).toBe('Ijsland')
+  })
+})
+
+describe('matchLocale', () => {
+  it('matches the language of a BCP 47 tag', () => {
+    expect(matchLocale('tr-TR')).toBe('tr')
+    expect(matchLocale('pt-BR')).toBe('pt')
+  })
+
+  it('falls back to English', () => {
+    expect(matchLocale('xx')).toBe('en')
+    expect(matchLocale(undefined)).toBe('en')
+  })
+})
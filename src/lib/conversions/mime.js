@@ -0,0 +1,221 @@
+/**
+ * MIME helpers for reading raw email: quoted-printable (RFC 2045),
+ * encoded-words in headers (RFC 2047) and a small message parser that
+ * decodes headers and (multipart) bodies for display.
+ *
+ * Decoding is lenient, like mail clients: malformed escapes are kept as
+ * literal text rather than rejected. Unknown charsets are an error.
+ */
+
+import { ConversionError } from './errors.js'
+import { decodeBase64, encodeBase64 } from './baseN.js'
+import { encodeText } from './byteArrays.js'
+
+const MAX_LINE = 76
+const hexByte = (byte) => byte.toString(16).toUpperCase().padStart(2, '0')
+
+// Charsets that can be written; decoding accepts anything TextDecoder knows
+export const MIME_CHARSETS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)' }
+]
+
+const encodeCharset = (text, charset) => encodeText(text, charset === 'iso-8859-1' ? 'latin1' : 'utf-8')
+
+export function decodeCharset(bytes, charset = 'utf-8') {
+  // RFC 2231 allows a language suffix: utf-8*en
+  const label = charset.split('*')[0].trim().toLowerCase() || 'utf-8'
+  let decoder
+  try {
+    decoder = new TextDecoder(label === 'us-ascii' ? 'utf-8' : label)
+  } catch {
+    throw new ConversionError(`Unsupported charset "${charset}"`)
+  }
+  return decoder.decode(bytes)
+}
+
+/* Quoted-printable */
+
+function decodeQuotedPrintableBytes(text) {
+  const bytes = []
+  // Trailing whitespace on an encoded line is transport padding (RFC 2045),
+  // but whitespace before a soft line break (= at the end) is data
+  const joined = text.split(/\r?\n/).map((line, i, lines) => {
+    const trimmed = line.replace(/[ \t]+$/, '')
+    if (trimmed.endsWith('=')) return trimmed.slice(0, -1)
+    return i === lines.length - 1 ? trimmed : `${trimmed}\n`
+  }).join('')
+  for (let i = 0; i < joined.length; i++) {
+    const hex = joined[i] === '=' && joined.slice(i + 1, i + 3)
+    if (hex && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16))
+      i += 2
+    } else {
+      bytes.push(...encodeText(joined[i] === '\r' ? '' : joined[i]))
+    }
+  }
+  return Uint8Array.from(bytes)
+}
+
+export const decodeQuotedPrintable = (text, { charset = 'utf-8' } = {}) => decodeCharset(decodeQuotedPrintableBytes(text), charset)
+
+export function encodeQuotedPrintable(text, { charset = 'utf-8' } = {}) {
+  return text.split(/\r?\n/).map((line) => {
+    const bytes = encodeCharset(line, charset)
+    const tokens = Array.from(bytes, (byte, i) => {
+      const isLast = i === bytes.length - 1
+      // Spaces and tabs survive only when they are not at the end of a line
+      if ((byte === 0x20 || byte === 0x09) && !isLast) return String.fromCharCode(byte)
+      if (byte >= 33 && byte <= 126 && byte !== 0x3d) return String.fromCharCode(byte)
+      return `=${hexByte(byte)}`
+    })
+    // Wrap with soft line breaks without splitting an =XX escape
+    let output = ''
+    let length = 0
+    tokens.forEach((token, i) => {
+      const reserve = i === tokens.length - 1 ? 0 : 1
+      if (length + token.length + reserve > MAX_LINE) {
+        output += '=\n'
+        length = 0
+      }
+      output += token
+      length += token.length
+    })
+    return output
+  }).join('\n')
+}
+
+/* RFC 2047 encoded-words */
+
+const ENCODED_WORD = /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g
+
+function decodeEncodedWord(charset, encoding, data) {
+  const bytes = encoding.toUpperCase() === 'B'
+    ? decodeBase64(data)
+    : decodeQuotedPrintableBytes(data.replace(/_/g, ' '))
+  return decodeCharset(bytes, charset)
+}
+
+// Whitespace between two adjacent encoded-words is not part of the text
+export function decodeEncodedWords(text) {
+  return text
+    .replace(/(\?=)\s+(?==\?[^?\s]+\?[BbQq]\?)/g, '$1')
+    .replace(ENCODED_WORD, (match, charset, encoding, data) => {
+      try {
+        return decodeEncodedWord(charset, encoding, data)
+      } catch (error) {
+        if (error instanceof ConversionError && error.message.startsWith('Unsupported charset')) throw error
+        return match
+      }
+    })
+}
+
+// Characters Q encoding may leave as-is in a header phrase
+const Q_SAFE = /[A-Za-z0-9!*+\-/]/
+
+function encodeWordData(chars, encoding, charset) {
+  const bytes = encodeCharset(chars.join(''), charset)
+  if (encoding === 'B') return encodeBase64(bytes)
+  return Array.from(bytes, (byte) => {
+    if (byte === 0x20) return '_'
+    const char = String.fromCharCode(byte)
+    return byte < 0x80 && Q_SAFE.test(char) ? char : `=${hexByte(byte)}`
+  }).join('')
+}
+
+/**
+ * Encode text as encoded-words of at most 75 characters each, separated by
+ * folding whitespace. Characters are never split across words.
+ */
+export function encodeEncodedWords(text, { encoding = 'B', charset = 'utf-8' } = {}) {
+  const wrap = (chars) => `=?${charset.toUpperCase()}?${encoding}?${encodeWordData(chars, encoding, charset)}?=`
+  const words = []
+  let current = []
+  for (const char of text) {
+    if (current.length && wrap([...current, char]).length > 75) {
+      words.push(wrap(current))
+      current = []
+    }
+    current.push(char)
+  }
+  if (current.length) words.push(wrap(current))
+  return words.join('\n ')
+}
+
+/* Raw messages */
+
+// Unfold continuation lines and split "Name: value" pairs
+export function parseHeaders(block) {
+  return block
+    .replace(/\r?\n(?=[ \t])/g, '')
+    .split(/\r?\n/)
+    .filter((line) => line.includes(':'))
+    .map((line) => {
+      const colon = line.indexOf(':')
+      return { name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() }
+    })
+}
+
+function headerParam(value, param) {
+  const match = value.match(new RegExp(`;\\s*${param}\\*?=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'))
+  return match ? decodeEncodedWords(match[1] ?? match[2]) : null
+}
+
+function splitMessage(text) {
+  const match = text.match(/\r?\n\r?\n/)
+  if (!match) return { headerBlock: text, body: '' }
+  return { headerBlock: text.slice(0, match.index), body: text.slice(match.index + match[0].length) }
+}
+
+function decodeBody(body, transferEncoding, charset) {
+  switch (transferEncoding) {
+    case 'quoted-printable': return decodeQuotedPrintable(body, { charset })
+    case 'base64': return decodeCharset(decodeBase64(body.replace(/\s+/g, '')), charset)
+    default: return body
+  }
+}
+
+/**
+ * Parse a raw message (or MIME part) into { headers, contentType, parts }
+ * where headers have their encoded-words decoded and parts is a list of
+ * { contentType, filename, text, size } leaves in document order; text is
+ * null for non-text attachments.
+ */
+export function parseMessage(text) {
+  const { headerBlock, body } = splitMessage(text)
+  const headers = parseHeaders(headerBlock).map(({ name, value }) => ({ name, value: decodeEncodedWords(value) }))
+  const header = (name) => headers.find((h) => h.name.toLowerCase() === name)?.value ?? ''
+  const rawType = parseHeaders(headerBlock).find((h) => h.name.toLowerCase() === 'content-type')?.value ?? 'text/plain'
+  const contentType = rawType.split(';')[0].trim().toLowerCase()
+
+  if (contentType.startsWith('multipart/')) {
+    const boundary = headerParam(rawType, 'boundary')
+    if (!boundary) throw new ConversionError('A multipart message has no boundary parameter')
+    const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const sections = body.split(new RegExp(`^--${escaped}(?:--)?[ \\t]*\\r?$\\n?`, 'm'))
+    // The first section is the preamble and, when the closing delimiter is
+    // present, the last one is the epilogue
+    const closed = new RegExp(`^--${escaped}--`, 'm').test(body)
+    const parts = sections.slice(1, closed ? -1 : undefined).flatMap((section) => parseMessage(section.replace(/\r?\n$/, '')).parts)
+    return { headers, contentType, parts }
+  }
+
+  const transferEncoding = header('content-transfer-encoding').toLowerCase()
+  const filename = headerParam(header('content-disposition'), 'filename') ?? headerParam(rawType, 'name')
+  const isText = contentType.startsWith('text/') || contentType === 'message/rfc822'
+  const decoded = isText && !/attachment/i.test(header('content-disposition'))
+    ? decodeBody(body, transferEncoding, headerParam(rawType, 'charset') ?? 'utf-8')
+    : null
+  return { headers, contentType, parts: [{ contentType, filename, text: decoded, size: body.length }] }
+}
+
+// Readable rendering of a parsed message for the output box
+export function formatMessage({ headers, parts }) {
+  if (headers.length === 0) throw new ConversionError('No email headers found (expected "Name: value" lines before a blank line)')
+  const headerText = headers.map(({ name, value }) => `${name}: ${value}`).join('\n')
+  const bodies = parts.map(({ contentType, filename, text, size }, index) => {
+    const title = parts.length > 1 ? `--- Part ${index + 1}: ${contentType}${filename ? ` (${filename})` : ''} ---\n` : ''
+    return title + (text ?? `[${filename ?? 'attachment'}, ${contentType}, about ${size} encoded bytes]`)
+  })
+  return [headerText, ...bodies].join('\n\n')
+}
@@ -0,0 +1,32 @@
+import { defineConverter } from './define.js'
+
+const category = 'numbers'
+
+export default [
+  defineConverter({
+    id: 'commaToPeriod',
+    label: 'Comma To Period',
+    category,
+    convert: (text) => text.replace(/(\d),(\d)/g, '$1.$2')
+  }),
+  defineConverter({
+    id: 'periodToComma',
+    label: 'Period To Comma',
+    category,
+    convert: (text) => text.replace(/(\d)\.(\d)/g, '$1,$2')
+  }),
+  defineConverter({
+    id: 'addThousandSeparators',
+    label: 'Add Thousand Separators',
+    category,
+    // Only the integer part is grouped: 1234.5678 -> 1,234.5678
+    convert: (text) => text.replace(/(?<![\d.])(\d+)(\.\d+)?/g, (_, integer, fraction = '') =>
+      integer.replace(/\B(?=(\d{3})+$)/g, ',') + fraction)
+  }),
+  defineConverter({
+    id: 'removeSeparators',
+    label: 'Remove Separators',
+    category,
+    convert: (text) => text.replace(/[,\s]/g, '')
+  })
+]
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest'
+import { runConverter } from './registry.js'
+
+describe('number separators', () => {
+  it('swap commas and periods', () => {
+    expect(runConverter('commaToPeriod', '12,345,678')).toBe('12.345.678')
+    expect(runConverter('periodToComma', '1234567.891')).toBe('1234567,891')
+  })
+
+  it('remove separators', () => {
+    expect(runConverter('removeSeparators', '12,345,678')).toBe('12345678')
+  })
+
+  it('group only the integer part of each number', () => {
+    expect(runConverter('addThousandSeparators', '1234567')).toBe('1,234,567')
+    expect(runConverter('addThousandSeparators', '-1234567')).toBe('-1,234,567')
+    expect(runConverter('addThousandSeparators', '1234.5678')).toBe('1,234.5678')
+    expect(runConverter('addThousandSeparators', '3.14159')).toBe('3.14159')
+    expect(runConverter('addThousandSeparators', 'paid 1500 of 25000')).toBe('paid 1,500 of 25,000')
+  })
+})
@@ -0,0 +1,41 @@
+/**
+ * Pipelines chain registered converters: each step receives the previous
+ * step's output. A step is { key, converterId, options }, where key only
+ * identifies the step within its pipeline (for reordering in the UI).
+ */
+
+import { getConverter, runConverter } from './registry.js'
+
+export function createStep(converterId, options = {}) {
+  return { key: `${converterId}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, converterId, options }
+}
+
+/**
+ * Run every step in order and return the intermediate results as
+ * [{ step, output, error, warnings }]. A failing step stops the pipeline;
+ * its entry carries the error message and later steps are not run.
+ */
+export function runPipeline(steps, text, context = {}) {
+  const results = []
+  let current = text
+
+  for (const step of steps) {
+    if (!getConverter(step.converterId)) {
+      results.push({ step, output: current, error: `Unknown converter: ${step.converterId}`, warnings: [] })
+      break
+    }
+    const warnings = []
+    const warn = (message) => {
+      if (!warnings.includes(message)) warnings.push(message)
+    }
+    try {
+      current = runConverter(step.converterId, current, step.options, { ...context, warn })
+      results.push({ step, output: current, error: null, warnings })
+    } catch (error) {
+      results.push({ step, output: current, error: error.message, warnings })
+      break
+    }
+  }
+
+  return results
+}
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest'
+import { createStep, runPipeline } from './pipeline.js'
+
+describe('createStep', () => {
+  it('gives every step its own key', () => {
+    const first = createStep('upperCase')
+    const second = createStep('upperCase', { a: 1 })
+    expect(first.key).not.toBe(second.key)
+    expect(second).toMatchObject({ converterId: 'upperCase', options: { a: 1 } })
+  })
+})
+
+describe('runPipeline', () => {
+  it('feeds each output into the next step', () => {
+    const results = runPipeline([createStep('trimWhitespace'), createStep('upperCase'), createStep('snakeCase')], '  hello world ')
+    expect(results.map(({ output }) => output)).toEqual(['hello world', 'HELLO WORLD', 'hello_world'])
+    expect(results.every(({ error }) => error === null)).toBe(true)
+  })
+
+  it('passes the locale to every step', () => {
+    const [result] = runPipeline([createStep('upperCase')], 'istanbul', { locale: 'tr' })
+    expect(result.output).toBe('İSTANBUL')
+  })
+
+  it('stops at the first failing step', () => {
+    const results = runPipeline([createStep('vigenereCipher', { key: '123' }), createStep('upperCase')], 'abc')
+    expect(results).toHaveLength(1)
+    expect(results[0].error).toBeTruthy()
+    expect(results[0].output).toBe('abc')
+  })
+
+  it('reports unknown converters', () => {
+    expect(runPipeline([createStep('nope')], 'x')[0].error).toBe('Unknown converter: nope')
+  })
+
+  it('returns no results for an empty pipeline', () => {
+    expect(runPipeline([], 'x')).toEqual([])
+  })
+})
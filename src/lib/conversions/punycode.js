@@ -0,0 +1,125 @@
+/**
+ * Punycode (RFC 3492) and the ASCII/Unicode forms of internationalized
+ * domain names. Labels are NFKC-normalized and lowercased before encoding,
+ * which covers the mappings that matter in practice without the full UTS #46
+ * tables.
+ */
+
+import { ConversionError } from './errors.js'
+
+const BASE = 36
+const T_MIN = 1
+const T_MAX = 26
+const SKEW = 38
+const DAMP = 700
+const INITIAL_BIAS = 72
+const INITIAL_N = 128
+const ACE_PREFIX = 'xn--'
+
+// Full stop and its ideographic/fullwidth/halfwidth forms all separate labels
+const LABEL_SEPARATORS = /[.。．｡]/
+
+const digitToChar = (digit) => String.fromCharCode(digit < 26 ? 97 + digit : 22 + digit)
+
+function charToDigit(char) {
+  const code = char.charCodeAt(0)
+  if (code >= 48 && code <= 57) return code - 22
+  if (code >= 65 && code <= 90) return code - 65
+  if (code >= 97 && code <= 122) return code - 97
+  return BASE
+}
+
+function adapt(delta, numPoints, firstTime) {
+  let k = 0
+  delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1
+  delta += Math.floor(delta / numPoints)
+  while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+    delta = Math.floor(delta / (BASE - T_MIN))
+    k += BASE
+  }
+  return k + Math.floor(((BASE - T_MIN + 1) * delta) / (delta + SKEW))
+}
+
+const threshold = (k, bias) => (k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias)
+
+export function punycodeEncode(input) {
+  const codePoints = Array.from(input, (char) => char.codePointAt(0))
+  let output = codePoints.filter((codePoint) => codePoint < 0x80).map((codePoint) => String.fromCharCode(codePoint)).join('')
+  const basicLength = output.length
+  let handled = basicLength
+  if (basicLength > 0) output += '-'
+
+  let n = INITIAL_N
+  let delta = 0
+  let bias = INITIAL_BIAS
+  while (handled < codePoints.length) {
+    const next = Math.min(...codePoints.filter((codePoint) => codePoint >= n))
+    delta += (next - n) * (handled + 1)
+    n = next
+    for (const codePoint of codePoints) {
+      if (codePoint < n) delta++
+      if (codePoint !== n) continue
+      let q = delta
+      for (let k = BASE; ; k += BASE) {
+        const t = threshold(k, bias)
+        if (q < t) break
+        output += digitToChar(t + ((q - t) % (BASE - t)))
+        q = Math.floor((q - t) / (BASE - t))
+      }
+      output += digitToChar(q)
+      bias = adapt(delta, handled + 1, handled === basicLength)
+      delta = 0
+      handled++
+    }
+    delta++
+    n++
+  }
+  return output
+}
+
+export function punycodeDecode(input) {
+  const separator = input.lastIndexOf('-')
+  const output = separator > 0 ? Array.from(input.slice(0, separator), (char) => char.codePointAt(0)) : []
+  if (output.some((codePoint) => codePoint >= 0x80)) {
+    throw new ConversionError(`Invalid Punycode "${input}": non-ASCII characters before the delimiter`)
+  }
+
+  let n = INITIAL_N
+  let i = 0
+  let bias = INITIAL_BIAS
+  for (let position = separator > 0 ? separator + 1 : 0; position < input.length;) {
+    const oldI = i
+    let w = 1
+    for (let k = BASE; ; k += BASE) {
+      if (position >= input.length) throw new ConversionError(`Invalid Punycode "${input}": truncated input`)
+      const digit = charToDigit(input[position++])
+      if (digit >= BASE) throw new ConversionError(`Invalid Punycode "${input}": unexpected "${input[position - 1]}"`)
+      i += digit * w
+      const t = threshold(k, bias)
+      if (digit < t) break
+      w *= BASE - t
+    }
+    bias = adapt(i - oldI, output.length + 1, oldI === 0)
+    n += Math.floor(i / (output.length + 1))
+    i %= output.length + 1
+    if (n > 0x10ffff) throw new ConversionError(`Invalid Punycode "${input}": code point out of range`)
+    output.splice(i++, 0, n)
+  }
+  return String.fromCodePoint(...output)
+}
+
+const splitLabels = (domain) => domain.split(LABEL_SEPARATORS)
+
+// "münchen.de" -> "xn--mnchen-3ya.de"
+export function domainToAscii(domain) {
+  return splitLabels(domain.normalize('NFKC').toLowerCase())
+    .map((label) => (/[\u0080-\uffff]/.test(label) ? ACE_PREFIX + punycodeEncode(label) : label))
+    .join('.')
+}
+
+// "xn--mnchen-3ya.de" -> "münchen.de"
+export function domainToUnicode(domain) {
+  return splitLabels(domain)
+    .map((label) => (label.toLowerCase().startsWith(ACE_PREFIX) ? punycodeDecode(label.slice(ACE_PREFIX.length).toLowerCase()) : label))
+    .join('.')
+}
@@ -0,0 +1,58 @@
+import { getDefaultOptions } from './define.js'
+import textConverters from './text.js'
+import numberConverters from './numbers.js'
+import specialConverters from './special.js'
+import encodingConverters from './encoding.js'
+import escapingConverters from './escaping.js'
+import cipherConverters from './ciphers.js'
+import jsonConverters from './json.js'
+import dataFormatConverters from './dataFormats.js'
+import tableConverters from './tables.js'
+import sqlConverters from './sql.js'
+
+export const categories = [
+  { id: 'text', label: 'Text Case' },
+  { id: 'numbers', label: 'Numbers' },
+  { id: 'special', label: 'Special' },
+  { id: 'encoding', label: 'Encoding' },
+  { id: 'escape', label: 'Escaping' },
+  { id: 'ciphers', label: 'Ciphers & Codes' },
+  { id: 'json', label: 'JSON' },
+  { id: 'formats', label: 'Data Formats' },
+  { id: 'tables', label: 'Tables' },
+  { id: 'sql', label: 'SQL' }
+]
+
+export const converters = [
+  ...textConverters,
+  ...numberConverters,
+  ...specialConverters,
+  ...encodingConverters,
+  ...escapingConverters,
+  ...cipherConverters,
+  ...jsonConverters,
+  ...dataFormatConverters,
+  ...tableConverters,
+  ...sqlConverters
+]
+
+const convertersById = new Map(converters.map((converter) => [converter.id, converter]))
+
+export function getConverter(id) {
+  return convertersById.get(id)
+}
+
+export function getConverters(category) {
+  return converters.filter((converter) => converter.category === category)
+}
+
+// Run a registered converter, filling in any options the caller left out.
+// The context carries app-wide settings such as the casing locale, and a
+// warn callback that collects notes about lossy conversions.
+export function runConverter(id, text, options = {}, context = {}) {
+  const converter = getConverter(id)
+  if (!converter) {
+    throw new Error(`Unknown converter: ${id}`)
+  }
+  return converter.convert(text, { ...getDefaultOptions(converter), ...options }, { warn: () => {}, ...context })
+}
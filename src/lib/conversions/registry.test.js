@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest'
+import { categories, converters, getConverter, runConverter } from './registry.js'
+
+describe('registry', () => {
+  it('has unique ids and known categories', () => {
+    const ids = converters.map(({ id }) => id)
+    expect(new Set(ids).size).toBe(ids.length)
+    const categoryIds = categories.map(({ id }) => id)
+    converters.forEach(({ category }) => expect(categoryIds).toContain(category))
+  })
+
+  it('looks converters up by id', () => {
+    expect(getConverter('upperCase').label).toBe('Upper Case')
+    expect(getConverter('nope')).toBeUndefined()
+  })
+
+  it('fills in default options', () => {
+    expect(runConverter('urlEncodeComponent', 'a b')).toBe('a%20b')
+    expect(runConverter('urlEncodeComponent', 'a b', { spaceAsPlus: true })).toBe('a+b')
+  })
+
+  it('throws for unknown converters', () => {
+    expect(() => runConverter('nope', 'x')).toThrow()
+  })
+})
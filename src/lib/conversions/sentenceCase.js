@@ -0,0 +1,35 @@
+/**
+ * Sentence case built on the shared sentence segmenter: every sentence is
+ * lowercased and its first letter capitalized, then words from the user
+ * dictionary (proper nouns, acronyms, brand names) get their casing back.
+ */
+
+import { DEFAULT_LOCALE, isEnglish, lower, upper } from './locale.js'
+import { splitSentences } from './sentences.js'
+
+// First letter of a sentence, skipping leading spaces, quotes and brackets
+const SENTENCE_START = /^([^\p{L}\p{N}]*)(\p{L})/u
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+export const parseWordList = (list) => list.split(/[\s,]+/).filter(Boolean)
+
+// Whole words only: a match with "." and a letter on either side is part of
+// an abbreviation such as "i.e." or "i.v."
+function restoreWords(sentence, words) {
+  return words.reduce((result, word) => result.replace(
+    new RegExp(`(?<![\\p{L}\\p{N}]|\\p{L}\\.)${escapeRegExp(word)}(?![\\p{L}\\p{N}]|\\.\\p{L})`, 'giu'),
+    word
+  ), sentence)
+}
+
+export function toSentenceCase(text, { abbreviations = '', dictionary = '' } = {}, { locale = DEFAULT_LOCALE } = {}) {
+  const sentences = splitSentences(text, { locale, abbreviations: parseWordList(abbreviations) })
+  // The English pronoun "I" is always capitalized, including its contractions
+  const words = [...(isEnglish(locale) ? ['I'] : []), ...parseWordList(dictionary)]
+
+  return sentences.map((sentence) => {
+    const cased = lower(sentence, locale).replace(SENTENCE_START, (match, lead, letter) => lead + upper(letter, locale))
+    return restoreWords(cased, words)
+  }).join('')
+}
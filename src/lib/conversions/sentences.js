@@ -0,0 +1,79 @@
+/**
+ * Sentence segmentation shared by sentence case and the text analysis panel.
+ *
+ * Intl.Segmenter provides the Unicode sentence boundaries (terminal
+ * punctuation, closing quotes, line breaks). It has no notion of
+ * abbreviations, so a break after "Dr." or "e.g." is merged back into the
+ * sentence it interrupted.
+ *
+ * The Unicode rules also refuse to break before a lowercase letter, which is
+ * exactly the input sentence case receives, so boundaries are found on an
+ * uppercased copy of the text and then applied to the original.
+ */
+
+import { DEFAULT_LOCALE, lower } from './locale.js'
+
+export const DEFAULT_ABBREVIATIONS = [
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'e.g', 'i.e', 'cf', 'approx', 'fig', 'no', 'vol', 'pp'
+]
+
+const segmenters = new Map()
+const LAST_WORD = /([\p{L}.]+)\.["'”’)\]]*\s*$/u
+const INITIALISM = /^(?:\p{L}\.)+\p{L}$/u
+const NEXT_IS_LOWER = /^[^\p{L}\p{N}]*\p{Ll}/u
+const FALLBACK_BREAK = /(?<=[.!?…]["'”’)\]]*\s+|\n)/u
+
+function getSegmenter(locale) {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) return null
+  if (!segmenters.has(locale)) {
+    segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'sentence' }))
+  }
+  return segmenters.get(locale)
+}
+
+// Uppercase without changing the string length, so segment offsets still
+// line up with the original text (ß -> SS and friends are left alone)
+const uppercaseInPlace = (text) => Array.from(text, (char) => {
+  const upperChar = char.toUpperCase()
+  return upperChar.length === char.length ? upperChar : char
+}).join('')
+
+function rawSegments(text, locale) {
+  const segmenter = getSegmenter(locale)
+  if (!segmenter) return text.split(FALLBACK_BREAK)
+  return Array.from(segmenter.segment(uppercaseInPlace(text)), ({ index, segment }) =>
+    text.slice(index, index + segment.length))
+}
+
+/**
+ * Split text into sentences. Every character of the input belongs to exactly
+ * one sentence, so joining the result gives the original text back.
+ */
+export function splitSentences(text, { locale = DEFAULT_LOCALE, abbreviations = DEFAULT_ABBREVIATIONS } = {}) {
+  const known = new Set(abbreviations.map((abbreviation) => lower(abbreviation, locale).replace(/\.$/, '')))
+  const segments = rawSegments(text, locale)
+  const sentences = []
+  let pending = ''
+
+  segments.forEach((segment, index) => {
+    pending += segment
+    const lastWord = pending.match(LAST_WORD)?.[1]
+    const next = segments[index + 1] ?? ''
+    const continues = lastWord && !/\n/.test(segment) && (
+      known.has(lower(lastWord, locale)) ||
+      // Initialisms such as "u.s." only end a sentence before a capital
+      (INITIALISM.test(lastWord) && NEXT_IS_LOWER.test(next))
+    )
+    if (!continues) {
+      sentences.push(pending)
+      pending = ''
+    }
+  })
+  if (pending) sentences.push(pending)
+
+  return sentences
+}
+
+export function countSentences(text, options) {
+  return splitSentences(text, options).filter((sentence) => /[\p{L}\p{N}]/u.test(sentence)).length
+}
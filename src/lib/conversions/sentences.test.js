@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest'
+import { countSentences, splitSentences } from './sentences.js'
+
+describe('splitSentences', () => {
+  it('keeps trailing spaces with each sentence', () => {
+    expect(splitSentences('Dr. Smith arrived. He left at 5 p.m. today! Really?'))
+      .toEqual(['Dr. Smith arrived. ', 'He left at 5 p.m. today! ', 'Really?'])
+  })
+
+  it('accepts extra abbreviations', () => {
+    expect(splitSentences('See Fig. 2 now.', { abbreviations: ['fig'] })).toEqual(['See Fig. 2 now.'])
+  })
+})
+
+describe('countSentences', () => {
+  it('counts sentences', () => {
+    expect(countSentences('One. Two! Three?')).toBe(3)
+    expect(countSentences('')).toBe(0)
+  })
+})
@@ -0,0 +1,101 @@
+import { defineConverter } from './define.js'
+import { percentDecode, percentEncode } from './url.js'
+import { ConversionError } from './errors.js'
+import { domainToAscii, domainToUnicode } from './punycode.js'
+import { normalizeEmail } from './email.js'
+
+const category = 'special'
+
+// Apply `convert` to every non-blank line, naming the line in errors
+const eachLine = (text, convert) => text.split('\n').map((line, index) => {
+  if (!line.trim()) return line
+  try {
+    return convert(line.trim())
+  } catch (error) {
+    throw new ConversionError(`Line ${index + 1}: ${error.message}`)
+  }
+}).join('\n')
+
+export default [
+  defineConverter({
+    id: 'removeSpaces',
+    label: 'Remove Spaces',
+    category,
+    convert: (text) => text.replace(/\s/g, '')
+  }),
+  defineConverter({
+    id: 'removeLineBreaks',
+    label: 'Remove Line Breaks',
+    category,
+    convert: (text) => text.replace(/\r?\n|\r/g, '')
+  }),
+  defineConverter({
+    id: 'removeExtraSpaces',
+    label: 'Remove Extra Spaces',
+    category,
+    convert: (text) => text.replace(/\s+/g, ' ')
+  }),
+  defineConverter({
+    id: 'trimWhitespace',
+    label: 'Trim Whitespace',
+    category,
+    convert: (text) => text.trim()
+  }),
+  defineConverter({
+    id: 'urlEncodeComponent',
+    label: 'URL Encode Component',
+    category,
+    options: [
+      { id: 'spaceAsPlus', label: 'Encode spaces as + (form data)', type: 'boolean', default: false }
+    ],
+    convert: (text, { spaceAsPlus }) => percentEncode(text, { component: true, spaceAsPlus })
+  }),
+  defineConverter({
+    id: 'urlEncode',
+    label: 'URL Encode Full URL',
+    category,
+    convert: (text) => percentEncode(text, { component: false })
+  }),
+  defineConverter({
+    id: 'urlDecode',
+    label: 'URL Decode',
+    category,
+    options: [
+      { id: 'plusAsSpace', label: 'Decode + as space (form data)', type: 'boolean', default: true }
+    ],
+    convert: percentDecode
+  }),
+  defineConverter({
+    id: 'domainToPunycode',
+    label: 'Domain to Punycode',
+    category,
+    convert: (text) => eachLine(text, domainToAscii)
+  }),
+  defineConverter({
+    id: 'punycodeToDomain',
+    label: 'Punycode to Domain',
+    category,
+    convert: (text) => eachLine(text, domainToUnicode)
+  }),
+  defineConverter({
+    id: 'normalizeEmails',
+    label: 'Normalize Emails',
+    category,
+    options: [
+      { id: 'stripDots', label: 'Remove dots (Gmail)', type: 'boolean', default: false },
+      { id: 'stripPlusTag', label: 'Remove +tags', type: 'boolean', default: false },
+      {
+        id: 'domainForm',
+        label: 'Domain',
+        type: 'select',
+        default: 'keep',
+        choices: [
+          { value: 'keep', label: 'As typed (lowercased)' },
+          { value: 'ascii', label: 'Punycode (xn--)' },
+          { value: 'unicode', label: 'Unicode' }
+        ]
+      }
+    ],
+    convert: (text, options) => eachLine(text, (line) => normalizeEmail(line, options))
+  })
+]
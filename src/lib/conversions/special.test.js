@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { runConverter } from './registry.js'
+
+describe('whitespace', () => {
+  it('removes, collapses or trims whitespace', () => {
+    expect(runConverter('removeSpaces', ' a b\tc\nd ')).toBe('abcd')
+    expect(runConverter('removeExtraSpaces', '  a b\tc\n\nd  ')).toBe(' a b c d ')
+    expect(runConverter('trimWhitespace', '\t a b \n')).toBe('a b')
+  })
+
+  it('removes every kind of line break', () => {
+    expect(runConverter('removeLineBreaks', 'a\nb\r\nc\rd')).toBe('abcd')
+  })
+})
+
+describe('URL encoding', () => {
+  it('encodes components, optionally with + for spaces', () => {
+    expect(runConverter('urlEncodeComponent', 'a b&c=d/é')).toBe('a%20b%26c%3Dd%2F%C3%A9')
+    expect(runConverter('urlEncodeComponent', 'a b', { spaceAsPlus: true })).toBe('a+b')
+  })
+
+  it('keeps the structure of full URLs', () => {
+    expect(runConverter('urlEncode', 'https://example.com/a b?q=é')).toBe('https://example.com/a%20b?q=%C3%A9')
+  })
+
+  it('decodes, treating + as a space by default', () => {
+    expect(runConverter('urlDecode', 'a+b%20c%C3%A9')).toBe('a b cé')
+    expect(runConverter('urlDecode', 'a+b', { plusAsSpace: false })).toBe('a+b')
+  })
+
+  it('reports malformed escapes at their position', () => {
+    expect(() => runConverter('urlDecode', '%zz')).toThrow(expect.objectContaining({ position: 0 }))
+  })
+})
+
+describe('Punycode', () => {
+  it('converts each line between Unicode and ASCII domains', () => {
+    expect(runConverter('domainToPunycode', 'bücher.de\nexample.com')).toBe('xn--bcher-kva.de\nexample.com')
+    expect(runConverter('punycodeToDomain', 'xn--bcher-kva.de')).toBe('bücher.de')
+  })
+})
+
+describe('normalizeEmails', () => {
+  it('lowercases the domain only by default', () => {
+    expect(runConverter('normalizeEmails', 'John.Doe+tag@GMail.com')).toBe('John.Doe+tag@gmail.com')
+  })
+
+  it('can strip Gmail dots and plus tags', () => {
+    expect(runConverter('normalizeEmails', 'John.Doe+tag@GMail.com', { stripDots: true, stripPlusTag: true }))
+      .toBe('johndoe@gmail.com')
+  })
+
+  it('can convert the domain to Punycode', () => {
+    expect(runConverter('normalizeEmails', 'a@bücher.de', { domainForm: 'ascii' })).toBe('a@xn--bcher-kva.de')
+  })
+
+  it('names the line of an invalid address', () => {
+    expect(() => runConverter('normalizeEmails', 'not an email')).toThrow('Line 1: not an email: Missing @')
+  })
+})
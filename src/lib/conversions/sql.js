@@ -0,0 +1,78 @@
+import { defineConverter } from './define.js'
+import { SQL_DIALECTS, formatSql, minifySql, parameterizeSql } from './sqlSyntax.js'
+
+const category = 'sql'
+
+const dialectOption = { id: 'dialect', label: 'Dialect', type: 'select', default: 'standard', choices: SQL_DIALECTS }
+
+// The number field can hold anything while it is being typed
+const clampIndent = (indent) => Math.min(Math.max(Math.round(indent) || 0, 1), 8)
+
+export default [
+  defineConverter({
+    id: 'sqlFormat',
+    label: 'Format',
+    category,
+    options: [
+      dialectOption,
+      {
+        id: 'keywordCase',
+        label: 'Keywords',
+        type: 'select',
+        default: 'upper',
+        choices: [
+          { value: 'upper', label: 'UPPERCASE' },
+          { value: 'lower', label: 'lowercase' },
+          { value: 'preserve', label: 'As written' }
+        ]
+      },
+      {
+        id: 'commaStyle',
+        label: 'Commas',
+        type: 'select',
+        default: 'trailing',
+        choices: [
+          { value: 'trailing', label: 'End of line' },
+          { value: 'leading', label: 'Start of line' }
+        ]
+      },
+      { id: 'indent', label: 'Indent (spaces)', type: 'number', default: 2, min: 1, max: 8 }
+    ],
+    convert: (text, { dialect, keywordCase, commaStyle, indent }) =>
+      formatSql(text, { dialect, keywordCase, commaStyle, indent: clampIndent(indent) })
+  }),
+  defineConverter({
+    id: 'sqlMinify',
+    label: 'Minify',
+    category,
+    options: [dialectOption],
+    convert: (text, { dialect }) => minifySql(text, { dialect })
+  }),
+  defineConverter({
+    id: 'sqlParameterize',
+    label: 'Parameterize Literals',
+    category,
+    options: [
+      dialectOption,
+      {
+        id: 'placeholder',
+        label: 'Placeholders',
+        type: 'select',
+        default: 'auto',
+        choices: [
+          { value: 'auto', label: 'Dialect default' },
+          { value: '?', label: '?' },
+          { value: '$1', label: '$1, $2, …' },
+          { value: ':p1', label: ':p1, :p2, …' }
+        ]
+      }
+    ],
+    convert: (text, { dialect, placeholder }) => {
+      const style = placeholder === 'auto' ? (dialect === 'postgresql' ? '$1' : '?') : placeholder
+      const { sql, parameters } = parameterizeSql(text, { dialect, style })
+      if (parameters.length === 0) return sql
+      const list = parameters.map(({ placeholder, value }) => `--   ${placeholder}: ${value.replace(/\r?\n/g, '\\n')}`)
+      return `${sql.trimEnd()}\n\n-- Parameters:\n${list.join('\n')}`
+    }
+  })
+]
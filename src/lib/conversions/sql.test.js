@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { runConverter } from './registry.js'
+
+describe('sqlFormat', () => {
+  it('puts clauses on their own lines and indents their contents', () => {
+    expect(runConverter('sqlFormat', "select a, b from t left join u on t.id = u.id where a = 'x' and b > 1 order by a")).toBe([
+      'SELECT', '  a,', '  b', 'FROM', '  t', '  LEFT JOIN u ON t.id = u.id', 'WHERE', "  a = 'x'", '  AND b > 1', 'ORDER BY', '  a'
+    ].join('\n'))
+  })
+
+  it('follows the keyword case, comma style and indent options', () => {
+    expect(runConverter('sqlFormat', 'select a,b from t', { keywordCase: 'lower', commaStyle: 'leading', indent: 4 }))
+      .toBe('select\n    a\n    , b\nfrom\n    t')
+  })
+
+  it('keeps ON CONFLICT ... DO UPDATE together', () => {
+    expect(runConverter('sqlFormat', 'insert into t (a) values (1) on conflict (a) do update set a = excluded.a', { dialect: 'postgresql' }))
+      .toBe('INSERT INTO t (a)\nVALUES\n  (1)\nON CONFLICT (a) DO UPDATE\nSET\n  a = excluded.a')
+  })
+
+  it('understands dialect quoting', () => {
+    expect(runConverter('sqlFormat', 'select `a` from t', { dialect: 'mysql' })).toBe('SELECT\n  `a`\nFROM\n  t')
+  })
+
+  it('keeps a trailing comma on the code before a line comment', () => {
+    expect(runConverter('sqlFormat', 'select a -- c\n, b from t')).toBe('SELECT\n  a, -- c\n  b\nFROM\n  t')
+    expect(runConverter('sqlFormat', 'select a -- c1\n-- c2\n, b from t')).toBe('SELECT\n  a, -- c1\n  -- c2\n  b\nFROM\n  t')
+    expect(runConverter('sqlFormat', 'select a -- c\n, b from t', { commaStyle: 'leading' })).toBe('SELECT\n  a -- c\n  , b\nFROM\n  t')
+  })
+
+  it('reports unterminated strings', () => {
+    expect(() => runConverter('sqlFormat', "select 'abc")).toThrow(expect.objectContaining({ position: 7 }))
+  })
+})
+
+describe('sqlMinify', () => {
+  it('drops comments and extra whitespace but not string contents', () => {
+    expect(runConverter('sqlMinify', "select  a -- c\n, 'x  y' /* z */ from t")).toBe("select a,'x  y'from t")
+  })
+
+  it('keeps MySQL executable comments and optimizer hints', () => {
+    expect(runConverter('sqlMinify', '/*!40101 SET NAMES utf8 */;', { dialect: 'mysql' })).toBe('/*!40101 SET NAMES utf8 */ ;')
+    expect(runConverter('sqlMinify', 'SELECT /*+ MAX_EXECUTION_TIME(1000) */ * FROM t', { dialect: 'mysql' }))
+      .toBe('SELECT /*+ MAX_EXECUTION_TIME(1000) */ *FROM t')
+  })
+})
+
+describe('sqlParameterize', () => {
+  it('replaces literals with placeholders and lists the values', () => {
+    expect(runConverter('sqlParameterize', "select * from t where a = 'x' and b = 1.5"))
+      .toBe("select * from t where a = ? and b = ?\n\n-- Parameters:\n--   1: 'x'\n--   2: 1.5")
+    expect(runConverter('sqlParameterize', "select * from t where a = 'x'", { placeholder: ':p1' }))
+      .toBe("select * from t where a = :p1\n\n-- Parameters:\n--   :p1: 'x'")
+  })
+
+  it('numbers new placeholders after the ones already in the query', () => {
+    expect(runConverter('sqlParameterize', "select * from t where a = 'x' and b = 42 and c = $1", { dialect: 'postgresql' }))
+      .toBe("select * from t where a = $2 and b = $3 and c = $1\n\n-- Parameters:\n--   $2: 'x'\n--   $3: 42")
+  })
+})
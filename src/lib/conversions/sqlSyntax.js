@@ -0,0 +1,460 @@
+/**
+ * SQL for standard SQL, PostgreSQL, MySQL and SQLite: identifier quoting,
+ * column types and literals for generated statements, and a tokenizer with
+ * the formatter, minifier and literal parameterizer built on it.
+ *
+ * The tokenizer knows each dialect's quoting (MySQL "strings" and `names`,
+ * PostgreSQL $$dollar quotes$$, SQLite [names]) so keywords and commas
+ * inside strings are never touched. It does not parse the grammar: layout
+ * follows clause keywords, commas and parentheses.
+ */
+
+import { ConversionError } from './errors.js'
+import { lineColumn } from './jsonSyntax.js'
+
+export const SQL_DIALECTS = [
+  { value: 'standard', label: 'Standard SQL' },
+  { value: 'postgresql', label: 'PostgreSQL' },
+  { value: 'mysql', label: 'MySQL' },
+  { value: 'sqlite', label: 'SQLite' }
+]
+
+// Reserved in at least one supported dialect, so always quoted as names
+export const RESERVED_WORDS = new Set([
+  'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CHECK', 'COLUMN', 'CONSTRAINT',
+  'CREATE', 'CROSS', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'DEFAULT', 'DELETE', 'DESC', 'DISTINCT',
+  'DROP', 'ELSE', 'END', 'EXCEPT', 'EXISTS', 'FALSE', 'FETCH', 'FOR', 'FOREIGN', 'FROM', 'FULL', 'GROUP', 'HAVING',
+  'IN', 'INDEX', 'INNER', 'INSERT', 'INTERSECT', 'INTO', 'IS', 'JOIN', 'KEY', 'LEFT', 'LIKE', 'LIMIT', 'NATURAL',
+  'NOT', 'NULL', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'PRIMARY', 'REFERENCES', 'RIGHT', 'ROW', 'SELECT', 'SET',
+  'TABLE', 'THEN', 'TO', 'TRUE', 'UNION', 'UNIQUE', 'UPDATE', 'USER', 'USING', 'VALUES', 'WHEN', 'WHERE', 'WITH'
+])
+
+const PLAIN_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// Quote a table or column name only when it needs it
+export function quoteIdentifier(name, dialect = 'standard') {
+  if (PLAIN_IDENTIFIER.test(name) && !RESERVED_WORDS.has(name.toUpperCase())) return name
+  return dialect === 'mysql' ? `\`${name.replace(/`/g, '``')}\`` : `"${name.replace(/"/g, '""')}"`
+}
+
+// MySQL reads backslashes in strings as escapes, so they are doubled there
+export function quoteString(value, dialect = 'standard') {
+  const escaped = dialect === 'mysql' ? value.replace(/\\/g, '\\\\') : value
+  return `'${escaped.replace(/'/g, "''")}'`
+}
+
+const TYPE_NAMES = {
+  standard: { integer: 'INTEGER', bigint: 'BIGINT', decimal: 'DOUBLE PRECISION', boolean: 'BOOLEAN', date: 'DATE', timestamp: 'TIMESTAMP' },
+  postgresql: { integer: 'INTEGER', bigint: 'BIGINT', decimal: 'DOUBLE PRECISION', boolean: 'BOOLEAN', date: 'DATE', timestamp: 'TIMESTAMP' },
+  mysql: { integer: 'INT', bigint: 'BIGINT', decimal: 'DOUBLE', boolean: 'BOOLEAN', date: 'DATE', timestamp: 'DATETIME' },
+  sqlite: { integer: 'INTEGER', bigint: 'INTEGER', decimal: 'REAL', boolean: 'INTEGER', date: 'TEXT', timestamp: 'TEXT' }
+}
+
+/**
+ * Column type for an inferred kind ('integer', 'bigint', 'decimal',
+ * 'boolean', 'date', 'timestamp' or 'text'); text uses the longest value.
+ */
+export function columnType(kind, dialect = 'standard', maxLength = 1) {
+  if (kind !== 'text') return TYPE_NAMES[dialect][kind]
+  if (dialect === 'postgresql' || dialect === 'sqlite') return 'TEXT'
+  if (dialect === 'mysql' && maxLength > 255) return 'TEXT'
+  return `VARCHAR(${Math.max(maxLength, 1)})`
+}
+
+// SQLite stores booleans as 0/1
+export function booleanLiteral(value, dialect = 'standard') {
+  if (dialect === 'sqlite') return value ? '1' : '0'
+  return value ? 'TRUE' : 'FALSE'
+}
+
+/* Tokenizer */
+
+// Words cased by the keyword case option, beyond the reserved words
+const KEYWORDS = new Set([
+  ...RESERVED_WORDS,
+  'ANALYZE', 'AUTOINCREMENT', 'AUTO_INCREMENT', 'BEGIN', 'BIGINT', 'BLOB', 'BOOLEAN', 'CAST', 'CHAR', 'COLLATE', 'COMMIT',
+  'CONFLICT', 'CURRENT', 'DATE', 'DECIMAL', 'DO', 'DOUBLE', 'DUPLICATE', 'EXPLAIN', 'FIRST', 'FLOAT', 'FOLLOWING', 'IF',
+  'IGNORE', 'ILIKE', 'INT', 'INTEGER', 'INTERVAL', 'JSON', 'JSONB', 'LAST', 'LATERAL', 'NOTHING', 'NULLS', 'NUMERIC',
+  'ONLY', 'OVER', 'PARTITION', 'PRECEDING', 'PRECISION', 'RANGE', 'REAL', 'RECURSIVE', 'RENAME', 'REPLACE', 'RETURNING',
+  'ROLLBACK', 'ROWS', 'SERIAL', 'SIMILAR', 'SMALLINT', 'TEMPORARY', 'TEXT', 'TIMESTAMP', 'TRANSACTION', 'TRIGGER',
+  'TRUNCATE', 'UNBOUNDED', 'VARCHAR', 'VIEW', 'WINDOW'
+])
+
+const OPERATORS = ['->>', '<=>', '#>>', '->', '::', '<=', '>=', '<>', '!=', '||', '&&', '<<', '>>', ':=', '#>', '@>', '<@']
+const NUMBER = /(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)(?![\w$])/y
+const WORD = /[\p{L}_][\p{L}\p{N}_$]*/uy
+const WHITESPACE = /\s+/y
+
+/**
+ * Split SQL into tokens { type, value, start } where type is one of
+ * whitespace, comment, string, identifier (quoted), number, placeholder,
+ * word, operator or punctuation. Joining the values gives the input back.
+ */
+export function tokenizeSql(text, dialect = 'standard') {
+  const tokens = []
+  let index = 0
+
+  const fail = (message, position) => {
+    const { line, column } = lineColumn(text, position)
+    throw new ConversionError(`Line ${line}, column ${column}: ${message}`, { position })
+  }
+
+  const match = (pattern) => {
+    pattern.lastIndex = index
+    return pattern.exec(text)?.[0]
+  }
+
+  // Quoted text ending at an unescaped `close`; doubling escapes it
+  const quoted = (open, close, backslashEscapes) => {
+    let end = index + open
+    for (;;) {
+      const next = text.indexOf(close, end)
+      if (next === -1) return null
+      if (backslashEscapes) {
+        let backslashes = 0
+        while (text[next - 1 - backslashes] === '\\') backslashes++
+        if (backslashes % 2 === 1) {
+          end = next + 1
+          continue
+        }
+      }
+      if (text[next + 1] === close && close !== ']') {
+        end = next + 2
+        continue
+      }
+      return text.slice(index, next + 1)
+    }
+  }
+
+  const read = () => {
+    const char = text[index]
+    const next = text[index + 1]
+    const whitespace = match(WHITESPACE)
+    if (whitespace) return { type: 'whitespace', value: whitespace }
+
+    if ((char === '-' && next === '-') || (char === '#' && dialect === 'mysql')) {
+      const end = text.indexOf('\n', index)
+      return { type: 'comment', value: text.slice(index, end === -1 ? undefined : end) }
+    }
+    if (char === '/' && next === '*') {
+      const end = text.indexOf('*/', index + 2)
+      if (end === -1) fail('Unterminated /* comment', index)
+      return { type: 'comment', value: text.slice(index, end + 2) }
+    }
+
+    // Strings, with their N'', E'', X'' and B'' prefixes
+    const prefix = /^[NnEeXxBb]'/.test(text.slice(index, index + 2)) ? 1 : 0
+    if (char === "'" || prefix || (char === '"' && dialect === 'mysql')) {
+      const quote = text[index + prefix]
+      const backslashes = dialect === 'mysql' || /[Ee]/.test(prefix ? char : '')
+      const value = quoted(prefix + 1, quote, backslashes)
+      if (value === null) fail('Unterminated string', index)
+      return { type: 'string', value }
+    }
+    if (char === '$' && dialect === 'postgresql') {
+      const tag = text.slice(index).match(/^\$(?:[A-Za-z_]\w*)?\$/)?.[0]
+      if (tag) {
+        const end = text.indexOf(tag, index + tag.length)
+        if (end === -1) fail(`Unterminated ${tag} string`, index)
+        return { type: 'string', value: text.slice(index, end + tag.length) }
+      }
+    }
+
+    // Quoted names
+    const identifierQuote = { '"': '"', '`': '`', '[': ']' }[char]
+    if (identifierQuote && (char !== '[' || dialect === 'sqlite') && (char !== '`' || dialect === 'mysql' || dialect === 'sqlite')) {
+      const value = quoted(1, identifierQuote, false)
+      if (value === null) fail('Unterminated quoted name', index)
+      return { type: 'identifier', value }
+    }
+
+    const number = match(NUMBER)
+    if (number) return { type: 'number', value: number }
+
+    // ?, ?1, $1, :name, @name and $name placeholders
+    const placeholder = text.slice(index).match(/^(?:\?\d*|\$\d+|[:@$][\p{L}_][\p{L}\p{N}_]*)/u)?.[0]
+    if (placeholder && !(char === ':' && next === ':') && (char !== '$' || /^\$\d/.test(placeholder) || dialect === 'sqlite')) {
+      return { type: 'placeholder', value: placeholder }
+    }
+
+    const word = match(WORD)
+    if (word) return { type: 'word', value: word }
+
+    if ('(),;.'.includes(char) || char === '[' || char === ']') return { type: 'punctuation', value: char }
+    const operator = OPERATORS.find((op) => text.startsWith(op, index)) ?? char
+    return { type: 'operator', value: operator }
+  }
+
+  while (index < text.length) {
+    const token = { ...read(), start: index }
+    tokens.push(token)
+    index += token.value.length
+  }
+  return tokens
+}
+
+const isKeyword = (token, previous) => token.type === 'word' && KEYWORDS.has(token.value.toUpperCase()) && previous?.value !== '.'
+
+function applyCase(token, previous, keywordCase) {
+  if (keywordCase === 'preserve' || !isKeyword(token, previous)) return token.value
+  return keywordCase === 'lower' ? token.value.toLowerCase() : token.value.toUpperCase()
+}
+
+// Whether two adjacent tokens need a space between them
+function needsSpace(previous, token) {
+  if (!previous) return false
+  if ([',', ';', ')', '.', ']', '::'].includes(token.value) || ['(', '.', '[', '::'].includes(previous.value)) return false
+  // Function calls and types keep their parenthesis: count(*) and
+  // VARCHAR(255), but IN (...)
+  if (token.value === '(') return previous.type !== 'word' || RESERVED_WORDS.has(previous.value.toUpperCase())
+  return true
+}
+
+const WORD_CHAR = /[\p{L}\p{N}_$@#?]/u
+const QUOTED = ['string', 'identifier']
+
+// Whether dropping the space between two tokens would change how they read
+function needsMinifiedSpace(previous, token) {
+  if (!previous) return false
+  if (previous.type === 'comment' || token.type === 'comment') return true
+  if (WORD_CHAR.test(previous.value.at(-1)) && WORD_CHAR.test(token.value[0])) return true
+  // 'a' 'b' would become 'a''b', and N 'x' would become N'x'
+  if (QUOTED.includes(token.type) && (QUOTED.includes(previous.type) || previous.type === 'word')) return true
+  // < > would become <>, and - - a comment
+  if (previous.type !== 'operator' || token.type !== 'operator') return false
+  const joined = previous.value + token.value
+  return ['--', '/*', ...OPERATORS].some((op) => op.length > previous.value.length && joined.startsWith(op))
+}
+
+const significant = (tokens) => tokens.filter((token) => token.type !== 'whitespace')
+
+/* Minifier */
+
+// MySQL runs /*! ... */ comments as code, and /*+ ... */ holds optimizer hints
+const isDirective = (token) => /^\/\*[!+]/.test(token.value)
+
+export function minifySql(text, { dialect = 'standard' } = {}) {
+  const tokens = significant(tokenizeSql(text, dialect)).filter((token) => token.type !== 'comment' || isDirective(token))
+  return tokens.map((token, i) => (needsMinifiedSpace(tokens[i - 1], token) ? ' ' : '') + token.value).join('')
+}
+
+/* Formatter */
+
+// Clauses start a line; their content goes on the lines below, indented
+const BLOCK_CLAUSES = [
+  'SELECT DISTINCT', 'SELECT', 'FROM', 'WHERE', 'GROUP BY', 'HAVING', 'ORDER BY', 'WINDOW', 'VALUES', 'SET',
+  'RETURNING', 'WITH RECURSIVE', 'WITH'
+]
+// Clauses whose content stays on the same line
+const LINE_CLAUSES = [
+  'INSERT INTO', 'REPLACE INTO', 'UPDATE', 'DELETE FROM', 'LIMIT', 'OFFSET', 'FETCH', 'ON CONFLICT',
+  'ON DUPLICATE KEY UPDATE', 'CREATE TABLE', 'CREATE VIEW', 'CREATE INDEX', 'CREATE UNIQUE INDEX', 'ALTER TABLE',
+  'DROP TABLE'
+]
+const NAMED_CLAUSES = [
+  'INSERT INTO', 'REPLACE INTO', 'ON CONFLICT', 'CREATE TABLE', 'CREATE VIEW', 'CREATE INDEX', 'CREATE UNIQUE INDEX'
+]
+const SET_OPERATORS = ['UNION ALL', 'UNION', 'INTERSECT', 'EXCEPT']
+const JOINS = [
+  'LEFT OUTER JOIN', 'RIGHT OUTER JOIN', 'FULL OUTER JOIN', 'LEFT JOIN', 'RIGHT JOIN', 'FULL JOIN', 'INNER JOIN',
+  'CROSS JOIN', 'NATURAL JOIN', 'JOIN'
+]
+
+// Longest multi-word keyword from `phrases` starting at token i
+function matchPhrase(tokens, i, phrases) {
+  for (const phrase of phrases) {
+    const words = phrase.split(' ')
+    if (words.every((word, offset) => tokens[i + offset]?.type === 'word' && tokens[i + offset].value.toUpperCase() === word)) {
+      return { phrase, length: words.length }
+    }
+  }
+  return null
+}
+
+/**
+ * Re-indent SQL. keywordCase is 'upper', 'lower' or 'preserve';
+ * commaStyle is 'trailing' or 'leading'; indent is a number of spaces.
+ */
+export function formatSql(text, { dialect = 'standard', keywordCase = 'upper', commaStyle = 'trailing', indent = 2 } = {}) {
+  const tokens = significant(tokenizeSql(text, dialect))
+  const unit = ' '.repeat(indent)
+  const lines = []
+  let line = null
+  let previous = null
+  // Base indent of the current statement or subquery
+  let depth = 0
+  // Open parentheses: { block, depth } where block parentheses hold a
+  // subquery or column list laid out over several lines
+  const parens = []
+  let clause = null
+  let inBetween = false
+  // INSERT INTO t (a, b) and CREATE TABLE t (...) keep a space before
+  // their first parenthesis, unlike function calls
+  let spacedParen = false
+
+  const inlineParens = () => parens.length && !parens[parens.length - 1].block
+  // A line holds its code in text and a trailing -- comment in comment
+  const newline = (level) => {
+    if (line && (line.text || line.comment)) lines.push(line)
+    line = { level, text: '' }
+    previous = null
+  }
+  const write = (token, value = token.value) => {
+    if (!line) newline(depth)
+    line.text += (line.text && needsSpace(previous, token) ? ' ' : '') + value
+    previous = token
+  }
+  const writeWords = (from, length) => {
+    const words = tokens.slice(from, from + length).map((token, offset) => applyCase(token, offset ? tokens[from + offset - 1] : null, keywordCase))
+    write({ type: 'word', value: words.join(' ') })
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    const upper = token.type === 'word' ? token.value.toUpperCase() : null
+    const topLevel = !inlineParens() && previous?.value !== '.'
+
+    if (token.type === 'comment') {
+      if (token.value.startsWith('/*')) {
+        write(token)
+      } else {
+        if (!line) newline(depth)
+        line.comment = token.value
+        newline(line.level)
+      }
+      continue
+    }
+
+    // A comma after a -- comment belongs to the code before the comment
+    if (token.value === ',' && line && !line.text && lines.at(-1)?.comment && (commaStyle === 'trailing' || inlineParens())) {
+      const codeLine = lines.findLast((candidate) => candidate.text)
+      if (codeLine) {
+        codeLine.text += ','
+        if (!inlineParens()) line.level = parens.length ? depth : depth + 1
+        continue
+      }
+    }
+
+    if (token.type === 'word' && topLevel) {
+      const block = matchPhrase(tokens, i, BLOCK_CLAUSES)
+      // ON CONFLICT ... DO UPDATE continues the INSERT rather than starting an UPDATE
+      const doUpdate = upper === 'UPDATE' && tokens[i - 1]?.type === 'word' && tokens[i - 1].value.toUpperCase() === 'DO'
+      const inline = !block && !doUpdate && matchPhrase(tokens, i, LINE_CLAUSES)
+      const setOperator = !block && !inline && matchPhrase(tokens, i, SET_OPERATORS)
+      const join = !block && !inline && !setOperator && matchPhrase(tokens, i, JOINS)
+      if (block || inline || setOperator) {
+        const found = block || inline || setOperator
+        clause = found.phrase
+        spacedParen = NAMED_CLAUSES.includes(clause)
+        newline(depth)
+        writeWords(i, found.length)
+        if (block) newline(depth + 1)
+        if (setOperator) newline(depth)
+        i += found.length - 1
+        continue
+      }
+      if (join) {
+        newline(depth + 1)
+        writeWords(i, join.length)
+        i += join.length - 1
+        continue
+      }
+      if (upper === 'BETWEEN') inBetween = true
+      if ((upper === 'AND' || upper === 'OR') && !(upper === 'AND' && inBetween)) {
+        newline(depth + 1)
+        write(token, applyCase(token, null, keywordCase))
+        continue
+      }
+      if (upper === 'AND') inBetween = false
+    }
+
+    if (token.value === '(') {
+      const next = tokens[i + 1]
+      const subquery = next?.type === 'word' && ['SELECT', 'WITH'].includes(next.value.toUpperCase())
+      // The column list of CREATE TABLE gets one definition per line
+      const columnList = clause === 'CREATE TABLE' && !parens.length
+      if (spacedParen && !parens.length) line.text += ' '
+      spacedParen = false
+      write(token)
+      parens.push({ block: subquery || columnList, depth, clause })
+      if (subquery || columnList) {
+        // The contents go one level below the line holding the parenthesis
+        depth = line.level + 1
+        newline(depth)
+        if (columnList) clause = null
+      }
+      continue
+    }
+    if (token.value === ')') {
+      const open = parens.pop()
+      if (open?.block) {
+        newline(depth - 1)
+        depth = open.depth
+        clause = open.clause
+      }
+      write(token)
+      continue
+    }
+
+    if (token.value === ',' && !inlineParens()) {
+      const level = parens.length ? depth : depth + 1
+      if (commaStyle === 'leading') {
+        newline(level)
+        line.text = ','
+        previous = token
+      } else {
+        write(token)
+        newline(level)
+      }
+      continue
+    }
+
+    if (token.value === ';') {
+      write(token)
+      lines.push(line)
+      lines.push({ level: 0, text: '' })
+      line = null
+      previous = null
+      depth = 0
+      parens.length = 0
+      clause = null
+      continue
+    }
+
+    write(token, applyCase(token, previous, keywordCase))
+  }
+  if (line && (line.text || line.comment)) lines.push(line)
+  while (lines.length && !lines[lines.length - 1].text && !lines[lines.length - 1].comment) lines.pop()
+  return lines.map(({ level, text, comment }) => {
+    const content = [text, comment].filter(Boolean).join(' ')
+    return content ? unit.repeat(level) + content : ''
+  }).join('\n')
+}
+
+/* Parameterizer */
+
+/**
+ * Replace string and number literals with placeholders, keeping the rest
+ * of the text as written. style is '?', '$1' or ':p1'. Returns
+ * { sql, parameters: [{ placeholder, value }] }.
+ */
+export function parameterizeSql(text, { dialect = 'standard', style = '?' } = {}) {
+  const tokens = tokenizeSql(text, dialect)
+  // Numbering continues after placeholders already in the query, so no
+  // number is bound to two values
+  let number = tokens.reduce((max, token) => {
+    const existing = token.type === 'placeholder' && token.value.match(/^(?:\$|\?|:p)(\d+)$/)
+    return existing ? Math.max(max, Number(existing[1])) : max
+  }, 0)
+  // A ? placeholder is numbered by its position among all of them
+  let position = 0
+  const parameters = []
+  const sql = tokens.map((token) => {
+    if (token.value === '?') position++
+    if (token.type !== 'string' && token.type !== 'number') return token.value
+    const placeholder = style === '$1' ? `$${++number}` : style === ':p1' ? `:p${++number}` : '?'
+    parameters.push({ placeholder: style === '?' ? String(++position) : placeholder, value: token.value })
+    return placeholder
+  }).join('')
+  return { sql, parameters }
+}
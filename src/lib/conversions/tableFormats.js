@@ -0,0 +1,287 @@
+/**
+ * Reading and writing tables in the formats people paste between
+ * spreadsheets, READMEs, wikis and databases. A table is
+ *   { columns: [name], rows: [[cell]] }
+ * with every cell a string; the first row of CSV, Markdown and HTML input
+ * names the columns. Writers that have types (JSON, SQL) infer them from
+ * the cell text.
+ */
+
+import { ConversionError } from './errors.js'
+import { html } from './escapes.js'
+import { readCsv, stringifyCsv } from './csv.js'
+import { parseJson, stringifyJson } from './jsonSyntax.js'
+import { booleanLiteral, columnType, quoteIdentifier, quoteString } from './sqlSyntax.js'
+
+export const TABLE_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'tsv', label: 'TSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'html', label: 'HTML' }
+]
+
+const MARKDOWN_SEPARATOR = /^\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?$/
+
+export function detectTableFormat(text) {
+  const trimmed = text.trim()
+  if (trimmed.startsWith('[')) return 'json'
+  if (trimmed.startsWith('<')) return 'html'
+  const [first = '', second = ''] = trimmed.split(/\r?\n/)
+  if (MARKDOWN_SEPARATOR.test(second.trim()) && first.includes('|')) return 'markdown'
+  return 'csv'
+}
+
+/* Readers */
+
+// Give every column a unique, non-empty name and every row the same width
+function normalizeTable(header, rows, warn) {
+  const seen = new Map()
+  const columns = header.map((name, index) => {
+    const base = name.trim() || `column_${index + 1}`
+    const count = (seen.get(base) ?? 0) + 1
+    seen.set(base, count)
+    if (count === 1) return base
+    warn(`Duplicate column "${base}" was renamed to "${base}_${count}"`)
+    return `${base}_${count}`
+  })
+  const width = columns.length
+  return {
+    columns,
+    rows: rows.map((row, index) => {
+      if (row.length > width && row.slice(width).some((cell) => cell !== '')) {
+        warn(`Row ${index + 1} has more cells than there are columns; the extra cells were dropped`)
+      }
+      return Array.from({ length: width }, (_, column) => row[column] ?? '')
+    })
+  }
+}
+
+function readDelimited(text, delimiter, warn) {
+  const { rows } = readCsv(text.replace(/\s+$/, ''), { delimiter, header: 'yes' })
+  if (rows.length === 0) throw new ConversionError('The table is empty')
+  const [header, ...body] = rows
+  return normalizeTable(header, body, warn)
+}
+
+// JSON scalars as cell text; nested values become compact JSON
+function jsonCell(node, warn) {
+  switch (node.type) {
+    case 'string': return node.value
+    case 'number': return node.raw
+    case 'boolean': return String(node.value)
+    case 'null': return ''
+    default:
+      warn('Nested objects and arrays were written as JSON text')
+      return stringifyJson(node, { indent: 0 })
+  }
+}
+
+function readJson(text, warn) {
+  const root = parseJson(text, { lenient: true })
+  if (root.type !== 'array') throw new ConversionError('Expected a JSON array of objects (or of arrays, with the column names first)')
+  if (root.items.every((item) => item.type === 'array')) {
+    const [header = { items: [] }, ...body] = root.items
+    return normalizeTable(header.items.map((node) => jsonCell(node, warn)), body.map((row) => row.items.map((node) => jsonCell(node, warn))), warn)
+  }
+  const invalid = root.items.findIndex((item) => item.type !== 'object')
+  if (invalid !== -1) throw new ConversionError(`Item ${invalid + 1} is ${root.items[invalid].type === 'array' ? 'an array' : `a ${root.items[invalid].type}`}, expected an object`)
+  // Columns in order of first appearance
+  const columns = [...new Set(root.items.flatMap((item) => item.entries.map(({ key }) => key)))]
+  const rows = root.items.map((item) => columns.map((column) => {
+    const entry = item.entries.find(({ key }) => key === column)
+    return entry ? jsonCell(entry.value, warn) : ''
+  }))
+  return { columns, rows }
+}
+
+// Split a pipe table row at unescaped pipes
+function markdownCells(line) {
+  const cells = []
+  let cell = ''
+  const content = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\\' && content[i + 1] === '|') {
+      cell += '|'
+      i++
+    } else if (content[i] === '|') {
+      cells.push(cell)
+      cell = ''
+    } else {
+      cell += content[i]
+    }
+  }
+  cells.push(cell)
+  return cells.map((value) => value.trim().replace(/<br\s*\/?>/gi, '\n'))
+}
+
+function readMarkdown(text, warn) {
+  const lines = text.trim().split(/\r?\n/)
+  if (lines.length < 2 || !MARKDOWN_SEPARATOR.test(lines[1].trim())) {
+    throw new ConversionError('Expected a Markdown table: a header row, then a separator row such as | --- | --- |')
+  }
+  const body = lines.slice(2).filter((line) => line.trim())
+  return normalizeTable(markdownCells(lines[0]), body.map(markdownCells), warn)
+}
+
+const cellText = (markup) => html.unescape(markup.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '')).replace(/[ \t\r]*\n[ \t\r]*/g, '\n').replace(/[ \t\r]+/g, ' ').trim()
+
+function readHtml(text, warn) {
+  const table = text.match(/<table[\s>][\s\S]*?<\/table\s*>/i)
+  if (!table) throw new ConversionError('No <table> element found')
+  if (/<table[\s>]/i.test(table[0].slice(6))) warn('Nested tables were flattened into their cells')
+  const rows = [...table[0].matchAll(/<tr[\s>][\s\S]*?(?=<tr[\s>]|<\/table)/gi)].map(([row]) => {
+    const cells = [...row.matchAll(/<t([hd])(\s[^>]*)?>([\s\S]*?)(?=<t[hd][\s>]|<\/tr|$)/gi)]
+    if (cells.some(([, , attributes = '']) => /\b(?:col|row)span\s*=\s*["']?(?!1\b)\d/i.test(attributes))) {
+      warn('Merged cells (colspan/rowspan) were not expanded')
+    }
+    return cells.map(([, , , content]) => cellText(content.replace(/<\/t[hd]\s*>[\s\S]*$/i, '')))
+  })
+  if (rows.length === 0) throw new ConversionError('The <table> has no rows')
+  const [header, ...body] = rows
+  return normalizeTable(header, body, warn)
+}
+
+/**
+ * Read a table from text in the given format ('auto' detects it). `warn`
+ * receives notes about anything that did not carry over.
+ */
+export function readTable(text, format = 'auto', warn = () => {}) {
+  switch (format === 'auto' ? detectTableFormat(text) : format) {
+    case 'tsv': return readDelimited(text, '\t', warn)
+    case 'json': return readJson(text, warn)
+    case 'markdown': return readMarkdown(text, warn)
+    case 'html': return readHtml(text, warn)
+    default: return readDelimited(text, format === 'csv' ? ',' : 'auto', warn)
+  }
+}
+
+/* Type inference */
+
+const JSON_NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/
+const INTEGER = /^-?(?:0|[1-9]\d*)$/
+const BOOLEAN = /^(?:true|false)$/i
+const DATE = /^\d{4}-\d{2}-\d{2}$/
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/
+
+// The narrowest kind that fits every non-empty value of a column
+export function inferColumnKind(values) {
+  const present = values.filter((value) => value !== '')
+  if (present.length === 0) return 'text'
+  if (present.every((value) => INTEGER.test(value))) {
+    return present.every((value) => Math.abs(Number(value)) <= 2147483647) ? 'integer' : 'bigint'
+  }
+  if (present.every((value) => JSON_NUMBER.test(value))) return 'decimal'
+  if (present.every((value) => BOOLEAN.test(value))) return 'boolean'
+  if (present.every((value) => DATE.test(value))) return 'date'
+  if (present.every((value) => TIMESTAMP.test(value))) return 'timestamp'
+  return 'text'
+}
+
+/* Writers */
+
+const withHeader = ({ columns, rows }) => [columns, ...rows]
+
+export function writeDelimited(table, delimiter) {
+  return stringifyCsv(withHeader(table), { delimiter })
+}
+
+// Empty cells become null; numeric and boolean columns lose their quotes
+function jsonValue(cell, kind) {
+  if (!kind) return { type: 'string', value: cell }
+  if (cell === '') return { type: 'null' }
+  if (kind === 'integer' || kind === 'bigint' || kind === 'decimal') return { type: 'number', raw: cell }
+  if (kind === 'boolean') return { type: 'boolean', value: cell.toLowerCase() === 'true' }
+  return { type: 'string', value: cell }
+}
+
+// Types are inferred per column so every object has the same type for a key
+export function writeJson({ columns, rows }, { inferTypes = true, indent = 2 } = {}) {
+  const kinds = columns.map((_, index) => inferTypes && inferColumnKind(rows.map((row) => row[index])))
+  return stringifyJson({
+    type: 'array',
+    items: rows.map((row) => ({
+      type: 'object',
+      entries: columns.map((column, index) => ({ key: column, value: jsonValue(row[index], kinds[index]) }))
+    }))
+  }, { indent })
+}
+
+const ALIGNMENT_MARKERS = { none: ['-', '-'], left: [':', '-'], center: [':', ':'], right: ['-', ':'] }
+
+/**
+ * Pipe table with padded columns. alignment is 'none', 'left', 'center',
+ * 'right' or 'numbers' (numeric columns right, others left).
+ */
+export function writeMarkdown({ columns, rows }, { alignment = 'none' } = {}) {
+  const escapeCell = (cell) => cell.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>')
+  const cells = [columns, ...rows].map((row) => row.map(escapeCell))
+  const widths = columns.map((_, index) => cells.reduce((width, row) => Math.max(width, row[index].length), 3))
+  const alignments = columns.map((_, index) => {
+    if (alignment !== 'numbers') return alignment
+    const kind = inferColumnKind(rows.map((row) => row[index]))
+    return kind === 'integer' || kind === 'bigint' || kind === 'decimal' ? 'right' : 'left'
+  })
+  const pad = (cell, index) => {
+    const space = widths[index] - cell.length
+    if (alignments[index] === 'right') return cell.padStart(widths[index])
+    if (alignments[index] === 'center') return ' '.repeat(Math.floor(space / 2)) + cell + ' '.repeat(Math.ceil(space / 2))
+    return cell.padEnd(widths[index])
+  }
+  const line = (row) => `| ${row.map(pad).join(' | ')} |`
+  const separator = `| ${alignments.map((align, index) => {
+    const [start, end] = ALIGNMENT_MARKERS[align]
+    return start + '-'.repeat(widths[index] - 2) + end
+  }).join(' | ')} |`
+  return [line(cells[0]), separator, ...cells.slice(1).map(line)].join('\n')
+}
+
+export function writeHtml({ columns, rows }) {
+  const cell = (tag, value) => `      <${tag}>${html.escape(value).replace(/\r?\n/g, '<br>')}</${tag}>`
+  const row = (tag, values) => ['    <tr>', ...values.map((value) => cell(tag, value)), '    </tr>'].join('\n')
+  return [
+    '<table>',
+    '  <thead>',
+    row('th', columns),
+    '  </thead>',
+    '  <tbody>',
+    ...rows.map((values) => row('td', values)),
+    '  </tbody>',
+    '</table>'
+  ].join('\n')
+}
+
+/**
+ * CREATE TABLE and/or a multi-row INSERT. statements is 'both', 'create'
+ * or 'insert'. Column types are inferred from the values; empty cells are
+ * NULL and make a column nullable.
+ */
+export function writeSql({ columns, rows }, { tableName = 'data', dialect = 'standard', statements = 'both' } = {}) {
+  if (!tableName.trim()) throw new ConversionError('Enter a table name')
+  const table = quoteIdentifier(tableName.trim(), dialect)
+  const names = columns.map((column) => quoteIdentifier(column, dialect))
+  const kinds = columns.map((_, index) => inferColumnKind(rows.map((row) => row[index])))
+
+  const literal = (value, kind) => {
+    if (value === '') return 'NULL'
+    if (kind === 'integer' || kind === 'bigint' || kind === 'decimal') return value
+    if (kind === 'boolean') return booleanLiteral(value.toLowerCase() === 'true', dialect)
+    return quoteString(value, dialect)
+  }
+
+  const output = []
+  if (statements !== 'insert') {
+    const definitions = columns.map((_, index) => {
+      const values = rows.map((row) => row[index])
+      const type = columnType(kinds[index], dialect, values.reduce((max, value) => Math.max(max, value.length), 1))
+      const nullable = rows.length === 0 || values.includes('')
+      return `  ${names[index]} ${type}${nullable ? '' : ' NOT NULL'}`
+    })
+    output.push(`CREATE TABLE ${table} (\n${definitions.join(',\n')}\n);`)
+  }
+  if (statements !== 'create' && rows.length > 0) {
+    const values = rows.map((row) => `  (${row.map((value, index) => literal(value, kinds[index])).join(', ')})`)
+    output.push(`INSERT INTO ${table} (${names.join(', ')}) VALUES\n${values.join(',\n')};`)
+  }
+  return output.join('\n\n')
+}
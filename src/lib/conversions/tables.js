@@ -0,0 +1,83 @@
+import { defineConverter } from './define.js'
+import { SQL_DIALECTS } from './sqlSyntax.js'
+import { TABLE_FORMATS, readTable, writeDelimited, writeHtml, writeJson, writeMarkdown, writeSql } from './tableFormats.js'
+
+const category = 'tables'
+
+const fromOption = {
+  id: 'from',
+  label: 'Input format',
+  type: 'select',
+  default: 'auto',
+  choices: [{ value: 'auto', label: 'Detect' }, ...TABLE_FORMATS]
+}
+
+const tableConverter = ({ id, label, options = [], write }) => defineConverter({
+  id,
+  label,
+  category,
+  options: [fromOption, ...options],
+  convert: (text, options, { warn }) => write(readTable(text, options.from, warn), options)
+})
+
+export default [
+  tableConverter({
+    id: 'tableToCsv',
+    label: 'To CSV',
+    write: (table) => writeDelimited(table, ',')
+  }),
+  tableConverter({
+    id: 'tableToTsv',
+    label: 'To TSV',
+    write: (table) => writeDelimited(table, '\t')
+  }),
+  tableConverter({
+    id: 'tableToJson',
+    label: 'To JSON',
+    options: [{ id: 'inferTypes', label: 'Numbers, booleans and empty cells as JSON types', type: 'boolean', default: true }],
+    write: (table, { inferTypes }) => writeJson(table, { inferTypes })
+  }),
+  tableConverter({
+    id: 'tableToMarkdown',
+    label: 'To Markdown',
+    options: [{
+      id: 'alignment',
+      label: 'Column alignment',
+      type: 'select',
+      default: 'none',
+      choices: [
+        { value: 'none', label: 'Default' },
+        { value: 'left', label: 'Left' },
+        { value: 'center', label: 'Center' },
+        { value: 'right', label: 'Right' },
+        { value: 'numbers', label: 'Numbers right, text left' }
+      ]
+    }],
+    write: (table, { alignment }) => writeMarkdown(table, { alignment })
+  }),
+  tableConverter({
+    id: 'tableToHtml',
+    label: 'To HTML',
+    write: (table) => writeHtml(table)
+  }),
+  tableConverter({
+    id: 'tableToSql',
+    label: 'To SQL',
+    options: [
+      { id: 'tableName', label: 'Table name', type: 'text', default: 'data' },
+      { id: 'dialect', label: 'Dialect', type: 'select', default: 'standard', choices: SQL_DIALECTS },
+      {
+        id: 'statements',
+        label: 'Statements',
+        type: 'select',
+        default: 'both',
+        choices: [
+          { value: 'both', label: 'CREATE TABLE and INSERT' },
+          { value: 'create', label: 'CREATE TABLE only' },
+          { value: 'insert', label: 'INSERT only' }
+        ]
+      }
+    ],
+    write: (table, { tableName, dialect, statements }) => writeSql(table, { tableName, dialect, statements })
+  })
+]
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest'
+import { runConverter } from './registry.js'
+
+const csv = 'name,age,active,note\nAda,36,true,"says ""hi"", bye"\nBob,,false,'
+
+describe('reading tables', () => {
+  it.each([
+    ['JSON objects', '[{"a":1,"b":"x"},{"a":2,"c":true}]', 'a,b,c\n1,x,\n2,,true'],
+    ['Markdown', '| a | b |\n|---|---|\n| 1 | 2 |', 'a,b\n1,2'],
+    ['TSV', 'a\tb\n1\t2', 'a,b\n1,2'],
+    ['HTML', '<table><tr><th>a</th></tr><tr><td>1 &amp; 2</td></tr></table>', 'a\n1 & 2']
+  ])('detects %s', (_, text, expected) => {
+    expect(runConverter('tableToCsv', text)).toBe(expected)
+  })
+
+  it('drops extra cells with a warning', () => {
+    const warnings = []
+    expect(runConverter('tableToCsv', 'a,b\n1,2,3', {}, { warn: (message) => warnings.push(message) })).toBe('a,b\n1,2')
+    expect(warnings).toEqual(['Row 1 has more cells than there are columns; the extra cells were dropped'])
+  })
+
+  it('rejects empty and malformed input', () => {
+    expect(() => runConverter('tableToCsv', '')).toThrow('The table is empty')
+    expect(() => runConverter('tableToCsv', 'a,"b\n1')).toThrow(/missing its closing quote/)
+    expect(() => runConverter('tableToCsv', '[1,2]')).toThrow('Item 1 is a number, expected an object')
+  })
+})
+
+describe('writing tables', () => {
+  it('writes TSV', () => {
+    expect(runConverter('tableToTsv', csv)).toBe('name\tage\tactive\tnote\nAda\t36\ttrue\t"says ""hi"", bye"\nBob\t\tfalse\t')
+  })
+
+  it('infers JSON types per column', () => {
+    expect(JSON.parse(runConverter('tableToJson', csv))).toEqual([
+      { name: 'Ada', age: 36, active: true, note: 'says "hi", bye' },
+      { name: 'Bob', age: null, active: false, note: null }
+    ])
+    expect(JSON.parse(runConverter('tableToJson', 'id,v\n1,x\n02,true'))).toEqual([
+      { id: '1', v: 'x' },
+      { id: '02', v: 'true' }
+    ])
+    expect(JSON.parse(runConverter('tableToJson', csv, { inferTypes: false }))[1]).toEqual({ name: 'Bob', age: '', active: 'false', note: '' })
+  })
+
+  it('writes aligned Markdown', () => {
+    expect(runConverter('tableToMarkdown', csv, { alignment: 'numbers' })).toBe([
+      '| name | age | active | note           |',
+      '| :--- | --: | :----- | :------------- |',
+      '| Ada  |  36 | true   | says "hi", bye |',
+      '| Bob  |     | false  |                |'
+    ].join('\n'))
+  })
+
+  it('escapes HTML cells', () => {
+    expect(runConverter('tableToHtml', 'a,b\n<x>,&')).toContain('<td>&lt;x&gt;</td>\n      <td>&amp;</td>')
+  })
+
+  it('writes CREATE TABLE and INSERT statements', () => {
+    expect(runConverter('tableToSql', csv)).toBe([
+      'CREATE TABLE data (',
+      '  name VARCHAR(3) NOT NULL,',
+      '  age INTEGER,',
+      '  active BOOLEAN NOT NULL,',
+      '  note VARCHAR(14)',
+      ');',
+      '',
+      'INSERT INTO data (name, age, active, note) VALUES',
+      "  ('Ada', 36, TRUE, 'says \"hi\", bye'),",
+      "  ('Bob', NULL, FALSE, NULL);"
+    ].join('\n'))
+  })
+
+  it('quotes identifiers and escapes backslashes for MySQL', () => {
+    expect(runConverter('tableToSql', "a,b\nit's,c:\\d", { dialect: 'mysql', statements: 'insert', tableName: 'my table' }))
+      .toBe("INSERT INTO `my table` (a, b) VALUES\n  ('it''s', 'c:\\\\d');")
+  })
+})
@@ -0,0 +1,174 @@
+import { defineConverter } from './define.js'
+import { convertWords } from './words.js'
+import { capitalize, lower, upper } from './locale.js'
+import { TITLE_CASE_STYLES, toTitleCase } from './titleCase.js'
+import { toSentenceCase } from './sentenceCase.js'
+import { DEFAULT_ABBREVIATIONS } from './sentences.js'
+
+const category = 'text'
+
+// Identifier styles: split into words, then join them back with the given rule
+const identifierCase = (join) => (text, options, { locale } = {}) =>
+  convertWords(text, (words) => join(words, locale), locale)
+
+// Reverse whole characters (emoji, letters with combining accents), not
+// UTF-16 code units, which would split surrogate pairs
+function reverseText(text) {
+  const characters = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), ({ segment }) => segment)
+    : Array.from(text)
+  return characters.reverse().join('')
+}
+
+export default [
+  defineConverter({
+    id: 'sentenceCase',
+    label: 'Sentence Case',
+    category,
+    options: [
+      {
+        id: 'abbreviations',
+        label: 'Abbreviations (no sentence break)',
+        type: 'text',
+        default: DEFAULT_ABBREVIATIONS.join(', ')
+      },
+      {
+        id: 'dictionary',
+        label: 'Keep casing of (names, acronyms)',
+        type: 'text',
+        default: ''
+      }
+    ],
+    convert: toSentenceCase
+  }),
+  defineConverter({
+    id: 'lowerCase',
+    label: 'Lower Case',
+    category,
+    convert: (text, options, { locale } = {}) => lower(text, locale)
+  }),
+  defineConverter({
+    id: 'upperCase',
+    label: 'Upper Case',
+    category,
+    convert: (text, options, { locale } = {}) => upper(text, locale)
+  }),
+  defineConverter({
+    id: 'titleCase',
+    label: 'Title Case',
+    category,
+    options: [
+      {
+        id: 'style',
+        label: 'Style guide',
+        type: 'select',
+        default: 'chicago',
+        choices: Object.entries(TITLE_CASE_STYLES).map(([value, { label }]) => ({ value, label }))
+      },
+      {
+        id: 'smallWords',
+        label: 'Small words (blank for style default)',
+        type: 'text',
+        default: ''
+      },
+      {
+        id: 'preserveCase',
+        label: 'Keep acronyms and mixed case',
+        type: 'boolean',
+        default: true
+      }
+    ],
+    convert: toTitleCase
+  }),
+  defineConverter({
+    id: 'camelCase',
+    label: 'Camel Case',
+    category,
+    convert: identifierCase((words, locale) =>
+      words.map((word, index) => index === 0 ? lower(word, locale) : capitalize(word, locale)).join(''))
+  }),
+  defineConverter({
+    id: 'pascalCase',
+    label: 'Pascal Case',
+    category,
+    convert: identifierCase((words, locale) => words.map((word) => capitalize(word, locale)).join(''))
+  }),
+  defineConverter({
+    id: 'snakeCase',
+    label: 'Snake Case',
+    category,
+    convert: identifierCase((words, locale) => lower(words.join('_'), locale))
+  }),
+  defineConverter({
+    id: 'kebabCase',
+    label: 'Kebab Case',
+    category,
+    convert: identifierCase((words, locale) => lower(words.join('-'), locale))
+  }),
+  defineConverter({
+    id: 'constantCase',
+    label: 'Constant Case',
+    category,
+    convert: identifierCase((words, locale) => upper(words.join('_'), locale))
+  }),
+  defineConverter({
+    id: 'dotCase',
+    label: 'Dot Case',
+    category,
+    convert: identifierCase((words, locale) => lower(words.join('.'), locale))
+  }),
+  defineConverter({
+    id: 'pathCase',
+    label: 'Path Case',
+    category,
+    convert: identifierCase((words, locale) => lower(words.join('/'), locale))
+  }),
+  defineConverter({
+    id: 'trainCase',
+    label: 'Train Case',
+    category,
+    // Only the first letter changes, so acronyms stay intact: XML-Http-Request
+    convert: identifierCase((words, locale) =>
+      words.map((word) => upper(word.charAt(0), locale) + word.slice(1)).join('-'))
+  }),
+  defineConverter({
+    id: 'headerCase',
+    label: 'Header Case',
+    category,
+    // Canonical HTTP header form: Content-Type, X-Forwarded-For
+    convert: identifierCase((words, locale) => words.map((word) => capitalize(word, locale)).join('-'))
+  }),
+  defineConverter({
+    id: 'flatCase',
+    label: 'Flat Case',
+    category,
+    convert: identifierCase((words, locale) => lower(words.join(''), locale))
+  }),
+  defineConverter({
+    id: 'alternatingCase',
+    label: 'Alternating Case',
+    category,
+    convert: (text, options, { locale } = {}) => Array.from(text, (char, index) =>
+      index % 2 === 0 ? lower(char, locale) : upper(char, locale)).join('')
+  }),
+  defineConverter({
+    id: 'inverseCase',
+    label: 'Inverse Case',
+    category,
+    convert: (text, options, { locale } = {}) => Array.from(text, (char, index) =>
+      index % 2 === 1 ? lower(char, locale) : upper(char, locale)).join('')
+  }),
+  defineConverter({
+    id: 'reverseText',
+    label: 'Reverse Text',
+    category,
+    convert: reverseText
+  }),
+  defineConverter({
+    id: 'capitalizedCase',
+    label: 'Capitalized Case',
+    category,
+    convert: (text, options, { locale } = {}) => text.replace(/(?<![\p{L}\p{M}\p{N}'’])\p{L}/gu,
+      (char) => upper(char, locale))
+  })
+]
@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest'
+import { runConverter } from './registry.js'
+
+describe('upperCase and lowerCase', () => {
+  it('apply full case mappings', () => {
+    expect(runConverter('upperCase', 'straße')).toBe('STRASSE')
+    expect(runConverter('lowerCase', 'ÀÉÎ')).toBe('àéî')
+  })
+})
+
+describe('identifier cases', () => {
+  it.each([
+    ['camelCase', 'xmlHttpRequest'],
+    ['pascalCase', 'XmlHttpRequest'],
+    ['snakeCase', 'xml_http_request'],
+    ['kebabCase', 'xml-http-request'],
+    ['constantCase', 'XML_HTTP_REQUEST'],
+    ['dotCase', 'xml.http.request'],
+    ['pathCase', 'xml/http/request'],
+    ['flatCase', 'xmlhttprequest'],
+    ['trainCase', 'XML-Http-Request'],
+    ['headerCase', 'Xml-Http-Request']
+  ])('%s splits acronyms into words', (id, expected) => {
+    expect(runConverter(id, 'XMLHttpRequest')).toBe(expected)
+  })
+
+  it('keeps digits with the word before them', () => {
+    expect(runConverter('snakeCase', 'getHTTPResponse2Code')).toBe('get_http_response2_code')
+  })
+
+  it('splits on any mix of separators and case changes', () => {
+    expect(runConverter('camelCase', 'user_id-v2 fooBar')).toBe('userIdV2FooBar')
+  })
+
+  it('treats non-Latin letters as letters', () => {
+    expect(runConverter('camelCase', 'émile zola')).toBe('émileZola')
+    expect(runConverter('pascalCase', 'über__Größe')).toBe('ÜberGröße')
+    expect(runConverter('snakeCase', 'Привет мир')).toBe('привет_мир')
+  })
+
+  it('converts each line on its own', () => {
+    expect(runConverter('kebabCase', 'First Line\nsecondLine')).toBe('first-line\nsecond-line')
+  })
+
+  it('returns an empty string for blank input', () => {
+    expect(runConverter('camelCase', '')).toBe('')
+    expect(runConverter('kebabCase', '   ')).toBe('')
+  })
+})
+
+describe('titleCase', () => {
+  const title = 'a tale of two cities: between the lines and over the hills'
+
+  it('keeps small words lowercase except at the start and after a colon', () => {
+    expect(runConverter('titleCase', 'the lord of the rings: the return of the king'))
+      .toBe('The Lord of the Rings: The Return of the King')
+  })
+
+  it.each([
+    ['chicago', 'A Tale of Two Cities: Between the Lines and over the Hills'],
+    ['ap', 'A Tale of Two Cities: Between the Lines and Over the Hills'],
+    ['apa', 'A Tale of Two Cities: Between the Lines and Over the Hills'],
+    ['mla', 'A Tale of Two Cities: Between the Lines and over the Hills']
+  ])('follows the %s small-word rules', (style, expected) => {
+    expect(runConverter('titleCase', title, { style })).toBe(expected)
+  })
+
+  it('uses a custom small-word list', () => {
+    expect(runConverter('titleCase', 'the cat in the hat', { smallWords: 'cat' })).toBe('The cat In The Hat')
+  })
+
+  it('preserves words with inner capitals and acronyms unless told not to', () => {
+    expect(runConverter('titleCase', 'an iPhone on the way to NASA')).toBe('An iPhone on the Way to NASA')
+    expect(runConverter('titleCase', 'an iPhone on the way to NASA', { preserveCase: false })).toBe('An Iphone on the Way to Nasa')
+  })
+})
+
+describe('sentenceCase', () => {
+  it('capitalizes the first letter of every sentence', () => {
+    expect(runConverter('sentenceCase', 'hello world. i am here')).toBe('Hello world. I am here')
+    expect(runConverter('sentenceCase', 'first line\nsecond line')).toBe('First line\nSecond line')
+  })
+
+  it('does not end sentences at abbreviations', () => {
+    expect(runConverter('sentenceCase', 'dr. smith met mr. jones. they talked')).toBe('Dr. smith met mr. jones. They talked')
+  })
+
+  it('capitalizes the pronoun I and its contractions', () => {
+    expect(runConverter('sentenceCase', "ok. i'm sure i said so")).toBe("Ok. I'm sure I said so")
+  })
+
+  it('leaves "i" inside abbreviations lowercase', () => {
+    expect(runConverter('sentenceCase', 'this is it, i.e. the thing')).toBe('This is it, i.e. the thing')
+    expect(runConverter('sentenceCase', 'the dose was given i.v. and i watched')).toBe('The dose was given i.v. and I watched')
+    expect(runConverter('sentenceCase', 'we use a.i. daily')).toBe('We use a.i. daily')
+  })
+
+  it('restores dictionary words', () => {
+    expect(runConverter('sentenceCase', 'GO TO NASA WITH SMITH', { dictionary: 'NASA, Smith' })).toBe('Go to NASA with Smith')
+  })
+})
+
+describe('character-level converters', () => {
+  it('alternate case starting lowercase, or uppercase for inverse case', () => {
+    expect(runConverter('alternatingCase', 'hello world')).toBe('hElLo wOrLd')
+    expect(runConverter('inverseCase', 'hello world')).toBe('HeLlO WoRlD')
+  })
+
+  it('capitalize every word, including after hyphens', () => {
+    expect(runConverter('capitalizedCase', "hello o'neil world-wide")).toBe("Hello O'neil World-Wide")
+  })
+
+  it('reverse whole characters rather than UTF-16 code units', () => {
+    expect(runConverter('reverseText', 'abc')).toBe('cba')
+    expect(runConverter('reverseText', 'abc 😀 é 👍🏽')).toBe('👍🏽 é 😀 cba')
+  })
+})
@@ -0,0 +1,96 @@
+/**
+ * Headline-style title case following the common style guides.
+ *
+ * Each line is treated as its own title. Small words (articles, short
+ * conjunctions and prepositions) are lowercased unless they open or close the
+ * title or follow a colon. Acronyms ("NASA") and mixed-case words ("iPhone")
+ * keep their casing unless the whole line is written in capitals.
+ *
+ * The style guides are English; for other locales every word is capitalized
+ * unless a custom small-word list is given.
+ */
+
+import { capitalize, isEnglish, lower } from './locale.js'
+
+const ARTICLES = ['a', 'an', 'the']
+
+const SHORT_PREPOSITIONS = ['as', 'at', 'by', 'for', 'in', 'of', 'off', 'on', 'per', 'to', 'up', 'via']
+
+const PREPOSITIONS = [
+  ...SHORT_PREPOSITIONS,
+  'about', 'above', 'across', 'after', 'against', 'along', 'among', 'around',
+  'before', 'behind', 'below', 'beneath', 'beside', 'between', 'beyond', 'down',
+  'during', 'except', 'from', 'inside', 'into', 'like', 'near', 'onto', 'out',
+  'outside', 'over', 'past', 'since', 'through', 'throughout', 'till', 'toward',
+  'towards', 'under', 'underneath', 'until', 'upon', 'with', 'within', 'without'
+]
+
+export const TITLE_CASE_STYLES = {
+  ap: {
+    label: 'AP',
+    smallWords: [...ARTICLES, 'and', 'but', 'nor', 'or', 'so', 'yet', ...SHORT_PREPOSITIONS, 'out']
+  },
+  chicago: {
+    label: 'Chicago',
+    smallWords: [...ARTICLES, 'and', 'but', 'nor', 'or', ...PREPOSITIONS]
+  },
+  apa: {
+    label: 'APA',
+    smallWords: [...ARTICLES, 'and', 'but', 'if', 'nor', 'or', 'so', 'yet', ...SHORT_PREPOSITIONS]
+  },
+  mla: {
+    label: 'MLA',
+    smallWords: [...ARTICLES, 'and', 'but', 'nor', 'or', 'so', 'yet', ...PREPOSITIONS]
+  }
+}
+
+// Punctuation after which the next word starts a new (sub)title
+const SUBTITLE_BREAK = /[:—–?!]$/
+const WORD_PARTS = /^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/su
+// URLs, file names and e-mail addresses are left as written
+const VERBATIM = /[./@\\]\S/
+
+const hasInnerCapital = (word) => /\p{Lu}/u.test(word.slice(1))
+
+function parseSmallWords(list, locale) {
+  return list.split(/[\s,]+/).filter(Boolean).map((word) => lower(word, locale))
+}
+
+function titleCaseLine(line, { smallWords, preserveCase, locale }) {
+  const tokens = line.split(/(\s+)/)
+  const wordIndexes = tokens.flatMap((token, index) => (token.trim() ? [index] : []))
+  // An all-caps line has no meaningful acronyms to preserve
+  const keepCase = preserveCase && /\p{Ll}/u.test(line)
+
+  wordIndexes.forEach((tokenIndex, position) => {
+    const [, lead, core, trail] = tokens[tokenIndex].match(WORD_PARTS)
+    if (!core || VERBATIM.test(core)) return
+
+    const previous = tokens[wordIndexes[position - 1]]
+    const opensTitle = position === 0 || SUBTITLE_BREAK.test(previous)
+    const closesTitle = position === wordIndexes.length - 1 || SUBTITLE_BREAK.test(tokens[tokenIndex])
+
+    const parts = core.split('-')
+    const cased = parts.map((part, partIndex) => {
+      if (keepCase && hasInnerCapital(part)) return part
+      const forced = (partIndex === 0 && opensTitle) || (partIndex === parts.length - 1 && closesTitle)
+      if (!forced && smallWords.has(lower(part, locale))) return lower(part, locale)
+      return capitalize(part, locale)
+    })
+    tokens[tokenIndex] = lead + cased.join('-') + trail
+  })
+
+  return tokens.join('')
+}
+
+export function toTitleCase(text, { style = 'chicago', smallWords = '', preserveCase = true } = {}, { locale } = {}) {
+  const guide = TITLE_CASE_STYLES[style] ?? TITLE_CASE_STYLES.chicago
+  const custom = parseSmallWords(smallWords, locale)
+  const defaults = isEnglish(locale) ? guide.smallWords : []
+  const rules = {
+    smallWords: new Set(custom.length > 0 ? custom : defaults),
+    preserveCase,
+    locale
+  }
+  return text.split('\n').map((line) => titleCaseLine(line, rules)).join('\n')
+}
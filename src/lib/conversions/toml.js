@@ -0,0 +1,422 @@
+/**
+ * TOML 1.0 reading and writing on the syntax tree used by jsonSyntax.js.
+ *
+ * Dates and times are kept as { type: 'datetime', raw } nodes so they can be
+ * written back unquoted. Comments on their own line are attached to the
+ * following key or table header.
+ */
+
+import { ConversionError } from './errors.js'
+import { lineColumn } from './jsonSyntax.js'
+
+const BARE_KEY = /^[A-Za-z0-9_-]+$/
+const DATETIME = /(?:\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?)(?![\w:.-])/y
+const NUMBER = /[+-]?(?:0x[0-9A-Fa-f](?:_?[0-9A-Fa-f])*|0o[0-7](?:_?[0-7])*|0b[01](?:_?[01])*|inf|nan|(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?)(?![\w.])/y
+const BASIC_ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' }
+
+const findEntry = (table, key) => table.entries.find((entry) => entry.key === key)
+
+/**
+ * Parse TOML into a syntax tree whose root is an object. Errors are
+ * ConversionErrors naming the line and column.
+ */
+export function parseToml(text) {
+  const source = text.replace(/\r\n/g, '\n')
+  const root = { type: 'object', entries: [] }
+  // Tables created by headers or dotted keys, to reject redefinition
+  const defined = new Set()
+  const inline = new Set()
+  let index = 0
+  let pendingComments = []
+
+  const fail = (message, position = index) => {
+    const { line, column } = lineColumn(source, position)
+    throw new ConversionError(`Line ${line}, column ${column}: ${message}`, { position })
+  }
+
+  const skipSpaces = () => {
+    while (source[index] === ' ' || source[index] === '\t') index++
+  }
+
+  // Skip blank lines and comments, collecting comment lines
+  const skipLines = () => {
+    for (;;) {
+      skipSpaces()
+      if (source[index] === '#') {
+        const end = source.indexOf('\n', index)
+        pendingComments.push(source.slice(index + 1, end === -1 ? undefined : end).replace(/^ /, '').trimEnd())
+        index = end === -1 ? source.length : end
+      }
+      if (source[index] !== '\n') return
+      index++
+    }
+  }
+
+  // Comments and line breaks inside arrays are not attached to anything
+  const skipArraySpace = () => {
+    for (;;) {
+      skipSpaces()
+      if (source[index] === '#') {
+        const end = source.indexOf('\n', index)
+        index = end === -1 ? source.length : end
+      }
+      if (source[index] !== '\n') return
+      index++
+    }
+  }
+
+  const expectLineEnd = () => {
+    skipSpaces()
+    if (source[index] === '#') {
+      const end = source.indexOf('\n', index)
+      index = end === -1 ? source.length : end
+    }
+    if (index < source.length && source[index] !== '\n') fail(`Expected the end of the line, found "${source[index]}"`)
+  }
+
+  const takeComments = () => {
+    const comments = pendingComments
+    pendingComments = []
+    return comments
+  }
+
+  const parseBasicString = (multiline) => {
+    const start = index
+    const delimiter = multiline ? '"""' : '"'
+    index += delimiter.length
+    if (multiline && source[index] === '\n') index++
+    let value = ''
+    for (;;) {
+      if (index >= source.length) fail('Unterminated string', start)
+      if (source.startsWith(delimiter, index)) {
+        // Up to two quotes may directly precede the closing delimiter
+        let extra = 0
+        while (multiline && extra < 2 && source[index + delimiter.length + extra] === '"') extra++
+        value += '"'.repeat(extra)
+        index += delimiter.length + extra
+        return value
+      }
+      const char = source[index]
+      if (char === '\n' && !multiline) fail('Line breaks are not allowed in single-line strings (use """ for multi-line strings)')
+      if (char === '\\') {
+        const escape = source[index + 1]
+        if (multiline && /[ \t\n]/.test(escape ?? '') && /^\\[ \t]*\n/.test(source.slice(index))) {
+          // Line-ending backslash trims the break and the next line's leading whitespace
+          index++
+          while (/\s/.test(source[index] ?? '')) index++
+          continue
+        }
+        const width = { u: 4, U: 8, x: 2 }[escape]
+        if (width) {
+          const hex = source.slice(index + 2, index + 2 + width)
+          if (!new RegExp(`^[0-9A-Fa-f]{${width}}$`).test(hex)) fail(`Invalid escape "\\${escape}${hex}"`)
+          value += String.fromCodePoint(parseInt(hex, 16))
+          index += 2 + width
+        } else if (Object.hasOwn(BASIC_ESCAPES, escape)) {
+          value += BASIC_ESCAPES[escape]
+          index += 2
+        } else {
+          fail(`Invalid escape "\\${escape ?? ''}"`)
+        }
+        continue
+      }
+      value += char
+      index++
+    }
+  }
+
+  const parseLiteralString = (multiline) => {
+    const start = index
+    const delimiter = multiline ? "'''" : "'"
+    index += delimiter.length
+    if (multiline && source[index] === '\n') index++
+    const end = source.indexOf(delimiter, index)
+    if (end === -1) fail('Unterminated string', start)
+    let value = source.slice(index, end)
+    if (!multiline && value.includes('\n')) fail("Line breaks are not allowed in single-line strings (use ''' for multi-line strings)", start)
+    index = end + delimiter.length
+    while (multiline && source[index] === "'" && value.length - value.trimEnd().length < 2) {
+      value += "'"
+      index++
+    }
+    return value
+  }
+
+  const parseString = () => {
+    if (source.startsWith('"""', index)) return parseBasicString(true)
+    if (source.startsWith("'''", index)) return parseLiteralString(true)
+    return source[index] === '"' ? parseBasicString(false) : parseLiteralString(false)
+  }
+
+  const match = (pattern) => {
+    pattern.lastIndex = index
+    const result = pattern.exec(source)
+    return result && result[0]
+  }
+
+  // key, "quoted key" or a.b."c" -> ['a', 'b', 'c']
+  const parseKey = () => {
+    const parts = []
+    for (;;) {
+      skipSpaces()
+      const char = source[index]
+      if (char === '"' || char === "'") {
+        parts.push(char === '"' ? parseBasicString(false) : parseLiteralString(false))
+      } else {
+        const bare = source.slice(index).match(/^[A-Za-z0-9_-]+/)
+        if (!bare) fail(char === undefined || char === '\n' ? 'Expected a key' : `Invalid character "${char}" in key`)
+        parts.push(bare[0])
+        index += bare[0].length
+      }
+      skipSpaces()
+      if (source[index] !== '.') return parts
+      index++
+    }
+  }
+
+  const parseValue = () => {
+    const char = source[index]
+    if (char === '"' || char === "'") return { type: 'string', value: parseString() }
+    if (char === '[') {
+      index++
+      const items = []
+      for (skipArraySpace(); source[index] !== ']'; skipArraySpace()) {
+        if (index >= source.length) fail('Unterminated array')
+        items.push(parseValue())
+        skipArraySpace()
+        if (source[index] === ',') index++
+        else if (source[index] !== ']') fail(`Expected "," or "]" in array, found "${source[index] ?? 'end of input'}"`)
+      }
+      index++
+      return { type: 'array', items }
+    }
+    if (char === '{') {
+      index++
+      const table = { type: 'object', entries: [] }
+      inline.add(table)
+      skipSpaces()
+      if (source[index] === '}') {
+        index++
+        return table
+      }
+      for (;;) {
+        parseKeyValue(table)
+        skipSpaces()
+        if (source[index] === '}') break
+        if (source[index] !== ',') fail(`Expected "," or "}" in inline table, found "${source[index] ?? 'end of input'}"`)
+        index++
+      }
+      index++
+      return table
+    }
+    const datetime = match(DATETIME)
+    if (datetime) {
+      index += datetime.length
+      return { type: 'datetime', raw: datetime.replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T') }
+    }
+    for (const [word, value] of [['true', true], ['false', false]]) {
+      if (source.startsWith(word, index) && !/[\w-]/.test(source[index + word.length] ?? '')) {
+        index += word.length
+        return { type: 'boolean', value }
+      }
+    }
+    const number = match(NUMBER)
+    if (number) {
+      index += number.length
+      return { type: 'number', raw: numberRaw(number.replace(/_/g, '')) }
+    }
+    return fail(char === undefined || char === '\n' ? 'Expected a value' : `Invalid value starting with "${char}"`)
+  }
+
+  // Walk (creating as needed) the tables named by a dotted key prefix
+  const descend = (table, parts, position) => {
+    let current = table
+    for (const part of parts) {
+      let entry = findEntry(current, part)
+      if (!entry) {
+        entry = { key: part, value: { type: 'object', entries: [] } }
+        current.entries.push(entry)
+      } else if (entry.value.type === 'array' && entry.value.tableArray) {
+        entry = { value: entry.value.items[entry.value.items.length - 1] }
+      } else if (entry.value.type !== 'object' || inline.has(entry.value)) {
+        fail(`"${part}" is already defined as a value`, position)
+      }
+      current = entry.value
+    }
+    return current
+  }
+
+  function parseKeyValue(table) {
+    const start = index
+    const comments = takeComments()
+    const parts = parseKey()
+    if (source[index] !== '=') fail(`Expected "=" after the key "${parts.join('.')}"`)
+    index++
+    skipSpaces()
+    const target = descend(table, parts.slice(0, -1), start)
+    parts.slice(0, -1).reduce((current, part) => {
+      const next = findEntry(current, part).value
+      defined.add(next)
+      return next
+    }, table)
+    const key = parts[parts.length - 1]
+    if (findEntry(target, key)) fail(`Duplicate key "${parts.join('.')}"`, start)
+    const value = parseValue()
+    if (comments.length) value.comments = comments
+    target.entries.push({ key, value })
+  }
+
+  let current = root
+  for (skipLines(); index < source.length; skipLines()) {
+    const start = index
+    if (source[index] === '[') {
+      const isArray = source[index + 1] === '['
+      index += isArray ? 2 : 1
+      const parts = parseKey()
+      if (!source.startsWith(isArray ? ']]' : ']', index)) fail(`Expected "${isArray ? ']]' : ']'}" to close the table header`)
+      index += isArray ? 2 : 1
+      const comments = takeComments()
+      const parent = descend(root, parts.slice(0, -1), start)
+      const key = parts[parts.length - 1]
+      let entry = findEntry(parent, key)
+      if (isArray) {
+        if (!entry) {
+          entry = { key, value: { type: 'array', items: [], tableArray: true } }
+          parent.entries.push(entry)
+        } else if (!entry.value.tableArray) {
+          fail(`"${parts.join('.')}" is already defined and is not an array of tables`, start)
+        }
+        current = { type: 'object', entries: [] }
+        if (comments.length) current.comments = comments
+        entry.value.items.push(current)
+      } else {
+        if (entry && (entry.value.type !== 'object' || defined.has(entry.value) || inline.has(entry.value))) {
+          fail(`Table "${parts.join('.')}" is already defined`, start)
+        }
+        if (!entry) {
+          entry = { key, value: { type: 'object', entries: [] } }
+          parent.entries.push(entry)
+        }
+        current = entry.value
+        defined.add(current)
+        if (comments.length) current.comments = [...(current.comments ?? []), ...comments]
+      }
+    } else {
+      parseKeyValue(current)
+    }
+    expectLineEnd()
+  }
+  if (pendingComments.length) root.comments = [...(root.comments ?? []), ...pendingComments]
+  return stripMarkers(root)
+}
+
+// TOML number text as strict JSON number text
+function numberRaw(text) {
+  const sign = text.startsWith('-') ? '-' : ''
+  const unsigned = text.replace(/^[+-]/, '')
+  if (unsigned === 'inf') return `${sign}Infinity`
+  if (unsigned === 'nan') return 'NaN'
+  if (/^0[xob]/.test(unsigned)) return sign + BigInt(unsigned).toString()
+  return sign + unsigned.replace(/e\+/i, 'e')
+}
+
+function stripMarkers(node) {
+  if (node.type === 'array') {
+    delete node.tableArray
+    node.items.forEach(stripMarkers)
+  }
+  if (node.type === 'object') node.entries.forEach(({ value }) => stripMarkers(value))
+  return node
+}
+
+/* Writer */
+
+const formatKey = (key) => (BARE_KEY.test(key) ? key : JSON.stringify(key))
+const isControl = (char) => (char < ' ' && char !== '\n' && char !== '\t' && char !== '\r') || char === '\x7f'
+
+function formatString(value) {
+  if (value.includes('\n') && ![...value].some(isControl)) {
+    // Multi-line basic string; escape backslashes and runs of quotes
+    const body = value.replace(/\\/g, '\\\\').replace(/"""/g, '""\\"').replace(/\r/g, '\\r')
+    return `"""\n${body.endsWith('"') ? `${body.slice(0, -1)}\\"` : body}"""`
+  }
+  return JSON.stringify(value).replace(/\\u007f/gi, '\\u007F')
+}
+
+const isTable = (node) => node.type === 'object'
+const isTableArray = (node) => node.type === 'array' && node.items.length > 0 && node.items.every(isTable)
+
+/**
+ * Serialize a syntax tree as TOML. The root must be an object. TOML has no
+ * null, so null values are left out and reported through `warn`.
+ */
+export function stringifyToml(root, warn = () => {}) {
+  if (root.type !== 'object') throw new ConversionError(`TOML documents must be a table of keys, not ${root.type === 'array' ? 'an array' : `a ${root.type}`}`)
+
+  const dropNull = (path) => {
+    warn(`TOML has no null: ${path} was left out`)
+    return false
+  }
+
+  const inlineValue = (node, path) => {
+    switch (node.type) {
+      case 'object':
+        return `{ ${node.entries
+          .filter(({ key, value }) => value.type !== 'null' || dropNull(`${path}.${key}`))
+          .map(({ key, value }) => `${formatKey(key)} = ${inlineValue(value, `${path}.${key}`)}`)
+          .join(', ')} }`.replace('{  }', '{}')
+      case 'array': {
+        const items = node.items.filter((item, i) => item.type !== 'null' || dropNull(`${path}[${i}]`))
+        return `[${items.map((item, i) => inlineValue(item, `${path}[${i}]`)).join(', ')}]`
+      }
+      case 'string': return formatString(node.value)
+      case 'number': return { Infinity: 'inf', '-Infinity': '-inf', NaN: 'nan' }[node.raw] ?? node.raw
+      case 'boolean': return String(node.value)
+      case 'datetime': return node.raw
+      default: return '""'
+    }
+  }
+
+  const comments = (node) => (node.comments ?? []).map((comment) => `# ${comment}\n`).join('')
+  const sections = []
+
+  // Nested tables written as a.b = value lines, keeping them in key order
+  const dottedLines = (prefix, node) => node.entries.flatMap(({ key, value }) => {
+    const name = `${prefix}${formatKey(key)}`
+    if (value.type === 'null') return dropNull(name) || []
+    if (isTable(value) && value.entries.length) {
+      const [first, ...rest] = dottedLines(`${name}.`, value)
+      if (first) return [comments(value) + first, ...rest]
+    }
+    return `${comments(value)}${name} = ${inlineValue(value, name)}`
+  })
+
+  // Key/value lines come before sub-tables, as TOML requires. Tables that
+  // are followed by plain keys are written inline so key order is kept.
+  const writeTable = (table, path, header, { required = false } = {}) => {
+    const isSection = ({ value }, i) => (isTable(value) || isTableArray(value)) &&
+      table.entries.slice(i + 1).every((entry) => isTable(entry.value) || isTableArray(entry.value))
+    const lines = table.entries
+      .filter((entry, i) => !isSection(entry, i))
+      .flatMap((entry) => dottedLines('', { entries: [entry] }))
+    const hasSections = table.entries.some(isSection)
+    if (header && (required || lines.length || !hasSections || table.comments)) sections.push(`${comments(table)}${header}\n${lines.join('\n')}`.trimEnd())
+    else if (lines.length) sections.push(lines.join('\n'))
+
+    table.entries.forEach((entry, i) => {
+      if (!isSection(entry, i)) return
+      const { key, value } = entry
+      const childPath = [...path, formatKey(key)]
+      if (isTable(value)) writeTable(value, childPath, `[${childPath.join('.')}]`)
+      if (isTableArray(value)) {
+        value.items.forEach((item, i) => {
+          const itemComments = item.comments ?? (i === 0 ? value.comments : undefined)
+          writeTable({ ...item, comments: itemComments }, childPath, `[[${childPath.join('.')}]]`, { required: true })
+        })
+      }
+    })
+  }
+
+  writeTable({ ...root, comments: undefined }, [], null)
+  return `${comments(root)}${sections.join('\n\n')}\n`
+}
@@ -0,0 +1,95 @@
+/**
+ * Percent-encoding and URL parsing helpers behind the URL converters and
+ * the URL inspector.
+ */
+
+import { ConversionError } from './errors.js'
+
+// encodeURIComponent escapes everything but A-Z a-z 0-9 - _ . ! ~ * ' ( ),
+// encodeURI additionally leaves the URL delimiters ; , / ? : @ & = + $ # alone
+export function percentEncode(text, { component = true, spaceAsPlus = false } = {}) {
+  try {
+    const encoded = component ? encodeURIComponent(text) : encodeURI(text)
+    return spaceAsPlus ? encoded.replace(/%20/g, '+') : encoded
+  } catch {
+    // Only lone surrogates make the built-ins throw
+    const index = Array.from(text).findIndex((char) => /[\uD800-\uDFFF]/.test(char))
+    throw new ConversionError(`Unpaired surrogate at position ${index + 1} cannot be encoded`, { position: index })
+  }
+}
+
+export function percentDecode(text, { plusAsSpace = false } = {}) {
+  const source = plusAsSpace ? text.replace(/\+/g, ' ') : text
+  const malformed = source.search(/%(?![0-9a-f]{2})/i)
+  if (malformed !== -1) {
+    throw new ConversionError(
+      `Malformed escape "${source.slice(malformed, malformed + 3)}" at position ${malformed + 1}`,
+      { position: malformed }
+    )
+  }
+  try {
+    return decodeURIComponent(source)
+  } catch {
+    throw new ConversionError('The escapes do not decode to valid UTF-8 text')
+  }
+}
+
+/**
+ * Break an absolute URL into editable parts. Query parameters are decoded
+ * (keeping their order and duplicates, "+" read as a space as browsers do
+ * for forms); the other parts stay percent-encoded so nothing is lost.
+ */
+export function parseUrl(text) {
+  let url
+  try {
+    url = new URL(text.trim())
+  } catch {
+    throw new ConversionError('Not an absolute URL (expected something like https://example.com/path)')
+  }
+  return {
+    protocol: url.protocol.replace(/:$/, ''),
+    username: url.username,
+    password: url.password,
+    hostname: url.hostname,
+    port: url.port,
+    pathname: url.pathname,
+    params: Array.from(url.searchParams, ([key, value]) => ({ key, value })),
+    hash: url.hash.replace(/^#/, '')
+  }
+}
+
+// Schemes the URL standard requires a host for
+const HOST_SCHEMES = ['http', 'https', 'ws', 'wss', 'ftp']
+
+/**
+ * Reassemble the parts from parseUrl. URLs without a host (mailto:, urn:)
+ * are written without "//"; the result must parse as a URL again.
+ */
+export function buildUrl({ protocol, username, password, hostname, port, pathname, params, hash }) {
+  if (!/^[A-Za-z][A-Za-z0-9+.-]*$/.test(protocol)) {
+    throw new ConversionError(`"${protocol}" is not a valid scheme`)
+  }
+  if (port && !(/^\d+$/.test(port) && Number(port) <= 65535)) {
+    throw new ConversionError(`Port "${port}" must be a number from 0 to 65535`)
+  }
+
+  if (!hostname && HOST_SCHEMES.includes(protocol.toLowerCase())) {
+    throw new ConversionError(`${protocol} URLs need a host`)
+  }
+
+  let text = `${protocol}:`
+  if (hostname || username || password || port) {
+    const userinfo = username || password ? `${username}${password ? `:${password}` : ''}@` : ''
+    text += `//${userinfo}${hostname}${port ? `:${port}` : ''}`
+    if (pathname && !pathname.startsWith('/')) text += '/'
+  }
+  text += pathname
+  if (params.length) text += `?${new URLSearchParams(params.map(({ key, value }) => [key, value]))}`
+  if (hash) text += `#${hash}`
+
+  try {
+    return new URL(text).href
+  } catch {
+    throw new ConversionError(`The edited parts do not form a valid URL: ${text}`)
+  }
+}
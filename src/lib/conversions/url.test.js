@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest'
+import { buildUrl, parseUrl } from './url.js'
+
+const href = 'https://user:pw@example.com:8080/a%20b/c?x=1&y=%C3%A9&x=2#frag'
+
+describe('parseUrl', () => {
+  it('splits a URL into parts, decoding only the query', () => {
+    expect(parseUrl(href)).toEqual({
+      protocol: 'https',
+      username: 'user',
+      password: 'pw',
+      hostname: 'example.com',
+      port: '8080',
+      pathname: '/a%20b/c',
+      params: [{ key: 'x', value: '1' }, { key: 'y', value: 'é' }, { key: 'x', value: '2' }],
+      hash: 'frag'
+    })
+  })
+
+  it('rejects relative URLs', () => {
+    expect(() => parseUrl('not a url')).toThrow(/Not an absolute URL/)
+  })
+})
+
+describe('buildUrl', () => {
+  it('round-trips parsed URLs', () => {
+    expect(buildUrl(parseUrl(href))).toBe(href)
+    expect(buildUrl(parseUrl('mailto:a@b.c?subject=hi'))).toBe('mailto:a@b.c?subject=hi')
+    expect(buildUrl(parseUrl('file:///tmp/x'))).toBe('file:///tmp/x')
+  })
+
+  it('encodes edited parameters', () => {
+    const parts = parseUrl('https://example.com/?a=1')
+    expect(buildUrl({ ...parts, hostname: 'other.org', params: [...parts.params, { key: 'new key', value: 'a&b' }] }))
+      .toBe('https://other.org/?a=1&new+key=a%26b')
+  })
+
+  it('rejects parts that do not form a URL', () => {
+    const parts = parseUrl(href)
+    expect(() => buildUrl({ ...parts, port: '99999' })).toThrow(/Port "99999"/)
+    expect(() => buildUrl({ ...parts, protocol: '1x' })).toThrow(/not a valid scheme/)
+    expect(() => buildUrl({ ...parts, username: '', password: '', port: '', hostname: '' })).toThrow('https URLs need a host')
+  })
+})
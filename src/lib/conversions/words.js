@@ -0,0 +1,56 @@
+/**
+ * Word segmentation for identifier-style conversions.
+ *
+ * Text is first split into word-like segments (Intl.Segmenter where the
+ * runtime has it, a Unicode property regex otherwise), then each segment is
+ * split again on separators and on casing boundaries so that
+ * "XMLHttpRequest", "user-id_value" and "getHTTPResponse2Code" all break
+ * into their component words.
+ */
+
+import { DEFAULT_LOCALE } from './locale.js'
+
+const segmenters = new Map()
+
+const WORD_CHARS = /[\p{L}\p{M}\p{N}]+/gu
+const APOSTROPHES = /(?<=[\p{L}\p{M}])['’](?=\p{L})/gu
+// "fooBar" / "v2Beta" -> "foo|Bar" / "v2|Beta"
+const LOWER_UPPER = /([\p{Ll}\p{N}]\p{M}*)([\p{Lu}\p{Lt}])/gu
+// "XMLHttp" -> "XML|Http"
+const ACRONYM_WORD = /([\p{Lu}\p{Lt}]\p{M}*)([\p{Lu}\p{Lt}]\p{M}*\p{Ll})/gu
+
+function getSegmenter(locale) {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) return null
+  if (!segmenters.has(locale)) {
+    segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }))
+  }
+  return segmenters.get(locale)
+}
+
+function segments(text, locale) {
+  const segmenter = getSegmenter(locale)
+  if (!segmenter) return [text]
+  return Array.from(segmenter.segment(text), ({ segment }) => segment)
+}
+
+function splitOnCase(word) {
+  return word
+    .replace(LOWER_UPPER, '$1\0$2')
+    .replace(ACRONYM_WORD, '$1\0$2')
+    .split('\0')
+}
+
+export function splitWords(text, locale = DEFAULT_LOCALE) {
+  const words = []
+  for (const segment of segments(text.replace(APOSTROPHES, ''), locale)) {
+    for (const [chunk] of segment.matchAll(WORD_CHARS)) {
+      words.push(...splitOnCase(chunk))
+    }
+  }
+  return words
+}
+
+// Apply an identifier style line by line so lists of names convert in place
+export function convertWords(text, join, locale = DEFAULT_LOCALE) {
+  return text.split(/\r?\n/).map((line) => join(splitWords(line, locale))).join('\n')
+}
@@ -0,0 +1,299 @@
+/**
+ * XML reading and writing on the syntax tree used by jsonSyntax.js, with
+ * the common mapping between elements and objects:
+ *   <a x="1"><b>2</b><b>3</b>text</a>  <->  { a: { '@x': '1', b: ['2', '3'], '#text': 'text' } }
+ * Attributes become "@name" keys, repeated elements become arrays and text
+ * next to child elements or attributes becomes "#text". XML has no types, so
+ * every value read is a string.
+ */
+
+import { ConversionError } from './errors.js'
+import { lineColumn } from './jsonSyntax.js'
+import { NAMED_ENTITIES } from './htmlEntities.js'
+
+const NAME = /[A-Za-z_:\u00c0-\uffff][\w.:\-\u00b7\u00c0-\uffff]*/y
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+export const ATTRIBUTE_PREFIX = '@'
+export const TEXT_KEY = '#text'
+
+/**
+ * Parse an XML document into a syntax tree: an object with one entry for
+ * the root element. `warn` receives notes about what the mapping loses.
+ */
+export function parseXml(text, warn = () => {}) {
+  const source = text.replace(/\r\n?/g, '\n')
+  let index = 0
+  let pendingComments = []
+
+  const fail = (message, position = index) => {
+    const { line, column } = lineColumn(source, position)
+    throw new ConversionError(`Line ${line}, column ${column}: ${message}`, { position })
+  }
+
+  const readName = () => {
+    NAME.lastIndex = index
+    const name = NAME.exec(source)?.[0]
+    if (!name) fail(`Expected a name, found "${source[index] ?? 'end of input'}"`)
+    index += name.length
+    return name
+  }
+
+  const decodeEntities = (raw, start) => raw.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);?/g, (match, entity, offset) => {
+    if (!match.endsWith(';')) fail(`Unescaped "&" (write &amp;)`, start + offset)
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16))
+    if (entity.startsWith('#')) return String.fromCodePoint(Number(entity.slice(1)))
+    if (Object.hasOwn(XML_ENTITIES, entity)) return XML_ENTITIES[entity]
+    // HTML entities are not defined in XML, but are common in pasted documents
+    if (NAMED_ENTITIES.has(entity)) {
+      warn(`"&${entity};" is not an XML entity and was read as its HTML meaning`)
+      return String.fromCodePoint(NAMED_ENTITIES.get(entity))
+    }
+    return fail(`Unknown entity "&${entity};"`, start + offset)
+  })
+
+  const skipSpace = () => {
+    while (/\s/.test(source[index] ?? '')) index++
+  }
+
+  const skipUntil = (terminator, what) => {
+    const end = source.indexOf(terminator, index)
+    if (end === -1) fail(`Unterminated ${what}`)
+    const content = source.slice(index, end)
+    index = end + terminator.length
+    return content
+  }
+
+  // Comments, processing instructions and the doctype between elements
+  const skipMisc = () => {
+    for (;;) {
+      skipSpace()
+      if (source.startsWith('<!--', index)) {
+        index += 4
+        pendingComments.push(...skipUntil('-->', 'comment').trim().split('\n').map((line) => line.trim()))
+      } else if (source.startsWith('<?', index)) {
+        index += 2
+        skipUntil('?>', 'processing instruction')
+      } else if (source.startsWith('<!DOCTYPE', index)) {
+        warn('The DOCTYPE declaration was ignored')
+        const subset = source.indexOf('[', index)
+        const close = source.indexOf('>', index)
+        index = subset !== -1 && subset < close ? source.indexOf(']>', subset) + 2 : close + 1
+        if (index <= 1) fail('Unterminated DOCTYPE')
+      } else {
+        return
+      }
+    }
+  }
+
+  const takeComments = () => {
+    const comments = pendingComments
+    pendingComments = []
+    return comments.length ? comments : undefined
+  }
+
+  const parseElement = () => {
+    const open = index
+    const comments = takeComments()
+    if (source[index] !== '<') fail(`Expected an element, found "${source[index] ?? 'end of input'}"`)
+    index++
+    const name = readName()
+    const attributes = []
+    for (;;) {
+      skipSpace()
+      if (source[index] === '>' || source.startsWith('/>', index)) break
+      const attributeStart = index
+      const attribute = readName()
+      skipSpace()
+      if (source[index] !== '=') fail(`Expected "=" after the attribute "${attribute}"`)
+      index++
+      skipSpace()
+      const quote = source[index]
+      if (quote !== '"' && quote !== "'") fail(`Attribute values must be quoted (${attribute}="...")`)
+      index++
+      const valueStart = index
+      const raw = skipUntil(quote, 'attribute value')
+      if (raw.includes('<')) fail(`"<" is not allowed in attribute values`, valueStart + raw.indexOf('<'))
+      if (attributes.some((a) => a.key === ATTRIBUTE_PREFIX + attribute)) fail(`Duplicate attribute "${attribute}"`, attributeStart)
+      attributes.push({ key: ATTRIBUTE_PREFIX + attribute, value: { type: 'string', value: decodeEntities(raw, valueStart) } })
+    }
+    if (attributes.length) warn(`XML attributes were converted to "${ATTRIBUTE_PREFIX}name" keys`)
+
+    const children = []
+    let text = ''
+    if (source.startsWith('/>', index)) {
+      index += 2
+    } else {
+      index++
+      for (;;) {
+        const textStart = index
+        const next = source.indexOf('<', index)
+        if (next === -1) fail(`Missing </${name}> for the element opened at line ${lineColumn(source, open).line}`, open)
+        text += decodeEntities(source.slice(index, next), textStart)
+        index = next
+        if (source.startsWith('</', index)) {
+          index += 2
+          const closing = readName()
+          if (closing !== name) fail(`Expected </${name}>, found </${closing}>`)
+          skipSpace()
+          if (source[index] !== '>') fail(`Expected ">" to close </${name}`)
+          index++
+          break
+        }
+        if (source.startsWith('<![CDATA[', index)) {
+          index += 9
+          text += skipUntil(']]>', 'CDATA section')
+        } else if (source.startsWith('<!--', index) || source.startsWith('<?', index)) {
+          skipMisc()
+        } else {
+          const child = parseElement()
+          children.push(child)
+        }
+      }
+    }
+    return { name, attributes, children, text, comments }
+  }
+
+  // Element -> value node, grouping repeated children into arrays
+  const toNode = ({ attributes, children, text, comments }) => {
+    const trimmed = text.trim()
+    let node
+    if (!attributes.length && !children.length) {
+      node = trimmed || text ? { type: 'string', value: text.includes('\n') ? trimmed : text } : { type: 'null' }
+    } else {
+      const entries = [...attributes]
+      let lastName = null
+      for (const child of children) {
+        const existing = entries.find((entry) => entry.key === child.name)
+        const value = toNode(child)
+        if (!existing) {
+          entries.push({ key: child.name, value })
+        } else {
+          if (existing.value.type !== 'array' || !existing.value.repeated) {
+            existing.value = { type: 'array', items: [existing.value], repeated: true }
+          }
+          if (lastName !== child.name) warn(`Interleaved <${child.name}> elements were grouped together, changing their order`)
+          existing.value.items.push(value)
+        }
+        lastName = child.name
+      }
+      if (trimmed) {
+        if (children.length) warn('Text mixed with child elements was joined into one "#text" value')
+        entries.push({ key: TEXT_KEY, value: { type: 'string', value: trimmed } })
+      }
+      node = { type: 'object', entries }
+    }
+    if (comments) node.comments = comments
+    return node
+  }
+
+  skipMisc()
+  const element = parseElement()
+  skipMisc()
+  if (index < source.length) fail('Only one root element is allowed')
+  if (pendingComments.length) warn('Comments after the root element were dropped')
+
+  return clearMarkers({ type: 'object', entries: [{ key: element.name, value: toNode(element) }] })
+}
+
+function clearMarkers(node) {
+  if (node.type === 'array') {
+    delete node.repeated
+    node.items.forEach(clearMarkers)
+  }
+  if (node.type === 'object') node.entries.forEach(({ value }) => clearMarkers(value))
+  return node
+}
+
+/* Writer */
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+const escapeAttribute = (text) => escapeText(text).replace(/"/g, '&quot;').replace(/\n/g, '&#10;')
+
+/**
+ * Serialize a syntax tree as an indented XML document. A single-key object
+ * names the root element; anything else is wrapped in <root>. Lossy steps
+ * (types becoming text, renamed keys) are reported through `warn`.
+ */
+export function stringifyXml(root, warn = () => {}) {
+  // Names starting with "xml" are reserved but well-formed, so xmlns and
+  // xml:lang pass through
+  const safeName = (key, kind = 'element') => {
+    NAME.lastIndex = 0
+    if (NAME.exec(key)?.[0] === key) return key
+    const name = key.replace(/[^\w.\-\u00b7\u00c0-\uffff]/g, '_').replace(/^(?=[\d.-]|$)/, '_')
+    warn(`"${key}" is not a valid ${kind} name and was written as ${kind === 'element' ? `<${name}>` : `${name}=""`}`)
+    return name
+  }
+
+  const scalarText = (node) => {
+    switch (node.type) {
+      case 'string': return node.value
+      case 'number':
+      case 'datetime': return node.raw
+      case 'boolean': return String(node.value)
+      default: return ''
+    }
+  }
+
+  const noteType = (node) => {
+    if (node.type === 'number' || node.type === 'boolean' || node.type === 'datetime') {
+      warn('XML has no data types: numbers, booleans and dates were written as text')
+    }
+    if (node.type === 'null') warn('XML has no null: null values were written as empty elements')
+  }
+
+  const comments = (node, indent) => (node.comments ?? []).map((comment) => `${indent}<!-- ${comment.replace(/--/g, '- -')} -->\n`).join('')
+
+  const element = (name, node, indent) => {
+    const tag = safeName(name)
+    if (node.type === 'array') {
+      return node.items.map((item) => {
+        if (item.type === 'array') warn(`Nested arrays have no XML equivalent: inner items of "${name}" were wrapped in <item> elements`)
+        return item.type === 'array'
+          ? `${comments(item, indent)}${indent}<${tag}>\n${element('item', { ...item, comments: undefined }, `${indent}  `)}\n${indent}</${tag}>`
+          : element(name, item, indent)
+      }).join('\n')
+    }
+    const prefix = comments(node, indent)
+    if (node.type !== 'object') {
+      noteType(node)
+      const text = scalarText(node)
+      return text === '' ? `${prefix}${indent}<${tag}/>` : `${prefix}${indent}<${tag}>${escapeText(text)}</${tag}>`
+    }
+
+    let attributes = ''
+    const children = []
+    let text = ''
+    for (const { key, value } of node.entries) {
+      if (key.startsWith(ATTRIBUTE_PREFIX) && key.length > 1 && value.type !== 'object' && value.type !== 'array') {
+        noteType(value)
+        attributes += ` ${safeName(key.slice(1), 'attribute')}="${escapeAttribute(scalarText(value))}"`
+      } else if (key === TEXT_KEY && value.type !== 'object' && value.type !== 'array') {
+        noteType(value)
+        text += scalarText(value)
+      } else {
+        children.push(element(key, value, `${indent}  `))
+      }
+    }
+    if (!children.length) {
+      return text === '' ? `${prefix}${indent}<${tag}${attributes}/>` : `${prefix}${indent}<${tag}${attributes}>${escapeText(text)}</${tag}>`
+    }
+    const textLine = text ? `${indent}  ${escapeText(text)}\n` : ''
+    return `${prefix}${indent}<${tag}${attributes}>\n${textLine}${children.join('\n')}\n${indent}</${tag}>`
+  }
+
+  const isSingleRoot = root.type === 'object' && root.entries.length === 1 && root.entries[0].value.type !== 'array'
+  if (root.type === 'array') {
+    warn('XML needs a single root element, so the array was written as <item> elements inside <root>')
+  } else if (!isSingleRoot) {
+    warn('XML needs a single root element, so the data was wrapped in <root>')
+  }
+  const wrapped = root.type === 'array'
+    ? { type: 'object', entries: [{ key: 'item', value: { ...root, comments: undefined } }], comments: root.comments }
+    : root
+  const body = isSingleRoot
+    ? `${comments(root, '')}${element(root.entries[0].key, root.entries[0].value, '')}`
+    : element('root', wrapped, '')
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${body}\n`
+}
@@ -0,0 +1,540 @@
+/**
+ * YAML reading and writing on the syntax tree used by jsonSyntax.js.
+ *
+ * Supports the YAML people write for configuration: block mappings and
+ * sequences, flow [ ] and { } collections, plain/quoted scalars, literal and
+ * folded block scalars, anchors and aliases, comments and the YAML 1.2 core
+ * schema for types. Complex keys, tags other than the standard !!types and
+ * multiple documents are not supported.
+ */
+
+import { ConversionError } from './errors.js'
+
+const INDENT = '  '
+
+/* Scalars */
+
+const NULL = /^(?:~|null|Null|NULL)?$/
+const BOOLEAN = /^(?:true|True|TRUE|false|False|FALSE)$/
+const INTEGER = /^[-+]?[0-9]+$/
+const OCTAL = /^0o[0-7]+$/
+const HEX = /^0x[0-9a-fA-F]+$/
+const FLOAT = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/
+const INFINITY = /^[-+]?\.(?:inf|Inf|INF)$/
+const NAN = /^\.(?:nan|NaN|NAN)$/
+// YAML 1.1 timestamps, kept as dates so TOML can write them unquoted
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})?)?$/
+
+// Decimal number text in strict JSON syntax
+function jsonNumber(text) {
+  const negative = text.startsWith('-')
+  const [mantissa, exponent = ''] = text.replace(/^[-+]/, '').split(/(?=[eE])/)
+  const [whole, fraction] = mantissa.split('.')
+  const digits = whole.replace(/^0+(?=\d)/, '') || '0'
+  return `${negative ? '-' : ''}${digits}${fraction ? `.${fraction}` : ''}${exponent.replace('+', '')}`
+}
+
+// Resolve a plain (unquoted) scalar with the core schema
+export function resolvePlain(text) {
+  if (NULL.test(text)) return { type: 'null' }
+  if (BOOLEAN.test(text)) return { type: 'boolean', value: text.toLowerCase() === 'true' }
+  if (INTEGER.test(text) || FLOAT.test(text)) return { type: 'number', raw: jsonNumber(text) }
+  if (OCTAL.test(text) || HEX.test(text)) return { type: 'number', raw: BigInt(text).toString() }
+  if (INFINITY.test(text)) return { type: 'number', raw: text.startsWith('-') ? '-Infinity' : 'Infinity' }
+  if (NAN.test(text)) return { type: 'number', raw: 'NaN' }
+  if (TIMESTAMP.test(text)) return { type: 'datetime', raw: text }
+  return { type: 'string', value: text }
+}
+
+const DOUBLE_ESCAPES = {
+  0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+}
+
+// Flow scalars fold line breaks: one break becomes a space, n breaks n-1 newlines
+const foldLines = (text) => text
+  .split('\n')
+  .map((line, i, lines) => (i === 0 ? line.trimEnd() : i === lines.length - 1 ? line.trimStart() : line.trim()))
+  .reduce((folded, line, i) => {
+    if (i === 0) return line
+    if (line === '') return `${folded}\n`
+    return folded.endsWith('\n') || folded === '' ? folded + line : `${folded} ${line}`
+  }, '')
+
+function unquoteDouble(body, fail) {
+  let output = ''
+  // An escaped line break joins the lines without folding them
+  const joined = body.replace(/((?:^|[^\\])(?:\\\\)*)\\\n[ \t]*/g, '$1')
+  const text = foldLines(joined)
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== '\\') {
+      output += text[i]
+      continue
+    }
+    const escape = text[++i]
+    const width = { x: 2, u: 4, U: 8 }[escape]
+    if (width) {
+      const hex = text.slice(i + 1, i + 1 + width)
+      if (!new RegExp(`^[0-9a-fA-F]{${width}}$`).test(hex)) fail(`Invalid escape "\\${escape}${hex}"`)
+      output += String.fromCodePoint(parseInt(hex, 16))
+      i += width
+    } else if (Object.hasOwn(DOUBLE_ESCAPES, escape)) {
+      output += DOUBLE_ESCAPES[escape]
+    } else {
+      fail(`Invalid escape "\\${escape ?? ''}"`)
+    }
+  }
+  return output
+}
+
+const unquoteSingle = (body) => foldLines(body).replace(/''/g, "'")
+
+/* Parser */
+
+/**
+ * Parse YAML into a syntax tree. Errors are ConversionErrors naming the
+ * line; `warn` receives notes about content that was skipped.
+ */
+export function parseYaml(text, warn = () => {}) {
+  const source = text.replace(/\r\n?/g, '\n').replace(/^\ufeff/, '')
+  // The final line break ends the last line rather than starting an empty one
+  const lines = source.replace(/\n$/, '').split('\n')
+  const anchors = new Map()
+  let row = 0
+  let pendingComments = []
+
+  const fail = (message, line = row) => {
+    const position = lines.slice(0, line).reduce((offset, l) => offset + l.length + 1, 0)
+    throw new ConversionError(`Line ${line + 1}: ${message}`, { position })
+  }
+
+  const indentOf = (line) => line.match(/^ */)[0].length
+  const isBlank = (line) => /^\s*(?:#.*)?$/.test(line)
+
+  // Skip directives and the document start marker
+  while (row < lines.length && (isBlank(lines[row]) || lines[row].startsWith('%'))) row++
+  if (/^---(?:\s|$)/.test(lines[row] ?? '')) {
+    lines[row] = lines[row].slice(3)
+  }
+  row = 0
+
+  // Position `row` at the next line with content, collecting comments
+  const nextContent = () => {
+    while (row < lines.length) {
+      const line = lines[row]
+      if (/^(?:---|\.\.\.)(?:\s|$)/.test(line) && row > 0) {
+        if (lines.slice(row + 1).some((l) => !isBlank(l))) warn('Only the first YAML document was converted')
+        lines.length = row
+        return false
+      }
+      if (!isBlank(line) && !line.startsWith('%')) {
+        if (/^\s*\t/.test(line)) fail('Tabs cannot be used for indentation')
+        return true
+      }
+      const comment = line.match(/^\s*#\s?(.*)$/)
+      if (comment) pendingComments.push(comment[1].trimEnd())
+      row++
+    }
+    return false
+  }
+
+  const takeComments = (node) => {
+    if (pendingComments.length) node.comments = [...pendingComments, ...(node.comments ?? [])]
+    pendingComments = []
+    return node
+  }
+
+  // Strip a trailing " # comment" from plain text
+  const stripComment = (text) => text.replace(/(?:^|\s+)#.*$/, '').trimEnd()
+
+  // Split "key: rest" at the first ": " outside quotes and brackets
+  const splitKey = (content) => {
+    let quote = null
+    let depth = 0
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i]
+      if (quote) {
+        if (char === quote && !(quote === '"' && content[i - 1] === '\\')) quote = null
+      } else if (char === '"' || char === "'") {
+        if (i === 0) quote = char
+      } else if (char === '[' || char === '{') {
+        if (i === 0) return null
+        depth++
+      } else if (char === ']' || char === '}') {
+        depth--
+      } else if (char === '#' && /\s/.test(content[i - 1] ?? ' ')) {
+        return null
+      } else if (char === ':' && depth <= 0 && (i + 1 === content.length || /\s/.test(content[i + 1]))) {
+        return { key: content.slice(0, i).trim(), rest: content.slice(i + 1) }
+      }
+    }
+    return null
+  }
+
+  const parseKeyText = (key) => {
+    if (key.startsWith('"')) return unquoteDouble(key.slice(1, -1), fail)
+    if (key.startsWith("'")) return unquoteSingle(key.slice(1, -1))
+    if (key.startsWith('? ') || key === '?') fail('Complex mapping keys are not supported')
+    return key
+  }
+
+  // Block scalar (| or >) whose header is `header`, content below `parentIndent`
+  const parseBlockScalar = (header, parentIndent) => {
+    const match = header.match(/^([|>])([1-9])?([+-])?([1-9])?\s*(?:#.*)?$/)
+    if (!match) fail(`Invalid block scalar header "${header}"`)
+    const [, style, indentA, chomping, indentB] = match
+    const body = []
+    row++
+    while (row < lines.length && (lines[row].trim() === '' || indentOf(lines[row]) > parentIndent)) {
+      body.push(lines[row])
+      row++
+    }
+    const explicit = indentA ?? indentB
+    const contentIndent = explicit
+      ? parentIndent + Number(explicit)
+      : Math.min(...body.filter((line) => line.trim()).map(indentOf), Infinity)
+    let content = body.map((line) => line.slice(Math.min(contentIndent, indentOf(line)))).join('\n')
+    const trailing = content.match(/\n*$/)[0]
+    content = content.replace(/\n*$/, '')
+    if (style === '>') {
+      // Fold single line breaks between non-indented lines into spaces
+      content = content.replace(/([^\n])\n(?=[^\n\s])/g, (all, before, offset) => {
+        const lineStart = content.lastIndexOf('\n', offset) + 1
+        return /^\s/.test(content.slice(lineStart)) ? all : `${before} `
+      }).replace(/\n(\n+)(?=[^\s])/g, '$1')
+    }
+    if (chomping === '-' || content === '') return { type: 'string', value: content }
+    return { type: 'string', value: chomping === '+' ? content + trailing + (body.length ? '\n' : '') : `${content}\n` }
+  }
+
+  // Read a quoted or flow value that may continue on following lines
+  const gatherMultiline = (start, isComplete) => {
+    const startRow = row
+    let text = start
+    while (!isComplete(text)) {
+      row++
+      if (row >= lines.length) fail('Unterminated quoted string or flow collection', startRow)
+      text += `\n${lines[row]}`
+    }
+    return text
+  }
+
+  const quoteClosed = (text) => {
+    const quote = text[0]
+    for (let i = 1; i < text.length; i++) {
+      if (quote === '"' && text[i] === '\\') i++
+      else if (text[i] === quote) {
+        if (quote === "'" && text[i + 1] === "'") i++
+        else return i
+      }
+    }
+    return -1
+  }
+
+  const flowBalanced = (text) => {
+    let depth = 0
+    let quote = null
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i]
+      if (quote) {
+        if (quote === '"' && char === '\\') i++
+        else if (char === quote) quote = null
+      } else if (char === '"' || char === "'") quote = char
+      else if (char === '[' || char === '{') depth++
+      else if (char === ']' || char === '}') depth--
+      else if (char === '#' && /\s/.test(text[i - 1] ?? ' ')) {
+        const end = text.indexOf('\n', i)
+        if (end === -1) break
+        i = end
+      }
+    }
+    return depth <= 0
+  }
+
+  // Flow collections: [a, b] and {a: 1, b: 2}
+  const parseFlow = (text) => {
+    let i = 0
+    const skip = () => {
+      for (;;) {
+        while (/\s/.test(text[i] ?? '')) i++
+        if (text[i] !== '#') return
+        while (i < text.length && text[i] !== '\n') i++
+      }
+    }
+    const parseFlowScalar = (terminators) => {
+      if (text[i] === '"' || text[i] === "'") {
+        const end = quoteClosed(text.slice(i))
+        if (end === -1) fail('Unterminated quoted string')
+        const body = text.slice(i + 1, i + end)
+        i += end + 1
+        return { type: 'string', value: text[i - end - 1] === '"' ? unquoteDouble(body, fail) : unquoteSingle(body) }
+      }
+      const start = i
+      while (i < text.length && !terminators.includes(text[i]) && !(text[i] === ':' && /[\s,\]}]/.test(text[i + 1] ?? ' '))) i++
+      return resolvePlain(foldLines(text.slice(start, i)).trim())
+    }
+    const parseFlowValue = (terminators) => {
+      skip()
+      if (text[i] === '[') {
+        i++
+        const items = []
+        for (skip(); text[i] !== ']'; skip()) {
+          if (i >= text.length) fail('Unterminated flow sequence')
+          items.push(parseFlowValue(',]'))
+          skip()
+          if (text[i] === ',') i++
+          else if (text[i] !== ']') fail(`Expected "," or "]" in flow sequence, found "${text[i] ?? 'end of input'}"`)
+        }
+        i++
+        return { type: 'array', items }
+      }
+      if (text[i] === '{') {
+        i++
+        const entries = []
+        for (skip(); text[i] !== '}'; skip()) {
+          if (i >= text.length) fail('Unterminated flow mapping')
+          const key = parseFlowScalar(',:}')
+          skip()
+          let value = { type: 'null' }
+          if (text[i] === ':') {
+            i++
+            value = parseFlowValue(',}')
+          }
+          entries.push({ key: key.value ?? key.raw ?? String(key.type === 'null' ? '' : key.value), value })
+          skip()
+          if (text[i] === ',') i++
+          else if (text[i] !== '}') fail(`Expected "," or "}" in flow mapping, found "${text[i] ?? 'end of input'}"`)
+        }
+        i++
+        return { type: 'object', entries }
+      }
+      if (text[i] === '*') {
+        const name = text.slice(i + 1).match(/^[^\s,[\]{}]+/)[0]
+        i += name.length + 1
+        return alias(name)
+      }
+      return parseFlowScalar(terminators)
+    }
+    const node = parseFlowValue('')
+    skip()
+    if (i < text.length) fail(`Unexpected "${text.slice(i).trim()}" after flow collection`)
+    return node
+  }
+
+  const alias = (name) => {
+    if (!anchors.has(name)) fail(`Unknown alias "*${name}"`)
+    return structuredClone(anchors.get(name))
+  }
+
+  // Inline value after "key:" or "- "; may read further lines
+  const parseInlineValue = (rawText, parentIndent) => {
+    let text = rawText.trim()
+    let anchor = null
+    let tag = null
+    for (;;) {
+      const property = text.match(/^([&!])(\S*)\s*/)
+      if (!property) break
+      if (property[1] === '&') anchor = property[2]
+      else tag = property[2]
+      text = text.slice(property[0].length)
+    }
+
+    let node
+    if (text === '' || text.startsWith('#')) {
+      row++
+      node = parseBlock(parentIndent, true)
+    } else if (text.startsWith('|') || text.startsWith('>')) {
+      node = parseBlockScalar(text, parentIndent)
+    } else if (text.startsWith('*')) {
+      node = alias(stripComment(text).slice(1))
+      row++
+    } else if (text.startsWith('[') || text.startsWith('{')) {
+      node = parseFlow(gatherMultiline(text, flowBalanced))
+      row++
+    } else if (text.startsWith('"') || text.startsWith("'")) {
+      const full = gatherMultiline(text, (t) => quoteClosed(t) !== -1)
+      const end = quoteClosed(full)
+      if (stripComment(full.slice(end + 1)).trim()) fail(`Unexpected text after quoted string: "${full.slice(end + 1).trim()}"`)
+      const body = full.slice(1, end)
+      node = { type: 'string', value: full[0] === '"' ? unquoteDouble(body, fail) : unquoteSingle(body) }
+      row++
+    } else {
+      // Plain scalars continue on more-indented lines
+      let value = stripComment(text)
+      row++
+      while (row < lines.length && !isBlank(lines[row]) && indentOf(lines[row]) > parentIndent && !text.includes(' #')) {
+        value += `\n${stripComment(lines[row])}`
+        row++
+      }
+      node = resolvePlain(foldLines(value))
+    }
+
+    if (tag) node = applyTag(tag, node)
+    if (anchor) anchors.set(anchor, node)
+    return node
+  }
+
+  const applyTag = (tag, node) => {
+    const scalar = node.type === 'string' ? node.value : node.raw ?? (node.type === 'boolean' ? String(node.value) : null)
+    switch (tag) {
+      case '!!str': return scalar === null ? node : { ...node, type: 'string', value: scalar, raw: undefined }
+      case '!!int':
+      case '!!float': return scalar !== null && resolvePlain(scalar).type === 'number' ? resolvePlain(scalar) : fail(`"${scalar}" is not a number`)
+      case '!!bool':
+      case '!!null':
+      case '!!map':
+      case '!!seq':
+      case '!!timestamp': return node
+      default:
+        warn(`The YAML tag "${tag}" was ignored`)
+        return node
+    }
+  }
+
+  const parseSequence = (indent) => {
+    const items = []
+    while (nextContent() && indentOf(lines[row]) === indent && /^-(?:\s|$)/.test(lines[row].slice(indent))) {
+      const comments = pendingComments
+      pendingComments = []
+      const rest = lines[row].slice(indent + 1)
+      const offset = rest.match(/^\s*/)[0].length
+      let item
+      if (rest.trim() === '' || rest.trim().startsWith('#')) {
+        row++
+        item = parseBlock(indent, true)
+      } else if (splitKey(rest.trim()) || /^-(?:\s|$)/.test(rest.trim())) {
+        // "- key: value" or "- - item": the rest is a nested block at its own column
+        lines[row] = ' '.repeat(indent + 1 + offset) + rest.slice(offset)
+        item = parseBlock(indent, false)
+      } else {
+        item = parseInlineValue(rest, indent)
+      }
+      if (comments.length) item.comments = [...comments, ...(item.comments ?? [])]
+      items.push(item)
+    }
+    return { type: 'array', items }
+  }
+
+  const parseMapping = (indent) => {
+    const entries = []
+    while (nextContent() && indentOf(lines[row]) === indent) {
+      const content = lines[row].slice(indent)
+      if (/^-(?:\s|$)/.test(content)) break
+      const split = splitKey(content)
+      if (!split) fail(`Expected "key: value", found "${content.trim()}"`)
+      const comments = pendingComments
+      pendingComments = []
+      const key = parseKeyText(split.key)
+      if (key === '<<') warn('YAML merge keys (<<) were kept as a regular "<<" key')
+      if (entries.some((entry) => entry.key === key)) fail(`Duplicate key "${key}"`)
+
+      // A sequence may sit at the same indent as its key
+      const value = split.rest.trim() === '' && (() => {
+        const saved = { row, pendingComments }
+        pendingComments = []
+        row++
+        if (nextContent() && indentOf(lines[row]) === indent && /^-(?:\s|$)/.test(lines[row].slice(indent))) {
+          return parseSequence(indent)
+        }
+        row = saved.row
+        pendingComments = saved.pendingComments
+        return null
+      })()
+      const node = value || parseInlineValue(split.rest, indent)
+      if (comments.length) node.comments = [...comments, ...(node.comments ?? [])]
+      entries.push({ key, value: node })
+    }
+    return { type: 'object', entries }
+  }
+
+  // Block node indented more than `parentIndent` (or any indent at the top)
+  function parseBlock(parentIndent, allowEmpty) {
+    if (!nextContent() || indentOf(lines[row]) <= parentIndent) {
+      if (!allowEmpty) fail('Expected a value')
+      return { type: 'null' }
+    }
+    const indent = indentOf(lines[row])
+    const content = lines[row].slice(indent)
+    if (/^-(?:\s|$)/.test(content)) return parseSequence(indent)
+    if (splitKey(content)) return parseMapping(indent)
+    return parseInlineValue(content, indent - 1)
+  }
+
+  const root = nextContent() ? takeComments(parseBlock(-1, false)) : { type: 'null' }
+  if (nextContent()) fail(`Unexpected "${lines[row].trim()}" (check the indentation)`)
+  return root
+}
+
+/* Writer */
+
+const PLAIN_UNSAFE = /^[-?:,[\]{}#&*!|>'"%@`\s]|[\s:]$|: | #/
+const isControl = (char) => char < ' ' || char === '\x7f'
+
+function formatString(value) {
+  if (value === '' || PLAIN_UNSAFE.test(value) || [...value].some(isControl) || resolvePlain(value).type !== 'string') {
+    return JSON.stringify(value)
+  }
+  return value
+}
+
+const formatKey = (key) => (/^[\w.\-/ ]*\w$/.test(key) && !/^[-\s]/.test(key) && resolvePlain(key).type === 'string' ? key : JSON.stringify(key))
+
+function formatScalar(node) {
+  switch (node.type) {
+    case 'string': return formatString(node.value)
+    case 'number': return { Infinity: '.inf', '-Infinity': '-.inf', NaN: '.nan' }[node.raw] ?? node.raw
+    case 'boolean': return String(node.value)
+    case 'datetime': return node.raw
+    default: return 'null'
+  }
+}
+
+// Multi-line strings become literal block scalars
+function blockString(value, indent) {
+  const chomp = value.endsWith('\n\n') ? '+' : value.endsWith('\n') ? '' : '-'
+  const indicator = /^\s/.test(value) ? String(INDENT.length) : ''
+  const body = (chomp === '+' ? value.slice(0, -1) : value.replace(/\n$/, ''))
+    .split('\n')
+    .map((line) => (line ? indent + line : ''))
+    .join('\n')
+  return `|${indicator}${chomp}\n${body}`
+}
+
+// Block scalars cannot hold control characters other than tabs
+const isMultiline = (node) => node.type === 'string' && node.value.includes('\n') &&
+  ![...node.value].some((char) => isControl(char) && char !== '\n' && char !== '\t')
+
+export function stringifyYaml(root) {
+  const comments = (node, indent) => (node.comments ?? []).map((comment) => `${indent}# ${comment}\n`).join('')
+
+  // Text after "key:" or "- " for a node, starting with its separator
+  const valueAfter = (node, indent) => {
+    if (node.type === 'object' && node.entries.length) return `\n${block(node, indent + INDENT)}`
+    if (node.type === 'array' && node.items.length) return `\n${block(node, indent + INDENT)}`
+    if (node.type === 'object') return ' {}'
+    if (node.type === 'array') return ' []'
+    if (isMultiline(node)) return ` ${blockString(node.value, indent + INDENT)}`
+    return ` ${formatScalar(node)}`
+  }
+
+  const block = (node, indent) => {
+    if (node.type === 'object') {
+      return node.entries.map(({ key, value }) => `${comments(value, indent)}${indent}${formatKey(key)}:${valueAfter(value, indent)}`).join('\n')
+    }
+    if (node.type === 'array') {
+      return node.items.map((item) => {
+        const prefix = comments(item, indent)
+        if ((item.type === 'object' && item.entries.length) || (item.type === 'array' && item.items.length)) {
+          // Compact form: the first line of the nested block follows "- "
+          const nested = block({ ...item, comments: undefined }, indent + INDENT)
+          return `${prefix}${indent}- ${nested.slice(indent.length + INDENT.length)}`
+        }
+        return `${prefix}${indent}-${valueAfter(item, indent)}`
+      }).join('\n')
+    }
+    if (isMultiline(node)) return blockString(node.value, indent + INDENT)
+    return formatScalar(node)
+  }
+
+  return `${comments(root, '')}${block(root, '')}\n`
+}
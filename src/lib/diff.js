@@ -0,0 +1,85 @@
+/**
+ * Word-level diff between two texts using the longest common subsequence.
+ *
+ * Returns a list of { type: 'equal' | 'insert' | 'delete', value } parts in
+ * reading order. Whitespace is kept as its own token so joining the 'equal'
+ * and 'delete' parts rebuilds the old text, and 'equal' plus 'insert' the
+ * new one. Large inputs are compared line by line instead, and when even
+ * the changed lines would need too big a table the changed middle is
+ * reported as one deletion and one insertion.
+ */
+
+const MAX_CELLS = 4_000_000
+
+const tokenize = (text, byLine) => (byLine ? text.split(/(?<=\n)/) : text.match(/\s+|[^\s]+/g) ?? [])
+
+function pushPart(parts, type, value) {
+  if (!value) return
+  const last = parts[parts.length - 1]
+  if (last && last.type === type) {
+    last.value += value
+  } else {
+    parts.push({ type, value })
+  }
+}
+
+// Tokens with the common prefix and suffix split off, which need no table
+function trimCommon(a, b) {
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let end = 0
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++
+  return {
+    prefix: a.slice(0, start).join(''),
+    suffix: a.slice(a.length - end).join(''),
+    a: a.slice(start, a.length - end),
+    b: b.slice(start, b.length - end)
+  }
+}
+
+function diffTokens(parts, a, b) {
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushPart(parts, 'equal', a[i])
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushPart(parts, 'delete', a[i++])
+    } else {
+      pushPart(parts, 'insert', b[j++])
+    }
+  }
+  while (i < a.length) pushPart(parts, 'delete', a[i++])
+  while (j < b.length) pushPart(parts, 'insert', b[j++])
+}
+
+export function diffWords(oldText, newText) {
+  let trimmed = trimCommon(tokenize(oldText, false), tokenize(newText, false))
+  if (trimmed.a.length * trimmed.b.length > MAX_CELLS) {
+    trimmed = trimCommon(tokenize(oldText, true), tokenize(newText, true))
+  }
+  const { prefix, suffix, a, b } = trimmed
+
+  const parts = []
+  pushPart(parts, 'equal', prefix)
+  if (a.length * b.length > MAX_CELLS) {
+    pushPart(parts, 'delete', a.join(''))
+    pushPart(parts, 'insert', b.join(''))
+  } else {
+    diffTokens(parts, a, b)
+  }
+  pushPart(parts, 'equal', suffix)
+  return parts
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest'
+import { diffWords } from './diff.js'
+
+// Joining the parts of one side rebuilds that text
+const side = (parts, skip) => parts.filter(({ type }) => type !== skip).map(({ value }) => value).join('')
+
+describe('diffWords', () => {
+  it('marks inserted and deleted words', () => {
+    expect(diffWords('the quick brown fox', 'the slow brown fox jumps')).toEqual([
+      { type: 'equal', value: 'the ' },
+      { type: 'delete', value: 'quick' },
+      { type: 'insert', value: 'slow' },
+      { type: 'equal', value: ' brown fox' },
+      { type: 'insert', value: ' jumps' }
+    ])
+  })
+
+  it('reports identical and empty texts', () => {
+    expect(diffWords('same text', 'same text')).toEqual([{ type: 'equal', value: 'same text' }])
+    expect(diffWords('', '')).toEqual([])
+    expect(diffWords('', 'new')).toEqual([{ type: 'insert', value: 'new' }])
+  })
+
+  it('rebuilds both texts', () => {
+    const oldText = 'one two  three\nfour five'
+    const newText = 'one 2 three\nfour\tfive six'
+    const parts = diffWords(oldText, newText)
+    expect(side(parts, 'insert')).toBe(oldText)
+    expect(side(parts, 'delete')).toBe(newText)
+  })
+
+  it('compares large texts line by line', () => {
+    const lines = Array.from({ length: 1500 }, (_, i) => `line ${i}\n`)
+    const changed = lines.map((line, i) => (i % 100 === 50 ? `changed ${i}\n` : line))
+    const parts = diffWords(lines.join(''), changed.join(''))
+    const edits = parts.filter(({ type }) => type !== 'equal')
+    expect(edits).toHaveLength(30)
+    expect(edits.slice(0, 2)).toEqual([
+      { type: 'delete', value: 'line 50\n' },
+      { type: 'insert', value: 'changed 50\n' }
+    ])
+    expect(side(parts, 'delete')).toBe(changed.join(''))
+  })
+
+  it('replaces the changed middle wholesale when even lines are too many', () => {
+    const oldText = Array.from({ length: 2100 }, (_, i) => `old ${i}\n`).join('')
+    const newText = Array.from({ length: 2100 }, (_, i) => `new ${i}\n`).join('')
+    expect(diffWords(`start\n${oldText}end`, `start\n${newText}end`)).toEqual([
+      { type: 'equal', value: 'start\n' },
+      { type: 'delete', value: oldText },
+      { type: 'insert', value: newText },
+      { type: 'equal', value: 'end' }
+    ])
+  })
+})
@@ -0,0 +1,88 @@
+/**
+ * Passphrase-based text encryption with WebCrypto: PBKDF2-SHA-256 derives an
+ * AES-256-GCM key, and the result is a Base64 envelope carrying everything
+ * needed to decrypt it again except the passphrase.
+ *
+ * Envelope: Base64 of the UTF-8 JSON
+ *   { v: 1, kdf: 'PBKDF2-SHA-256', iterations, salt, cipher: 'AES-256-GCM', iv, data }
+ * where salt, iv and data (ciphertext plus GCM tag) are Base64 themselves.
+ */
+
+import { ConversionError } from './conversions/errors.js'
+import { decodeBase64, encodeBase64 } from './conversions/baseN.js'
+import { utf8Decode, utf8Encode } from './conversions/bytes.js'
+
+export const DEFAULT_ITERATIONS = 600_000
+// Refuse envelopes that would keep the tab busy for minutes
+const MAX_ITERATIONS = 10_000_000
+const SALT_BYTES = 16
+const IV_BYTES = 12
+
+async function deriveKey(passphrase, salt, iterations, usage) {
+  const material = await crypto.subtle.importKey('raw', utf8Encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  )
+}
+
+export async function encryptText(text, passphrase, { iterations = DEFAULT_ITERATIONS } = {}) {
+  if (!passphrase) throw new ConversionError('Enter a passphrase')
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES))
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES))
+  const key = await deriveKey(passphrase, salt, iterations, 'encrypt')
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, utf8Encode(text)))
+
+  const envelope = {
+    v: 1,
+    kdf: 'PBKDF2-SHA-256',
+    iterations,
+    salt: encodeBase64(salt),
+    cipher: 'AES-256-GCM',
+    iv: encodeBase64(iv),
+    data: encodeBase64(data)
+  }
+  return encodeBase64(utf8Encode(JSON.stringify(envelope)))
+}
+
+export function parseEnvelope(text) {
+  let envelope
+  try {
+    envelope = JSON.parse(utf8Decode(decodeBase64(text)))
+  } catch {
+    throw new ConversionError('This is not an encrypted envelope produced by this tool')
+  }
+  if (envelope?.v !== 1 || envelope.kdf !== 'PBKDF2-SHA-256' || envelope.cipher !== 'AES-256-GCM') {
+    throw new ConversionError('Unsupported envelope version or algorithm')
+  }
+  if (!Number.isInteger(envelope.iterations) || envelope.iterations < 1 || envelope.iterations > MAX_ITERATIONS) {
+    throw new ConversionError(`Envelope iteration count must be between 1 and ${MAX_ITERATIONS}`)
+  }
+  try {
+    return {
+      iterations: envelope.iterations,
+      salt: decodeBase64(envelope.salt),
+      iv: decodeBase64(envelope.iv),
+      data: decodeBase64(envelope.data)
+    }
+  } catch {
+    throw new ConversionError('The envelope is damaged (invalid salt, IV or data)')
+  }
+}
+
+export async function decryptText(text, passphrase) {
+  if (!passphrase) throw new ConversionError('Enter a passphrase')
+  const { iterations, salt, iv, data } = parseEnvelope(text)
+  const key = await deriveKey(passphrase, salt, iterations, 'decrypt')
+  let plain
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data)
+  } catch {
+    // GCM authentication cannot tell a wrong key from tampered data
+    throw new ConversionError('Wrong passphrase, or the encrypted text was modified')
+  }
+  return utf8Decode(new Uint8Array(plain))
+}
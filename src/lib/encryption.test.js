@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest'
+import { decryptText, encryptText, parseEnvelope } from './encryption.js'
+import { decodeBase64, encodeBase64 } from './conversions/baseN.js'
+import { utf8Decode, utf8Encode } from './conversions/bytes.js'
+
+// Few iterations keep the tests fast; the default is for real use
+const options = { iterations: 1000 }
+
+const readEnvelope = (text) => JSON.parse(utf8Decode(decodeBase64(text)))
+const writeEnvelope = (envelope) => encodeBase64(utf8Encode(JSON.stringify(envelope)))
+
+describe('encryptText and decryptText', () => {
+  it('round-trips text with the passphrase', async () => {
+    const encrypted = await encryptText('secret message 😀', 'correct horse', options)
+    expect(await decryptText(encrypted, 'correct horse')).toBe('secret message 😀')
+  })
+
+  it('uses a fresh salt and IV every time', async () => {
+    const [first, second] = await Promise.all([encryptText('x', 'pw', options), encryptText('x', 'pw', options)])
+    expect(readEnvelope(first).salt).not.toBe(readEnvelope(second).salt)
+    expect(readEnvelope(first).iv).not.toBe(readEnvelope(second).iv)
+  })
+
+  it('writes a versioned envelope', async () => {
+    expect(readEnvelope(await encryptText('x', 'pw', options))).toMatchObject({
+      v: 1, kdf: 'PBKDF2-SHA-256', iterations: 1000, cipher: 'AES-256-GCM'
+    })
+  })
+
+  it('requires a passphrase', async () => {
+    await expect(encryptText('x', '')).rejects.toThrow('Enter a passphrase')
+    await expect(decryptText('x', '')).rejects.toThrow('Enter a passphrase')
+  })
+
+  it('rejects a wrong passphrase or modified data', async () => {
+    const encrypted = await encryptText('x', 'pw', options)
+    await expect(decryptText(encrypted, 'other')).rejects.toThrow('Wrong passphrase, or the encrypted text was modified')
+    const envelope = readEnvelope(encrypted)
+    const data = decodeBase64(envelope.data)
+    data[0] ^= 1
+    await expect(decryptText(writeEnvelope({ ...envelope, data: encodeBase64(data) }), 'pw')).rejects.toThrow(/Wrong passphrase/)
+  })
+})
+
+describe('parseEnvelope', () => {
+  const envelope = { v: 1, kdf: 'PBKDF2-SHA-256', iterations: 1000, salt: 'AAAA', cipher: 'AES-256-GCM', iv: 'AAAA', data: 'AAAA' }
+
+  it('rejects text that is not an envelope', () => {
+    expect(() => parseEnvelope('hello')).toThrow('This is not an encrypted envelope produced by this tool')
+  })
+
+  it('rejects unknown versions and iteration counts that are out of range', () => {
+    expect(() => parseEnvelope(writeEnvelope({ ...envelope, v: 2 }))).toThrow('Unsupported envelope version or algorithm')
+    expect(() => parseEnvelope(writeEnvelope({ ...envelope, iterations: 1e9 }))).toThrow(/iteration count/)
+    expect(() => parseEnvelope(writeEnvelope({ ...envelope, iterations: 0 }))).toThrow(/iteration count/)
+  })
+
+  it('rejects damaged fields', () => {
+    expect(() => parseEnvelope(writeEnvelope({ ...envelope, salt: '!!' }))).toThrow('The envelope is damaged (invalid salt, IV or data)')
+  })
+})
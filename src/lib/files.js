@@ -0,0 +1,36 @@
+/**
+ * Uploaded file records, shared by the file list, the hash panel and the
+ * byte inspector. Files are read as bytes so binary files can be hashed and
+ * hex-dumped; text files are also decoded for the converters.
+ */
+
+import { utf8Encode } from './conversions/bytes.js'
+
+export function readFileAsBytes(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(new Uint8Array(reader.result))
+    reader.onerror = () => reject(reader.error ?? new Error(`Could not read ${file.name}`))
+    reader.readAsArrayBuffer(file)
+  })
+}
+
+// Files holding NUL bytes are binary and have no text; other files are
+// decoded as UTF-8, as FileReader.readAsText would
+export async function createUploadedFile(file) {
+  const bytes = await readFileAsBytes(file)
+  const binary = bytes.includes(0)
+  return {
+    id: Date.now() + Math.random(),
+    name: file.name,
+    size: file.size,
+    bytes,
+    content: binary ? '' : new TextDecoder().decode(bytes),
+    binary,
+    timestamp: new Date().toLocaleTimeString()
+  }
+}
+
+// Records stored by an older version, or restored from the localStorage
+// fallback (which cannot hold bytes), only have their text
+export const uploadedFileBytes = (record) => (record.bytes instanceof Uint8Array ? record.bytes : utf8Encode(record.content))
@@ -0,0 +1,56 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createUploadedFile, readFileAsBytes, uploadedFileBytes } from './files.js'
+
+// Node has File but no FileReader; this one reads through Blob.arrayBuffer
+class BlobReader {
+  readAsArrayBuffer(blob) {
+    blob.arrayBuffer().then((buffer) => {
+      this.result = buffer
+      this.onload()
+    }, (error) => {
+      this.error = error
+      this.onerror()
+    })
+  }
+}
+
+beforeEach(() => {
+  vi.stubGlobal('FileReader', BlobReader)
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('readFileAsBytes', () => {
+  it('reads the exact bytes of a file', async () => {
+    expect(await readFileAsBytes(new File([new Uint8Array([0, 255, 10])], 'a.bin'))).toEqual(new Uint8Array([0, 255, 10]))
+  })
+
+  it('rejects when the file cannot be read', async () => {
+    const file = { name: 'gone.txt', arrayBuffer: () => Promise.reject(new Error('NotReadableError')) }
+    await expect(readFileAsBytes(file)).rejects.toThrow('NotReadableError')
+  })
+})
+
+describe('createUploadedFile', () => {
+  it('decodes text files as UTF-8', async () => {
+    const record = await createUploadedFile(new File(['héllo'], 'a.txt'))
+    expect(record).toMatchObject({ name: 'a.txt', size: 6, content: 'héllo', binary: false })
+    expect(record.bytes).toEqual(new TextEncoder().encode('héllo'))
+  })
+
+  it('keeps binary files as bytes only', async () => {
+    const record = await createUploadedFile(new File([new Uint8Array([137, 80, 0, 1])], 'a.png'))
+    expect(record).toMatchObject({ content: '', binary: true })
+    expect(record.bytes).toEqual(new Uint8Array([137, 80, 0, 1]))
+  })
+})
+
+describe('uploadedFileBytes', () => {
+  it('prefers the stored bytes and falls back to the text', () => {
+    expect(uploadedFileBytes({ bytes: new Uint8Array([1, 2]), content: 'x' })).toEqual(new Uint8Array([1, 2]))
+    expect(uploadedFileBytes({ bytes: { 0: 1, 1: 2 }, content: 'é' })).toEqual(new Uint8Array([0xc3, 0xa9]))
+    expect(uploadedFileBytes({ content: 'a' })).toEqual(new Uint8Array([0x61]))
+  })
+})
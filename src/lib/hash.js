@@ -0,0 +1,161 @@
+/**
+ * Message digests and checksums computed entirely in the browser.
+ *
+ * The SHA family uses WebCrypto; MD5 and CRC32 are not offered there and are
+ * implemented here. HMAC is built on top of any digest (RFC 2104), so
+ * HMAC-MD5 and HMAC-SHA* share one code path. Nothing leaves the page.
+ */
+
+import { encodeBase64 } from './conversions/baseN.js'
+
+const hexByte = (byte) => byte.toString(16).padStart(2, '0')
+
+/* MD5 (RFC 1321) */
+
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+]
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0)
+
+export function md5(bytes) {
+  // Pad to 56 mod 64 bytes, then append the bit length as a 64-bit little-endian integer
+  const paddedLength = (((bytes.length + 8) >> 6) + 1) << 6
+  const padded = new Uint8Array(paddedLength)
+  padded.set(bytes)
+  padded[bytes.length] = 0x80
+  const view = new DataView(padded.buffer)
+  view.setUint32(paddedLength - 8, (bytes.length * 8) >>> 0, true)
+  view.setUint32(paddedLength - 4, Math.floor(bytes.length / 2 ** 29), true)
+
+  let a0 = 0x67452301
+  let b0 = 0xefcdab89
+  let c0 = 0x98badcfe
+  let d0 = 0x10325476
+  const words = new Uint32Array(16)
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) words[i] = view.getUint32(offset + i * 4, true)
+    let a = a0
+    let b = b0
+    let c = c0
+    let d = d0
+    for (let i = 0; i < 64; i++) {
+      let f
+      let g
+      if (i < 16) {
+        f = (b & c) | (~b & d)
+        g = i
+      } else if (i < 32) {
+        f = (d & b) | (~d & c)
+        g = (5 * i + 1) % 16
+      } else if (i < 48) {
+        f = b ^ c ^ d
+        g = (3 * i + 5) % 16
+      } else {
+        f = c ^ (b | ~d)
+        g = (7 * i) % 16
+      }
+      const sum = (a + f + MD5_CONSTANTS[i] + words[g]) >>> 0
+      a = d
+      d = c
+      c = b
+      b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) >>> 0
+    }
+    a0 = (a0 + a) >>> 0
+    b0 = (b0 + b) >>> 0
+    c0 = (c0 + c) >>> 0
+    d0 = (d0 + d) >>> 0
+  }
+
+  const digest = new Uint8Array(16)
+  const digestView = new DataView(digest.buffer)
+  ;[a0, b0, c0, d0].forEach((word, i) => digestView.setUint32(i * 4, word, true))
+  return digest
+}
+
+/* CRC-32 (IEEE 802.3, as used by zip, gzip and PNG) */
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+export function crc32(bytes) {
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  const digest = new Uint8Array(4)
+  new DataView(digest.buffer).setUint32(0, (crc ^ 0xffffffff) >>> 0)
+  return digest
+}
+
+/* Algorithms */
+
+const webCrypto = (name) => async (bytes) => new Uint8Array(await crypto.subtle.digest(name, bytes))
+
+// blockSize is the digest's internal block size in bytes, needed for HMAC;
+// CRC32 is a checksum rather than a cryptographic hash and has no HMAC form
+export const HASH_ALGORITHMS = [
+  { id: 'md5', label: 'MD5', digest: async (bytes) => md5(bytes), blockSize: 64 },
+  { id: 'sha1', label: 'SHA-1', digest: webCrypto('SHA-1'), blockSize: 64 },
+  { id: 'sha256', label: 'SHA-256', digest: webCrypto('SHA-256'), blockSize: 64 },
+  { id: 'sha384', label: 'SHA-384', digest: webCrypto('SHA-384'), blockSize: 128 },
+  { id: 'sha512', label: 'SHA-512', digest: webCrypto('SHA-512'), blockSize: 128 },
+  { id: 'crc32', label: 'CRC32', digest: async (bytes) => crc32(bytes), blockSize: null }
+]
+
+const concat = (...parts) => {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    result.set(part, offset)
+    offset += part.length
+  }
+  return result
+}
+
+export async function hmac(algorithm, key, bytes) {
+  const { digest, blockSize } = algorithm
+  if (!blockSize) throw new Error(`${algorithm.label} cannot be used for HMAC`)
+
+  // Keys longer than a block are hashed first, shorter ones zero-padded
+  const blockKey = new Uint8Array(blockSize)
+  blockKey.set(key.length > blockSize ? await digest(key) : key)
+  const pad = (value) => blockKey.map((byte) => byte ^ value)
+
+  const inner = await digest(concat(pad(0x36), bytes))
+  return digest(concat(pad(0x5c), inner))
+}
+
+/**
+ * Compute every algorithm for `bytes`; with a key, HMAC variants replace the
+ * plain digests for the algorithms that support them.
+ * Resolves to [{ id, label, digest }] in HASH_ALGORITHMS order.
+ */
+export function computeHashes(bytes, key = null) {
+  return Promise.all(HASH_ALGORITHMS.map(async (algorithm) => {
+    if (key && algorithm.blockSize) {
+      return { id: algorithm.id, label: `HMAC-${algorithm.label}`, digest: await hmac(algorithm, key, bytes) }
+    }
+    return { id: algorithm.id, label: algorithm.label, digest: await algorithm.digest(bytes) }
+  }))
+}
+
+export function formatDigest(digest, format = 'hex') {
+  return format === 'base64' ? encodeBase64(digest) : Array.from(digest, hexByte).join('')
+}
+
+/**
+ * Whether a pasted expected value matches a digest, accepting hex in either
+ * case, Base64 with or without padding, surrounding whitespace and the
+ * "<hash>  filename" lines written by sha256sum and friends.
+ */
+export function digestMatches(expected, digest) {
+  const [candidate = ''] = expected.trim().split(/\s+/)
+  if (!candidate) return false
+  if (candidate.toLowerCase() === formatDigest(digest, 'hex')) return true
+  return candidate.replace(/=+$/, '') === formatDigest(digest, 'base64').replace(/=+$/, '')
+}
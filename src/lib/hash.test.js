@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest'
+import { HASH_ALGORITHMS, computeHashes, crc32, digestMatches, formatDigest, hmac, md5 } from './hash.js'
+
+const bytes = (text) => new TextEncoder().encode(text)
+const hex = (digest) => formatDigest(digest, 'hex')
+const algorithm = (id) => HASH_ALGORITHMS.find((entry) => entry.id === id)
+
+describe('md5', () => {
+  // RFC 1321 appendix A.5
+  it.each([
+    ['', 'd41d8cd98f00b204e9800998ecf8427e'],
+    ['abc', '900150983cd24fb0d6963f7d28e17f72'],
+    ['12345678901234567890123456789012345678901234567890123456789012345678901234567890', '57edf4a22be3c955ac49da2e2107b67a']
+  ])('hashes %j', (text, expected) => {
+    expect(hex(md5(bytes(text)))).toBe(expected)
+  })
+})
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(hex(crc32(bytes('123456789')))).toBe('cbf43926')
+  })
+})
+
+describe('hmac', () => {
+  it('matches RFC 2104 and RFC 4231 vectors', async () => {
+    const data = bytes('what do ya want for nothing?')
+    expect(hex(await hmac(algorithm('md5'), bytes('Jefe'), data))).toBe('750c783e6ab0b503eaa86e310a5db738')
+    expect(hex(await hmac(algorithm('sha256'), bytes('Jefe'), data))).toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843')
+  })
+
+  it('hashes keys longer than a block first', async () => {
+    const key = new Uint8Array(131).fill(0xaa)
+    const data = bytes('Test Using Larger Than Block-Size Key - Hash Key First')
+    expect(hex(await hmac(algorithm('sha256'), key, data))).toBe('60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54')
+  })
+
+  it('is not available for CRC32', async () => {
+    await expect(hmac(algorithm('crc32'), bytes('k'), bytes('x'))).rejects.toThrow('CRC32 cannot be used for HMAC')
+  })
+})
+
+describe('computeHashes', () => {
+  it('computes every algorithm in order', async () => {
+    const results = await computeHashes(bytes('abc'))
+    expect(results.map(({ id }) => id)).toEqual(HASH_ALGORITHMS.map(({ id }) => id))
+    expect(hex(results.find(({ id }) => id === 'sha256').digest)).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+  })
+
+  it('uses HMAC where possible when given a key', async () => {
+    const results = await computeHashes(bytes('x'), bytes('key'))
+    expect(results.map(({ label }) => label)).toEqual(['HMAC-MD5', 'HMAC-SHA-1', 'HMAC-SHA-256', 'HMAC-SHA-384', 'HMAC-SHA-512', 'CRC32'])
+  })
+})
+
+describe('digestMatches', () => {
+  const digest = md5(bytes('abc'))
+
+  it('accepts hex in either case, sha256sum lines and Base64', () => {
+    expect(digestMatches('900150983CD24FB0D6963F7D28E17F72', digest)).toBe(true)
+    expect(digestMatches(' 900150983cd24fb0d6963f7d28e17f72  file.txt\n', digest)).toBe(true)
+    expect(digestMatches(formatDigest(digest, 'base64'), digest)).toBe(true)
+    expect(digestMatches(formatDigest(digest, 'base64').replace(/=+$/, ''), digest)).toBe(true)
+  })
+
+  it('rejects other values', () => {
+    expect(digestMatches('', digest)).toBe(false)
+    expect(digestMatches('900150983cd24fb0d6963f7d28e17f73', digest)).toBe(false)
+  })
+})
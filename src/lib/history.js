@@ -0,0 +1,65 @@
+import { loadAll, removeValue, saveValue } from './storage.js'
+
+export const DEFAULT_HISTORY_LIMIT = 50
+
+export function createHistoryEntry(type, input, output) {
+  return {
+    id: Date.now(),
+    input,
+    output,
+    type,
+    pinned: false,
+    timestamp: new Date().toLocaleTimeString()
+  }
+}
+
+// Newest first
+export async function loadHistory() {
+  const entries = await loadAll('history')
+  return entries.sort((a, b) => b.id - a.id)
+}
+
+// Entries past the newest `limit` unpinned ones. Pinned entries never
+// count against the limit.
+export function entriesOverLimit(entries, limit) {
+  let unpinned = 0
+  return entries.filter((entry) => !entry.pinned && ++unpinned > limit)
+}
+
+export function removeHistoryEntries(entries) {
+  return Promise.all(entries.map((entry) => removeValue('history', entry.id)))
+}
+
+export function saveHistoryEntry(entry) {
+  return saveValue('history', entry.id, entry)
+}
+
+const csvField = (value) => {
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function historyToCsv(entries) {
+  const rows = entries.map((entry) => [
+    entry.id,
+    new Date(entry.id).toISOString(),
+    entry.type,
+    entry.pinned ? 'yes' : 'no',
+    entry.input,
+    entry.output
+  ])
+  return [['id', 'date', 'type', 'pinned', 'input', 'output'], ...rows]
+    .map((row) => row.map(csvField).join(','))
+    .join('\r\n')
+}
+
+export function historyToJson(entries) {
+  return JSON.stringify(entries.map(({ id, type, pinned, input, output }) => ({
+    id,
+    date: new Date(id).toISOString(),
+    type,
+    pinned: Boolean(pinned),
+    input,
+    output
+  })), null, 2)
+}
@@ -0,0 +1,46 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+
+const entry = (id, fields = {}) => ({ id, type: 'upperCase', input: 'a', output: 'A', pinned: false, ...fields })
+
+describe('history', () => {
+  let history
+
+  beforeEach(async () => {
+    vi.stubGlobal('indexedDB', new IDBFactory())
+    vi.resetModules()
+    history = await import('./history.js')
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('creates unpinned entries', () => {
+    expect(history.createHistoryEntry('upperCase', 'a', 'A')).toMatchObject({ type: 'upperCase', input: 'a', output: 'A', pinned: false })
+  })
+
+  it('finds unpinned entries past the limit, newest first', () => {
+    const entries = [entry(5), entry(4, { pinned: true }), entry(3), entry(2), entry(1, { pinned: true })]
+    expect(history.entriesOverLimit(entries, 1).map(({ id }) => id)).toEqual([3, 2])
+    expect(history.entriesOverLimit(entries, 3)).toEqual([])
+  })
+
+  it('saves, loads newest first and removes entries', async () => {
+    await Promise.all([entry(1), entry(3), entry(2)].map(history.saveHistoryEntry))
+    expect((await history.loadHistory()).map(({ id }) => id)).toEqual([3, 2, 1])
+    await history.removeHistoryEntries([entry(3), entry(1)])
+    expect((await history.loadHistory()).map(({ id }) => id)).toEqual([2])
+  })
+
+  it('exports CSV with quoted fields', () => {
+    const csv = history.historyToCsv([entry(0, { input: 'a,b', output: 'say "hi"\nok', pinned: true })])
+    expect(csv).toBe('id,date,type,pinned,input,output\r\n0,1970-01-01T00:00:00.000Z,upperCase,yes,"a,b","say ""hi""\nok"')
+  })
+
+  it('exports JSON', () => {
+    expect(JSON.parse(history.historyToJson([entry(0)]))).toEqual([
+      { id: 0, date: '1970-01-01T00:00:00.000Z', type: 'upperCase', pinned: false, input: 'a', output: 'A' }
+    ])
+  })
+})
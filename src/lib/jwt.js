@@ -0,0 +1,135 @@
+/**
+ * JSON Web Token decoding and local signature verification (RFC 7519).
+ *
+ * Decoding never checks the signature; verifyJwt does that separately with
+ * WebCrypto so a token can always be inspected, even without its key.
+ */
+
+import { ConversionError } from './conversions/errors.js'
+import { decodeBase64 } from './conversions/baseN.js'
+import { utf8Decode, utf8Encode } from './conversions/bytes.js'
+
+// Registered claims holding NumericDate values (seconds since the epoch)
+export const TIME_CLAIMS = [
+  { id: 'exp', label: 'Expires' },
+  { id: 'nbf', label: 'Not before' },
+  { id: 'iat', label: 'Issued at' }
+]
+
+export const SUPPORTED_ALGORITHMS = ['HS256', 'RS256']
+
+const TOKEN_PATTERN = /[A-Za-z0-9_-]{2,}\.[A-Za-z0-9_-]{2,}\.[A-Za-z0-9_-]*/g
+
+function decodeSegment(segment, name) {
+  let json
+  try {
+    json = utf8Decode(decodeBase64(segment))
+  } catch {
+    throw new ConversionError(`The JWT ${name} is not valid Base64url`)
+  }
+  try {
+    const value = JSON.parse(json)
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) throw new Error()
+    return value
+  } catch {
+    throw new ConversionError(`The JWT ${name} is not a JSON object`)
+  }
+}
+
+/**
+ * Split and decode a compact JWS. Returns { token, header, payload,
+ * signature, signingInput } where signature is raw bytes.
+ */
+export function decodeJwt(token) {
+  const segments = token.trim().split('.')
+  if (segments.length !== 3) {
+    throw new ConversionError(`A JWT has 3 dot-separated parts, found ${segments.length}`)
+  }
+  const [header, payload, signature] = segments
+  const decoded = {
+    token: segments.join('.'),
+    header: decodeSegment(header, 'header'),
+    payload: decodeSegment(payload, 'payload'),
+    signature: signature ? decodeBase64(signature) : new Uint8Array(0),
+    signingInput: `${header}.${payload}`
+  }
+  if (typeof decoded.header.alg !== 'string') {
+    throw new ConversionError('The JWT header has no "alg" parameter')
+  }
+  return decoded
+}
+
+/**
+ * Find the first JWT anywhere in `text` (e.g. inside an Authorization header
+ * or a log line) and decode it, or return null when there is none.
+ */
+export function findJwt(text) {
+  for (const [candidate] of text.matchAll(TOKEN_PATTERN)) {
+    try {
+      return decodeJwt(candidate)
+    } catch {
+      // Not a token, keep looking
+    }
+  }
+  return null
+}
+
+// Time claims as Dates; claims that are missing or not numbers are skipped.
+// A date is null when the claim is outside the range a Date can hold.
+export function getTimeClaims(payload) {
+  return TIME_CLAIMS
+    .filter(({ id }) => typeof payload[id] === 'number')
+    .map(({ id, label }) => {
+      const date = new Date(payload[id] * 1000)
+      return { id, label, value: payload[id], date: Number.isFinite(date.getTime()) ? date : null }
+    })
+}
+
+export function getTokenStatus(payload, now = Date.now()) {
+  const seconds = now / 1000
+  return {
+    expired: typeof payload.exp === 'number' && payload.exp <= seconds,
+    notYetValid: typeof payload.nbf === 'number' && payload.nbf > seconds
+  }
+}
+
+// Accepts a PEM "PUBLIC KEY" (SPKI) block or a JWK as JSON
+async function importRsaKey(key) {
+  const algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }
+  const trimmed = key.trim()
+  if (trimmed.startsWith('{')) {
+    return crypto.subtle.importKey('jwk', JSON.parse(trimmed), algorithm, false, ['verify'])
+  }
+  const pem = trimmed.match(/-----BEGIN PUBLIC KEY-----([\s\S]+?)-----END PUBLIC KEY-----/)
+  if (!pem) {
+    throw new ConversionError('RS256 needs a PEM public key (-----BEGIN PUBLIC KEY-----) or a JWK')
+  }
+  return crypto.subtle.importKey('spki', decodeBase64(pem[1]), algorithm, false, ['verify'])
+}
+
+/**
+ * Check the signature of a decoded token with a shared secret (HS256) or a
+ * public key (RS256). Resolves to true or false; rejects for unsupported
+ * algorithms and unusable keys.
+ */
+export async function verifyJwt({ header, signature, signingInput }, key) {
+  const data = utf8Encode(signingInput)
+  switch (header.alg) {
+    case 'HS256': {
+      const secret = await crypto.subtle.importKey('raw', utf8Encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify'])
+      return crypto.subtle.verify('HMAC', secret, signature, data)
+    }
+    case 'RS256': {
+      let publicKey
+      try {
+        publicKey = await importRsaKey(key)
+      } catch (error) {
+        if (error instanceof ConversionError) throw error
+        throw new ConversionError(`The RS256 public key could not be read: ${error.message}`)
+      }
+      return crypto.subtle.verify('RSASSA-PKCS1-v1_5', publicKey, signature, data)
+    }
+    default:
+      throw new ConversionError(`Verifying ${header.alg} tokens is not supported (use ${SUPPORTED_ALGORITHMS.join(' or ')})`)
+  }
+}
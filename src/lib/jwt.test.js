@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest'
+import { decodeJwt, findJwt, getTimeClaims, getTokenStatus, verifyJwt } from './jwt.js'
+import { encodeBase64 } from './conversions/baseN.js'
+import { utf8Encode } from './conversions/bytes.js'
+
+const base64url = (bytes) => encodeBase64(bytes, { urlSafe: true, padding: false })
+const segment = (value) => base64url(utf8Encode(JSON.stringify(value)))
+
+async function sign(header, payload, algorithm, key) {
+  const signingInput = `${segment(header)}.${segment(payload)}`
+  const signature = new Uint8Array(await crypto.subtle.sign(algorithm, key, utf8Encode(signingInput)))
+  return `${signingInput}.${base64url(signature)}`
+}
+
+const hmacKey = (secret) => crypto.subtle.importKey('raw', utf8Encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+
+const payload = { sub: '1234567890', name: 'Jöhn', iat: 1516239022 }
+
+describe('decodeJwt', () => {
+  it('decodes the header and payload without a key', async () => {
+    const token = await sign({ alg: 'HS256', typ: 'JWT' }, payload, 'HMAC', await hmacKey('secret'))
+    const decoded = decodeJwt(`  ${token}\n`)
+    expect(decoded.token).toBe(token)
+    expect(decoded.header).toEqual({ alg: 'HS256', typ: 'JWT' })
+    expect(decoded.payload).toEqual(payload)
+    expect(decoded.signature).toHaveLength(32)
+  })
+
+  it('rejects malformed tokens', () => {
+    expect(() => decodeJwt('a.b')).toThrow('A JWT has 3 dot-separated parts, found 2')
+    expect(() => decodeJwt(`${segment([1])}.${segment(payload)}.`)).toThrow('The JWT header is not a JSON object')
+    expect(() => decodeJwt(`${segment({ typ: 'JWT' })}.${segment(payload)}.`)).toThrow('The JWT header has no "alg" parameter')
+    expect(() => decodeJwt(`${segment({ alg: 'none' })}.!!.`)).toThrow('The JWT payload is not valid Base64url')
+  })
+})
+
+describe('findJwt', () => {
+  it('finds a token inside other text', () => {
+    const token = `${segment({ alg: 'none' })}.${segment(payload)}.`
+    expect(findJwt(`Authorization: Bearer ${token}`).payload).toEqual(payload)
+    expect(findJwt('no token in.this.line')).toBeNull()
+  })
+})
+
+describe('time claims', () => {
+  it('reads NumericDate claims as dates', () => {
+    expect(getTimeClaims({ exp: 1516239022, iat: 'soon' })).toEqual([
+      { id: 'exp', label: 'Expires', value: 1516239022, date: new Date(1516239022000) }
+    ])
+  })
+
+  it('keeps claims outside the Date range without a date', () => {
+    expect(getTimeClaims({ exp: 1e20 })[0]).toMatchObject({ value: 1e20, date: null })
+  })
+
+  it('flags expired and not-yet-valid tokens', () => {
+    const now = 1000_000
+    expect(getTokenStatus({ exp: 1000, nbf: 900 }, now)).toEqual({ expired: true, notYetValid: false })
+    expect(getTokenStatus({ exp: 2000, nbf: 1500 }, now)).toEqual({ expired: false, notYetValid: true })
+    expect(getTokenStatus({}, now)).toEqual({ expired: false, notYetValid: false })
+  })
+})
+
+describe('verifyJwt', () => {
+  it('checks HS256 signatures against the secret', async () => {
+    const token = decodeJwt(await sign({ alg: 'HS256' }, payload, 'HMAC', await hmacKey('secret')))
+    expect(await verifyJwt(token, 'secret')).toBe(true)
+    expect(await verifyJwt(token, 'wrong')).toBe(false)
+  })
+
+  it('checks RS256 signatures against a PEM or JWK public key', async () => {
+    const { privateKey, publicKey } = await crypto.subtle.generateKey(
+      { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+      true,
+      ['sign', 'verify']
+    )
+    const token = decodeJwt(await sign({ alg: 'RS256' }, payload, 'RSASSA-PKCS1-v1_5', privateKey))
+    const spki = encodeBase64(new Uint8Array(await crypto.subtle.exportKey('spki', publicKey)))
+    const pem = `-----BEGIN PUBLIC KEY-----\n${spki.match(/.{1,64}/g).join('\n')}\n-----END PUBLIC KEY-----`
+    expect(await verifyJwt(token, pem)).toBe(true)
+    expect(await verifyJwt(token, JSON.stringify(await crypto.subtle.exportKey('jwk', publicKey)))).toBe(true)
+    await expect(verifyJwt(token, 'secret')).rejects.toThrow(/needs a PEM public key/)
+  })
+
+  it('rejects other algorithms', async () => {
+    await expect(verifyJwt(decodeJwt(`${segment({ alg: 'ES256' })}.${segment(payload)}.`), 'key'))
+      .rejects.toThrow('Verifying ES256 tokens is not supported (use HS256 or RS256)')
+  })
+})
@@ -0,0 +1,69 @@
+/**
+ * Morse code playback with the Web Audio API.
+ *
+ * Timing follows the PARIS standard: one unit is 1.2 / wpm seconds, a dot is
+ * one unit, a dash three, with gaps of one unit between signals, three
+ * between letters and seven between words.
+ */
+
+import { normalizeMorse } from './conversions/classicCiphers.js'
+
+const RAMP = 0.005 // seconds; avoids clicks at the start and end of each tone
+
+// Turn Morse text (". - / space") into [start, duration] tones in units
+function schedule(code) {
+  const tones = []
+  let time = 0
+  const words = normalizeMorse(code).split(/\s*\/\s*|\s{3,}|\n+/).filter(Boolean)
+  words.forEach((word, w) => {
+    if (w > 0) time += 4 // 3 units after the last letter + 4 = 7
+    word.split(/\s+/).forEach((letter, l) => {
+      if (l > 0) time += 2 // 1 unit after the last signal + 2 = 3
+      for (const signal of letter) {
+        const length = signal === '.' ? 1 : 3
+        tones.push([time, length])
+        time += length + 1
+      }
+    })
+  })
+  return { tones, units: Math.max(0, time - 1) }
+}
+
+/**
+ * Start playing `code` and return { duration, stop } where duration is in
+ * seconds and stop() ends playback early.
+ */
+export function playMorse(code, { wpm = 20, frequency = 600 } = {}) {
+  const unit = 1.2 / wpm
+  const { tones, units } = schedule(code)
+  const context = new AudioContext()
+  const oscillator = context.createOscillator()
+  const gain = context.createGain()
+
+  oscillator.frequency.value = frequency
+  gain.gain.value = 0
+  oscillator.connect(gain).connect(context.destination)
+
+  const start = context.currentTime + 0.05
+  for (const [at, length] of tones) {
+    const on = start + at * unit
+    const off = on + length * unit
+    gain.gain.setValueAtTime(0, on)
+    gain.gain.linearRampToValueAtTime(0.5, on + RAMP)
+    gain.gain.setValueAtTime(0.5, off - RAMP)
+    gain.gain.linearRampToValueAtTime(0, off)
+  }
+
+  const duration = units * unit
+  oscillator.start(start)
+  oscillator.stop(start + duration + 0.05)
+  oscillator.onended = () => context.close()
+
+  return {
+    duration,
+    stop: () => {
+      oscillator.onended = null
+      context.close()
+    }
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Persistent key/value storage for the app.
+ *
+ * Data lives in IndexedDB; when it is unavailable (private browsing, old
+ * browsers, blocked by policy) the same API falls back to localStorage.
+ * Every function is async regardless of the backend in use.
+ */
+
+const DB_NAME = 'textconvert-pro'
+const DB_VERSION = 1
+
+export const STORES = ['settings', 'history', 'files']
+
+let backendPromise = null
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+function openDatabase() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION)
+  request.onupgradeneeded = () => {
+    for (const store of STORES) {
+      if (!request.result.objectStoreNames.contains(store)) {
+        request.result.createObjectStore(store)
+      }
+    }
+  }
+  return promisify(request)
+}
+
+function indexedDbBackend(db) {
+  const run = (store, mode, action) => promisify(action(db.transaction(store, mode).objectStore(store)))
+  return {
+    get: (store, key) => run(store, 'readonly', (objectStore) => objectStore.get(key)),
+    getAll: (store) => run(store, 'readonly', (objectStore) => objectStore.getAll()),
+    set: (store, key, value) => run(store, 'readwrite', (objectStore) => objectStore.put(value, key)),
+    delete: (store, key) => run(store, 'readwrite', (objectStore) => objectStore.delete(key)),
+    clear: (store) => run(store, 'readwrite', (objectStore) => objectStore.clear())
+  }
+}
+
+function localStorageBackend() {
+  const prefix = (store) => `${DB_NAME}:${store}:`
+  const keysOf = (store) => Object.keys(localStorage).filter((key) => key.startsWith(prefix(store)))
+  return {
+    get: async (store, key) => {
+      const raw = localStorage.getItem(prefix(store) + key)
+      return raw === null ? undefined : JSON.parse(raw)
+    },
+    getAll: async (store) => keysOf(store).map((key) => JSON.parse(localStorage.getItem(key))),
+    set: async (store, key, value) => localStorage.setItem(prefix(store) + key, JSON.stringify(value)),
+    delete: async (store, key) => localStorage.removeItem(prefix(store) + key),
+    clear: async (store) => keysOf(store).forEach((key) => localStorage.removeItem(key))
+  }
+}
+
+function getBackend() {
+  if (!backendPromise) {
+    const database = typeof indexedDB === 'undefined'
+      ? Promise.reject(new Error('IndexedDB is not available'))
+      : openDatabase()
+    backendPromise = database.then(indexedDbBackend).catch((error) => {
+      console.warn('Falling back to localStorage:', error)
+      return localStorageBackend()
+    })
+  }
+  return backendPromise
+}
+
+export async function loadValue(store, key) {
+  return (await getBackend()).get(store, key)
+}
+
+export async function loadAll(store) {
+  return (await getBackend()).getAll(store)
+}
+
+export async function saveValue(store, key, value) {
+  return (await getBackend()).set(store, key, value)
+}
+
+export async function removeValue(store, key) {
+  return (await getBackend()).delete(store, key)
+}
+
+export async function clearAllData() {
+  const backend = await getBackend()
+  await Promise.all(STORES.map((store) => backend.clear(store)))
+}
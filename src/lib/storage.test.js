@@ -0,0 +1,66 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+
+// A fresh module for each backend: storage caches the one it picked
+const importStorage = async () => {
+  vi.resetModules()
+  return import('./storage.js')
+}
+
+function memoryStorage() {
+  const items = new Map()
+  return new Proxy({
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  }, {
+    // Object.keys(localStorage) lists the stored keys, as in browsers
+    ownKeys: () => [...items.keys()],
+    getOwnPropertyDescriptor: (target, key) => (items.has(key)
+      ? { value: items.get(key), enumerable: true, configurable: true }
+      : Reflect.getOwnPropertyDescriptor(target, key))
+  })
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+})
+
+describe.each([
+  ['IndexedDB', () => vi.stubGlobal('indexedDB', new IDBFactory())],
+  ['localStorage fallback', () => {
+    vi.stubGlobal('indexedDB', undefined)
+    vi.stubGlobal('localStorage', memoryStorage())
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  }]
+])('storage with %s', (_, setup) => {
+  let storage
+
+  beforeEach(async () => {
+    setup()
+    storage = await importStorage()
+  })
+
+  it('saves, loads and removes values', async () => {
+    await storage.saveValue('settings', 'theme', { dark: true })
+    expect(await storage.loadValue('settings', 'theme')).toEqual({ dark: true })
+    await storage.removeValue('settings', 'theme')
+    expect(await storage.loadValue('settings', 'theme')).toBeUndefined()
+  })
+
+  it('keeps stores apart', async () => {
+    await storage.saveValue('history', 1, 'a')
+    await storage.saveValue('history', 2, 'b')
+    await storage.saveValue('files', 1, 'c')
+    expect((await storage.loadAll('history')).sort()).toEqual(['a', 'b'])
+    expect(await storage.loadAll('files')).toEqual(['c'])
+  })
+
+  it('clears every store', async () => {
+    await storage.saveValue('settings', 'a', 1)
+    await storage.saveValue('history', 1, 'x')
+    await storage.clearAllData()
+    for (const store of storage.STORES) expect(await storage.loadAll(store)).toEqual([])
+  })
+})